@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/*
+ * @file backfill.js
+ * Fills in the fields the API derives when it saves a document, for
+ * documents written before those fields existed. Connects straight to
+ * MONGODB_URI from the .env file. Safe to run more than once: each step only
+ * touches documents that still lack its fields, trashed ones included.
+ *
+ * Usage: node database_scripts/backfill.js
+ */
+
+// Load required packages
+var path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+var mongoose = require('mongoose');
+var User = require('../models/user');
+var Task = require('../models/task');
+
+var STEPS = [{
+    description: 'user name and email keys for @mentions',
+    run: function () {
+        return User.updateMany({ $or: [{ nameKey: { $exists: false } }, { emailKey: { $exists: false } }] }, [{
+            $set: {
+                nameKey: { $toLower: { $trim: { input: '$name' } } },
+                emailKey: { $toLower: '$email' }
+            }
+        }]).exec();
+    }
+}, {
+    description: 'task priorities and their ranks for sorting',
+    run: function () {
+        return Task.updateMany({ priorityRank: { $exists: false } }, [
+            { $set: { priority: { $ifNull: ['$priority', Task.schema.path('priority').defaultValue] } } },
+            { $set: { priorityRank: { $indexOfArray: [Task.schema.path('priority').enumValues, '$priority'] } } }
+        ]).exec();
+    }
+}];
+
+function main() {
+    mongoose.connect(process.env.MONGODB_URI, { useNewUrlParser: true, useUnifiedTopology: true }).then(function () {
+        return STEPS.reduce(function (done, step) {
+            return done.then(function () {
+                return step.run();
+            }).then(function (result) {
+                console.log(step.description + ': ' + result.nModified + ' updated');
+            });
+        }, Promise.resolve());
+    }).then(function () {
+        return mongoose.disconnect();
+    }).catch(function (err) {
+        console.error(err.message);
+        return mongoose.disconnect().then(function () {
+            process.exit(1);
+        });
+    });
+}
+
+main();
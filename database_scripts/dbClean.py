@@ -16,41 +16,60 @@ import http.client
 import urllib
 import json
 
+# Maximum number of operations the bulk endpoints accept per request
+BATCH_SIZE = 500
+
 def usage():
-    print('dbClean.py -u <baseurl> -p <port>')
+    print('dbClean.py -u <baseurl> -p <port> -k <accessToken>')
 
-def getUsers(conn):
+def getUsers(conn, headers):
     # Retrieve the list of users
-    conn.request("GET","""/api/users?filter={"_id":1}""")
+    conn.request("GET","""/api/users?filter={"_id":1}""", headers=headers)
     response = conn.getresponse()
     data = response.read()
     d = json.loads(data)
 
     # Array of user IDs
-    users = [str(d['data'][x]['_id']) for x in range(len(d['data']))]
+    users = [str(x['_id']) for x in (d['data'] or [])]
 
     return users
 
-def getTasks(conn):
+def getTasks(conn, headers):
     # Retrieve the list of tasks
-    conn.request("GET","""/api/tasks?filter={"_id":1}""")
+    conn.request("GET","""/api/tasks?filter={"_id":1}""", headers=headers)
     response = conn.getresponse()
     data = response.read()
     d = json.loads(data)
 
     # Array of user IDs
-    tasks = [str(d['data'][x]['_id']) for x in range(len(d['data']))]
+    tasks = [str(x['_id']) for x in (d['data'] or [])]
 
     return tasks
 
+def bulkDelete(conn, path, ids, headers):
+    # DELETE ids in batches the bulk endpoints accept; returns how many were deleted
+    deleted = 0
+    for start in range(0, len(ids), BATCH_SIZE):
+        operations = [{'op': 'delete', 'id': x} for x in ids[start:start+BATCH_SIZE]]
+        conn.request("POST", path, json.dumps({'operations': operations}), headers)
+        response = conn.getresponse()
+        data = response.read()
+        d = json.loads(data)
+        deleted += d['data']['succeeded']
+
+    return deleted
+
 def main(argv):
 
     # Server Base URL and port
     baseurl = "localhost"
     port = 4000
 
+    # Access token from POST /api/auth/login
+    token = ""
+
     try:
-        opts, args = getopt.getopt(argv,"hu:p:",["url=","port="])
+        opts, args = getopt.getopt(argv,"hu:p:k:",["url=","port=","token="])
     except getopt.GetoptError:
         usage()
         sys.exit(2)
@@ -62,39 +81,43 @@ def main(argv):
              baseurl = str(arg)
         elif opt in ("-p", "--port"):
              port = int(arg)
+        elif opt in ("-k", "--token"):
+             token = str(arg)
 
     # Server to connect to (1: url, 2: port number)
     conn = http.client.HTTPConnection(baseurl, port)
 
-    # Fetch a list of users
-    users = getUsers(conn)
-
-    # Loop for as long as the database still returns users
-    while len(users):
-
-        # Delete each individual user
-        for user in users:
-            conn.request("DELETE","/api/users/"+user)
-            response = conn.getresponse()
-            data = response.read()
-
-        # Fetch a list of users
-        users = getUsers(conn)
+    # HTTP Headers
+    headers = {"Content-type": "application/json","Accept": "application/json"}
+    if token:
+        headers["Authorization"] = "Bearer " + token
 
+    # Tasks go first: deleting the users also deletes the account whose token this script uses
     # Fetch a list of tasks
-    tasks = getTasks(conn)
+    tasks = getTasks(conn, headers)
 
     # Loop for as long as the database still returns tasks
     while len(tasks):
 
-        # Delete each individual task
-        for task in tasks:
-            conn.request("DELETE","/api/tasks/"+task)
-            response = conn.getresponse()
-            data = response.read()
+        # Delete the tasks in batches
+        if not bulkDelete(conn, "/api/tasks/bulk", tasks, headers):
+            break
 
         # Fetch a list of tasks
-        tasks = getTasks(conn)
+        tasks = getTasks(conn, headers)
+
+    # Fetch a list of users
+    users = getUsers(conn, headers)
+
+    # Loop for as long as the database still returns users
+    while len(users):
+
+        # Delete the users in batches
+        if not bulkDelete(conn, "/api/users/bulk", users, headers):
+            break
+
+        # Fetch a list of users
+        users = getUsers(conn, headers)
 
     # Exit gracefully
     conn.close()
@@ -20,12 +20,15 @@ from random import choice
 from datetime import date
 from time import mktime
 
+# Maximum number of operations the bulk endpoints accept per request
+BATCH_SIZE = 500
+
 def usage():
-    print('dbFill.py -u <baseurl> -p <port> -n <numUsers> -t <numTasks>')
+    print('dbFill.py -u <baseurl> -p <port> -n <numUsers> -t <numTasks> -k <accessToken>')
 
-def getUsers(conn):
+def getUsers(conn, headers):
     # Retrieve the list of users
-    conn.request("GET","""/api/users?filter={"_id":1}""")
+    conn.request("GET","""/api/users?filter={"_id":1}""", headers=headers)
     response = conn.getresponse()
     data = response.read()
     d = json.loads(data)
@@ -35,6 +38,18 @@ def getUsers(conn):
 
     return users
 
+def bulk(conn, path, operations, headers):
+    # POST operations in batches the bulk endpoints accept and collect the per-item results
+    results = []
+    for start in range(0, len(operations), BATCH_SIZE):
+        conn.request("POST", path, json.dumps({'operations': operations[start:start+BATCH_SIZE]}), headers)
+        response = conn.getresponse()
+        data = response.read()
+        d = json.loads(data)
+        results.extend(d['data']['results'])
+
+    return results
+
 def main(argv):
 
     # Server Base URL and port
@@ -45,8 +60,11 @@ def main(argv):
     userCount = 50
     taskCount = 200
 
+    # Access token from POST /api/auth/login
+    token = ""
+
     try:
-        opts, args = getopt.getopt(argv,"hu:p:n:t:",["url=","port=","users=","tasks="])
+        opts, args = getopt.getopt(argv,"hu:p:n:t:k:",["url=","port=","users=","tasks=","token="])
     except getopt.GetoptError:
         usage()
         sys.exit(2)
@@ -62,6 +80,8 @@ def main(argv):
              userCount = int(arg)
         elif opt in ("-t", "--tasks"):
              taskCount = int(arg)
+        elif opt in ("-k", "--token"):
+             token = str(arg)
 
     # Python array containing common first names and last names
     firstNames = ["james","john","robert","michael","william","david","richard","charles","joseph","thomas","christopher","daniel","paul","mark","donald","george","kenneth","steven","edward","brian","ronald","anthony","kevin","jason","matthew","gary","timothy","jose","larry","jeffrey","frank","scott","eric","stephen","andrew","raymond","gregory","joshua","jerry","dennis","walter","patrick","peter","harold","douglas","henry","carl","arthur","ryan","roger","joe","juan","jack","albert","jonathan","justin","terry","gerald","keith","samuel","willie","ralph","lawrence","nicholas","roy","benjamin","bruce","brandon","adam","harry","fred","wayne","billy","steve","louis","jeremy","aaron","randy","howard","eugene","carlos","russell","bobby","victor","martin","ernest","phillip","todd","jesse","craig","alan","shawn","clarence","sean","philip","chris","johnny","earl","jimmy","antonio","danny","bryan","tony","luis","mike","stanley","leonard","nathan","dale","manuel","rodney","curtis","norman","allen","marvin","vincent","glenn","jeffery","travis","jeff","chad","jacob","lee","melvin","alfred","kyle","francis","bradley","jesus","herbert","frederick","ray","joel","edwin","don","eddie","ricky","troy","randall","barry","alexander","bernard","mario","leroy","francisco","marcus","micheal","theodore","clifford","miguel","oscar","jay","jim","tom","calvin","alex","jon","ronnie","bill","lloyd","tommy","leon","derek","warren","darrell","jerome","floyd","leo","alvin","tim","wesley","gordon","dean","greg","jorge","dustin","pedro","derrick","dan","lewis","zachary","corey","herman","maurice","vernon","roberto","clyde","glen","hector","shane","ricardo","sam","rick","lester","brent","ramon","charlie","tyler","gilbert","gene"]
@@ -71,86 +91,49 @@ def main(argv):
     conn = http.client.HTTPConnection(baseurl, port)
 
     # HTTP Headers
-    headers = {"Content-type": "application/x-www-form-urlencoded","Accept": "text/plain"}
+    headers = {"Content-type": "application/json","Accept": "application/json"}
+    if token:
+        headers["Authorization"] = "Bearer " + token
 
     # Array of user IDs
     userIDs = []
-    userNames = []
-    userEmails = []
 
-    # Loop 'userCount' number of times
+    # Generate 'userCount' users
+    operations = []
     for i in range(userCount):
 
         # Pick a random first name and last name
         x = randint(0,99)
         y = randint(0,99)
-        params = urllib.parse.urlencode({'name': firstNames[x] + " " + lastNames[y], 'email': firstNames[x] + "@" + lastNames[y] + ".com"})
+        operations.append({'op': 'create', 'data': {'name': firstNames[x] + " " + lastNames[y], 'email': firstNames[x] + "@" + lastNames[y] + ".com"}})
 
-        # POST the user
-        conn.request("POST", "/api/users", params, headers)
-        response = conn.getresponse()
-        data = response.read()
-        d = json.loads(data)
-
-        # Store the users id
-        userIDs.append(str(d['data']['_id']))
-        userNames.append(str(d['data']['name']))
-        userEmails.append(str(d['data']['email']))
+    # POST the users in batches, keeping the ids of the ones that were created
+    for result in bulk(conn, "/api/users/bulk", operations, headers):
+        if result['status'] == 201:
+            userIDs.append(str(result['data']['_id']))
 
     # Open 'tasks.txt' for sample task names
     f = open('tasks.txt','r')
     taskNames = f.read().splitlines()
 
-    # Loop 'taskCount' number of times
+    # Generate 'taskCount' tasks
+    operations = []
     for i in range(taskCount):
 
         # Randomly generate task parameters
-        assigned = (randint(0,10) > 4)
-        assignedUser = randint(0,len(userIDs)-1) if assigned else -1
-        assignedUserID = userIDs[assignedUser] if assigned else ''
-        assignedUserName = userNames[assignedUser] if assigned else 'unassigned'
-        assignedUserEmail = userEmails[assignedUser] if assigned else 'unassigned'
+        assigned = (randint(0,10) > 4) and len(userIDs) > 0
+        assignedUserID = choice(userIDs) if assigned else ''
         completed = (randint(0,10) > 5)
         deadline = (mktime(date.today().timetuple()) + randint(86400,864000)) * 1000
         description = "It is a long established fact that a reader will be distracted by the readable content of a page when looking at its layout. The point of using Lorem Ipsum is that it has a more-or-less normal distribution of letters, as opposed to using 'Content here, content here', making it look like readable English."
-        params = urllib.parse.urlencode({'name': choice(taskNames), 'deadline': deadline, 'assignedUserName': assignedUserName, 'assignedUser': assignedUserID, 'completed': str(completed).lower(), 'description': description})
-
-        # POST the task
-        conn.request("POST", "/api/tasks", params, headers)
-        response = conn.getresponse()
-        data = response.read()
-        d = json.loads(data)
+        operations.append({'op': 'create', 'data': {'name': choice(taskNames), 'deadline': deadline, 'assignedUser': assignedUserID, 'completed': completed, 'description': description}})
 
-        taskID = str(d['data']['_id'])
-
-        # Make sure the task is added to the pending list of the user
-        if assigned and not completed:
-            # GET the correct user
-            conn.request("GET","""/api/users?where={"_id":\""""+assignedUserID+"""\"}""")
-            response = conn.getresponse()
-            data = response.read()
-            d = json.loads(data)
-
-            # Store all the user properties
-            assignedUserName = str(d['data'][0]['name'])
-            assignedUserEmail = str(d['data'][0]['email'])
-            assignedUserDate = str(d['data'][0]['dateCreated'])
-
-            # Append the new taskID to pending tasks
-            assignedUserTasks = d['data'][0]['pendingTasks']
-            assignedUserTasks = [str(x).replace('[','').replace(']','').replace("'",'').replace('"','') for x in assignedUserTasks]
-            assignedUserTasks.append(taskID)
-
-            # PUT in the user
-            params = urllib.parse.urlencode({'_id': assignedUserID, 'name': assignedUserName, 'email': assignedUserEmail, 'dateCreated': assignedUserDate, 'pendingTasks': assignedUserTasks}, True)
-            conn.request("PUT", "/api/users/"+assignedUserID, params, headers)
-            response = conn.getresponse()
-            data = response.read()
-            d = json.loads(data)
+    # POST the tasks in batches; the server adds open tasks to their user's pending list
+    bulk(conn, "/api/tasks/bulk", operations, headers)
 
     # Exit gracefully
     conn.close()
-    print(str(userCount)+" users and "+str(taskCount)+" tasks added at "+baseurl+":"+str(port))
+    print(str(len(userIDs))+" users and "+str(taskCount)+" tasks added at "+baseurl+":"+str(port))
 
 
 if __name__ == "__main__":
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/*
+ * @file promoteAdmin.js
+ * Gives an existing user the admin role, for databases that have no admin
+ * yet (e.g. ones that predate roles) or have lost their only one. Connects
+ * straight to MONGODB_URI from the .env file, and records the change in the
+ * user's history like any other update.
+ *
+ * Usage: node database_scripts/promoteAdmin.js <email>
+ */
+
+// Load required packages
+var path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+var mongoose = require('mongoose');
+var User = require('../models/user');
+var assignments = require('../services/assignments');
+var audit = require('../services/audit');
+var inTransaction = require('../services/transaction').inTransaction;
+
+function usage() {
+    console.log('node database_scripts/promoteAdmin.js <email>');
+}
+
+function promote(email) {
+    return inTransaction({}, function (ctx) {
+        return User.findOne({ email: email }).session(ctx.session).exec().then(function (user) {
+            if (!user) {
+                throw new Error('No user with email ' + email);
+            }
+            if (user.role === 'admin') {
+                return user;
+            }
+            var before = audit.snapshot(user);
+            user.role = 'admin';
+            return assignments.saveWithAudit('user', user, before, ctx);
+        });
+    });
+}
+
+function main() {
+    var email = process.argv[2];
+    if (!email) {
+        usage();
+        process.exit(2);
+    }
+
+    mongoose.connect(process.env.MONGODB_URI, { useNewUrlParser: true, useUnifiedTopology: true }).then(function () {
+        return promote(email);
+    }).then(function (user) {
+        console.log(user.name + ' <' + user.email + '> is an admin');
+        return mongoose.disconnect();
+    }).catch(function (err) {
+        console.error(err.message);
+        return mongoose.disconnect().then(function () {
+            process.exit(1);
+        });
+    });
+}
+
+main();
@@ -0,0 +1,52 @@
+// Load required packages
+var User = require('../models/user');
+var verifyToken = require('../utils/tokens').verifyToken;
+var sendError = require('../utils/response').sendError;
+
+// Browsers' EventSource cannot set headers, so event streams may pass the token as ?access_token=
+function tokenOf(req) {
+    var match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (match) {
+        return match[1];
+    }
+    if (/text\/event-stream/.test(req.headers.accept || '') && typeof req.query.access_token === 'string') {
+        return req.query.access_token;
+    }
+    return null;
+}
+
+/*
+ * Rejects requests without a valid "Authorization: Bearer <token>" header.
+ * On success the authenticated user document is available as req.user.
+ */
+function authenticate(req, res, next) {
+    var token = tokenOf(req);
+    if (!token) {
+        return sendError(res, 401, 'Authentication required', 'Missing bearer token in Authorization header.');
+    }
+
+    var payload;
+    try {
+        payload = verifyToken(token, 'access');
+    } catch (err) {
+        return sendError(res, 500, 'Error verifying token', err.message);
+    }
+    if (!payload) {
+        return sendError(res, 401, 'Invalid or expired token');
+    }
+
+    User.findById(payload.sub).select('+tokenVersion').then(function (user) {
+        if (!user || user.tokenVersion !== payload.version) {
+            return sendError(res, 401, 'Invalid or expired token');
+        }
+        req.user = user;
+        next();
+    }).catch(function (err) {
+        sendError(res, 500, 'Error verifying token', err.message);
+    });
+}
+
+module.exports = {
+    tokenOf: tokenOf,
+    authenticate: authenticate
+};
@@ -0,0 +1,127 @@
+// Load required packages
+var sendError = require('../utils/response').sendError;
+var createError = require('../utils/errors').createError;
+
+var ADMIN = 'admin';
+var MANAGER = 'manager';
+var MEMBER = 'member';
+var ROLES = [ADMIN, MANAGER, MEMBER];
+
+// Task fields a member may change on a task assigned to them
+var MEMBER_EDITABLE_TASK_FIELDS = ['completed'];
+// User fields a member may change on their own account
+var MEMBER_EDITABLE_USER_FIELDS = ['name', 'email', 'password'];
+
+function forbiddenData(user, action) {
+    return {
+        action: action,
+        role: user ? user.role : null
+    };
+}
+
+function sendForbidden(res, user, action, reason) {
+    return sendError(res, 403, reason, forbiddenData(user, action));
+}
+
+// Error for services to throw when a check fails part-way through a request
+function forbidden(user, action, reason) {
+    return createError(403, reason, forbiddenData(user, action));
+}
+
+function hasRole(user, roles) {
+    return !!user && roles.indexOf(user.role) !== -1;
+}
+
+/*
+ * Middleware factory that only lets users with one of the given roles through.
+ */
+function requireRole(roles, action, reason) {
+    return function (req, res, next) {
+        if (!hasRole(req.user, roles)) {
+            return sendForbidden(res, req.user, action, reason);
+        }
+        next();
+    };
+}
+
+function sameValue(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+        return new Date(a).getTime() === new Date(b).getTime();
+    }
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return JSON.stringify((a || []).map(String)) === JSON.stringify((b || []).map(String));
+    }
+    if ((a && typeof a === 'object') || (b && typeof b === 'object')) {
+        return JSON.stringify(a || null) === JSON.stringify(b || null);
+    }
+    return String(a) === String(b);
+}
+
+// Names of the fields in `changes` whose value differs from the document (undefined means unchanged)
+function changedFields(doc, changes) {
+    return Object.keys(changes).filter(function (field) {
+        return changes[field] !== undefined && !sameValue(doc[field], changes[field]);
+    });
+}
+
+/*
+ * Returns a reason string if `user` may not apply `changes` to `task`, or null if allowed.
+ * `changes` holds the normalized field values the request would write.
+ */
+function taskUpdateViolation(user, task, changes) {
+    if (user.role === ADMIN || user.role === MANAGER) {
+        return null;
+    }
+    if (task.assignedUser !== user._id.toString()) {
+        return 'Members may only update tasks assigned to themselves';
+    }
+    var forbidden = changedFields(task, changes).filter(function (field) {
+        return MEMBER_EDITABLE_TASK_FIELDS.indexOf(field) === -1;
+    });
+    if (forbidden.length > 0) {
+        return 'Members may only change the completed status of their tasks (attempted to change: ' + forbidden.join(', ') + ')';
+    }
+    return null;
+}
+
+/*
+ * Returns a reason string if `user` may not apply `changes` to `target`, or null if allowed.
+ */
+function userUpdateViolation(user, target, changes) {
+    var changed = changedFields(target, changes);
+    if (changed.indexOf('role') !== -1 && user.role !== ADMIN) {
+        return 'Only admins may change user roles';
+    }
+    if (user.role === ADMIN) {
+        return null;
+    }
+    if (user.role === MANAGER) {
+        if (target.role !== MEMBER && target._id.toString() !== user._id.toString()) {
+            return 'Managers may only update members and their own account';
+        }
+        return null;
+    }
+    if (target._id.toString() !== user._id.toString()) {
+        return 'Members may only update their own account';
+    }
+    var forbidden = changed.filter(function (field) {
+        return MEMBER_EDITABLE_USER_FIELDS.indexOf(field) === -1;
+    });
+    if (forbidden.length > 0) {
+        return 'Members may only change their own name, email and password (attempted to change: ' + forbidden.join(', ') + ')';
+    }
+    return null;
+}
+
+module.exports = {
+    ADMIN: ADMIN,
+    MANAGER: MANAGER,
+    MEMBER: MEMBER,
+    ROLES: ROLES,
+    hasRole: hasRole,
+    requireRole: requireRole,
+    sendForbidden: sendForbidden,
+    forbidden: forbidden,
+    taskUpdateViolation: taskUpdateViolation,
+    userUpdateViolation: userUpdateViolation
+};
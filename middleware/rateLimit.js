@@ -0,0 +1,91 @@
+/*
+ * Per-client rate limiting. Requests are counted per authenticated user (or
+ * per IP address without a valid token) in fixed windows, with separate
+ * budgets for reads (GET/HEAD) and writes. Every response carries the
+ * RateLimit-Limit/-Remaining/-Reset headers; over budget it is a 429 with
+ * Retry-After.
+ */
+
+// Load required packages
+var tokenOf = require('./auth').tokenOf;
+var verifyToken = require('../utils/tokens').verifyToken;
+var sendError = require('../utils/response').sendError;
+var createStore = require('../services/rateLimitStores').createStore;
+
+var DEFAULT_WINDOW_MS = 60 * 1000;
+var DEFAULT_READS = 300;
+var DEFAULT_WRITES = 60;
+var READ_METHODS = ['GET', 'HEAD'];
+
+function positive(value, fallback) {
+    var number = Number(value);
+    return number > 0 ? number : fallback;
+}
+
+// "user:<id>" for a valid access token, otherwise "ip:<address>"
+function clientOf(req) {
+    var token = tokenOf(req);
+    if (token) {
+        try {
+            var payload = verifyToken(token, 'access');
+            if (payload) {
+                return 'user:' + payload.sub;
+            }
+        } catch (e) {
+            // Misconfigured secrets are reported by authenticate; count by address meanwhile
+        }
+    }
+    return 'ip:' + req.ip;
+}
+
+/*
+ * Build the middleware. Options (each defaulting to its environment variable):
+ * `windowMs` (RATE_LIMIT_WINDOW_MS), `reads` (RATE_LIMIT_READS), `writes`
+ * (RATE_LIMIT_WRITES) and `store` (a store object, or the name of a built-in
+ * one from RATE_LIMIT_STORE; see services/rateLimitStores.js).
+ */
+function rateLimit(options) {
+    options = options || {};
+    var windowMs = positive(options.windowMs || process.env.RATE_LIMIT_WINDOW_MS, DEFAULT_WINDOW_MS);
+    var budgets = {
+        read: positive(options.reads || process.env.RATE_LIMIT_READS, DEFAULT_READS),
+        write: positive(options.writes || process.env.RATE_LIMIT_WRITES, DEFAULT_WRITES)
+    };
+    var store = options.store && typeof options.store === 'object' ?
+        options.store : createStore(options.store || process.env.RATE_LIMIT_STORE);
+
+    return function (req, res, next) {
+        // CORS preflights are sent by browsers on the client's behalf
+        if (req.method === 'OPTIONS') {
+            return next();
+        }
+        var kind = READ_METHODS.indexOf(req.method) !== -1 ? 'read' : 'write';
+        var limit = budgets[kind];
+
+        store.increment(kind + ':' + clientOf(req), windowMs).then(function (window) {
+            var resetSeconds = Math.max(0, Math.ceil((new Date(window.resetAt).getTime() - Date.now()) / 1000));
+            res.set({
+                'RateLimit-Limit': String(limit),
+                'RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+                'RateLimit-Reset': String(resetSeconds)
+            });
+            if (window.count > limit) {
+                res.set('Retry-After', String(resetSeconds));
+                return sendError(res, 429, 'Too many requests; try again in ' + resetSeconds + ' seconds', {
+                    limit: limit,
+                    windowMs: windowMs,
+                    retryAfter: resetSeconds
+                });
+            }
+            next();
+        }).catch(function (err) {
+            // An unavailable store should not take the API down with it
+            console.error('Rate limit store error:', err);
+            next();
+        });
+    };
+}
+
+module.exports = {
+    rateLimit: rateLimit
+};
@@ -0,0 +1,44 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our audit schema: one entry per create/update/delete (and restore/purge from the trash) of a task or user
+var AuditSchema = new mongoose.Schema({
+    entityType: {
+        type: String,
+        enum: ['task', 'user'],
+        required: true
+    },
+    entityId: {
+        type: String,
+        required: true
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete', 'restore', 'purge'],
+        required: true
+    },
+    // Field-level diff: [{ field, before, after }]
+    changes: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    actor: {
+        id: {
+            type: String,
+            default: ""
+        },
+        name: {
+            type: String,
+            default: ""
+        }
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+AuditSchema.index({ entityType: 1, entityId: 1, timestamp: 1 });
+
+// Export the Mongoose model
+module.exports = mongoose.model('Audit', AuditSchema);
@@ -0,0 +1,47 @@
+// Load required packages
+var mongoose = require('mongoose');
+var softDelete = require('./softDelete');
+
+// Define our comment schema: one message in the discussion thread of a task
+var CommentSchema = new mongoose.Schema({
+    task: {
+        type: String,
+        required: true
+    },
+    // _id and name of the user who wrote it; the name is kept if the user is purged
+    author: {
+        type: String,
+        required: true
+    },
+    authorName: {
+        type: String,
+        default: ""
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    // _ids of the users @mentioned in the body
+    mentions: {
+        type: [String],
+        default: []
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    },
+    // When the body was last edited (null if it never was)
+    dateEdited: {
+        type: Date,
+        default: null
+    }
+});
+
+CommentSchema.index({ task: 1, dateCreated: 1 });
+CommentSchema.index({ mentions: 1 });
+
+// Comments follow their task into the trash and back
+CommentSchema.plugin(softDelete);
+
+// Export the Mongoose model
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,37 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our custom field schema: an admin-defined field tasks can have a value for
+var CustomFieldSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['text', 'number', 'date', 'select'],
+        required: true
+    },
+    // The allowed values of a select field
+    options: {
+        type: [String],
+        default: undefined
+    },
+    // Whether tasks must have a value for it (checked when a task's custom fields are written)
+    required: {
+        type: Boolean,
+        default: false
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('CustomField', CustomFieldSchema);
@@ -0,0 +1,27 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our label schema: an entry in the catalog of labels tasks may carry
+var LabelSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // CSS color for clients to show the label in, e.g. "#d73a4a" ("" for the client's default)
+    color: {
+        type: String,
+        default: ""
+    },
+    description: {
+        type: String,
+        default: ""
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('Label', LabelSchema);
@@ -0,0 +1,60 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our notification schema: a deadline reminder or overdue notice for one user
+var NotificationSchema = new mongoose.Schema({
+    user: {
+        type: String,
+        required: true
+    },
+    task: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['reminder', 'overdue'],
+        required: true
+    },
+    // For reminders, how many minutes before the deadline it was due; 0 for overdue notices
+    leadTime: {
+        type: Number,
+        default: 0
+    },
+    // The deadline the notification was for; a new deadline gets new notifications
+    deadline: {
+        type: Date,
+        required: true
+    },
+    message: {
+        type: String,
+        default: ""
+    },
+    read: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    delivered: {
+        type: Boolean,
+        default: false
+    },
+    deliveryError: {
+        type: String,
+        default: ""
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// One notification per user, task, deadline and lead time, however often the scheduler runs
+NotificationSchema.index({ user: 1, task: 1, deadline: 1, type: 1, leadTime: 1 }, { unique: true });
+NotificationSchema.index({ user: 1, dateCreated: -1 });
+
+// Export the Mongoose model
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,33 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our project schema: a team of users and the tasks they work on
+var ProjectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    description: {
+        type: String,
+        default: ""
+    },
+    // _ids of the users who may be assigned the project's tasks
+    members: {
+        type: [String],
+        default: []
+    },
+    createdBy: {
+        type: String,
+        default: ""
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ProjectSchema.index({ members: 1 });
+
+// Export the Mongoose model
+module.exports = mongoose.model('Project', ProjectSchema);
@@ -0,0 +1,24 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our rate limit schema: the request count of one client in its current window
+var RateLimitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    // End of the window; MongoDB removes the counter some time after
+    resetAt: {
+        type: Date,
+        required: true,
+        expires: 0
+    }
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,47 @@
+/*
+ * Schema plugin for soft deletion. Deleted documents keep existing with a
+ * `deletedAt` date until they are purged, and every find, count and
+ * aggregation leaves them out unless its filter mentions `deletedAt` itself
+ * (as the trash endpoints do with { deletedAt: { $ne: null } }).
+ */
+
+var QUERY_HOOKS = ['count', 'countDocuments', 'distinct', 'find', 'findOne', 'findOneAndUpdate'];
+
+function mentionsDeletedAt(filter) {
+    return Boolean(filter) && Object.prototype.hasOwnProperty.call(filter, 'deletedAt');
+}
+
+module.exports = function softDelete(schema) {
+    schema.add({
+        // When the document was moved to the trash (null while it is live)
+        deletedAt: {
+            type: Date,
+            default: null
+        }
+    });
+    schema.index({ deletedAt: 1 });
+
+    QUERY_HOOKS.forEach(function (hook) {
+        schema.pre(hook, function () {
+            if (!mentionsDeletedAt(this.getFilter())) {
+                // Only documents that were never deleted or have been restored
+                this.where({ deletedAt: null });
+            }
+        });
+    });
+
+    // $geoNear has to stay the first stage and $text must be in the first $match, so merge into that where possible
+    schema.pre('aggregate', function () {
+        var pipeline = this.pipeline();
+        var first = pipeline[0];
+        if (first && first.$match) {
+            if (!mentionsDeletedAt(first.$match)) {
+                first.$match.deletedAt = null;
+            }
+        } else if (first && first.$geoNear) {
+            pipeline.splice(1, 0, { $match: { deletedAt: null } });
+        } else {
+            pipeline.unshift({ $match: { deletedAt: null } });
+        }
+    });
+};
@@ -1,5 +1,37 @@
 // Load required packages
 var mongoose = require('mongoose');
+var softDelete = require('./softDelete');
+
+// How a recurring task repeats
+var RecurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly', 'yearly'],
+        required: true
+    },
+    interval: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    byDay: {
+        type: [String],
+        default: undefined
+    },
+    // Day of the month monthly and yearly occurrences fall on, clamped in shorter months
+    dayOfMonth: {
+        type: Number,
+        min: 1,
+        max: 31
+    },
+    until: {
+        type: Date
+    },
+    count: {
+        type: Number,
+        min: 1
+    }
+}, { _id: false });
 
 // Define our task schema
 var TaskSchema = new mongoose.Schema({
@@ -19,6 +51,11 @@ var TaskSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // When the task was last marked completed (null while it is open)
+    completedAt: {
+        type: Date,
+        default: null
+    },
     assignedUser: {
         type: String,
         default: ""
@@ -30,8 +67,93 @@ var TaskSchema = new mongoose.Schema({
     dateCreated: {
         type: Date,
         default: Date.now
+    },
+    recurrence: {
+        type: RecurrenceSchema,
+        default: null
+    },
+    // _id of the first task of a recurring series ("" for one-off tasks)
+    series: {
+        type: String,
+        default: ""
+    },
+    // 1-based position of this task within its series
+    occurrence: {
+        type: Number,
+        default: 0
+    },
+    // _id of the task this is a subtask of ("" for top-level tasks)
+    parentTask: {
+        type: String,
+        default: ""
+    },
+    // _ids of the tasks that must be completed before this one
+    blockedBy: {
+        type: [String],
+        default: []
+    },
+    // Percentage of the work done, rolled up from subtasks when there are any
+    progress: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 100
+    },
+    // _id of the project the task belongs to ("" outside of any project)
+    project: {
+        type: String,
+        default: ""
+    },
+    priority: {
+        type: String,
+        // Lowest first
+        enum: ['low', 'medium', 'high', 'urgent'],
+        default: 'medium'
+    },
+    // Position of the priority in its enum (0 for low), so tasks can be sorted by it
+    priorityRank: {
+        type: Number,
+        default: 1
+    },
+    // Names of labels from the catalog
+    labels: {
+        type: [String],
+        default: []
+    },
+    // Values of the admin-defined custom fields, by key
+    customFields: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
     }
+}, {
+    // Every save checks and bumps __v, which is what ETags are built from
+    optimisticConcurrency: true
+});
+
+TaskSchema.index({ series: 1, occurrence: 1 });
+TaskSchema.index({ parentTask: 1 });
+TaskSchema.index({ blockedBy: 1 });
+TaskSchema.index({ project: 1 });
+TaskSchema.index({ labels: 1 });
+// The reminder scan walks open tasks in deadline order
+TaskSchema.index({ completed: 1, deadline: 1 });
+
+TaskSchema.pre('save', function () {
+    this.priorityRank = TaskSchema.path('priority').enumValues.indexOf(this.priority);
+});
+
+// Full-text search over names, descriptions and assignees
+TaskSchema.index({
+    name: 'text',
+    description: 'text',
+    assignedUserName: 'text'
+}, {
+    name: 'TaskTextIndex',
+    weights: { name: 10, assignedUserName: 5, description: 1 }
 });
 
+// Deleted tasks go to the trash instead of disappearing
+TaskSchema.plugin(softDelete);
+
 // Export the Mongoose model
 module.exports = mongoose.model('Task', TaskSchema);
\ No newline at end of file
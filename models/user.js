@@ -1,5 +1,9 @@
 // Load required packages
 var mongoose = require('mongoose');
+var softDelete = require('./softDelete');
+var bcrypt = require('bcryptjs');
+
+var SALT_ROUNDS = 10;
 
 // Define our user schema
 var UserSchema = new mongoose.Schema({
@@ -12,15 +16,110 @@ var UserSchema = new mongoose.Schema({
         required: true,
         unique: true
     },
+    // Lowercased name and email, kept in sync on save, so @mentions are matched with an index
+    nameKey: {
+        type: String,
+        index: true,
+        select: false
+    },
+    emailKey: {
+        type: String,
+        index: true,
+        select: false
+    },
+    password: {
+        type: String,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: ['admin', 'manager', 'member'],
+        default: 'member'
+    },
+    // Bumped on logout so previously issued tokens stop working
+    tokenVersion: {
+        type: Number,
+        default: 0,
+        select: false
+    },
+    // SHA-256 of the token that lets calendar apps fetch this user's feed
+    calendarToken: {
+        type: String,
+        select: false
+    },
     pendingTasks: {
         type: [String],
         default: []
     },
+    // Minutes before a task's deadline at which its assignee is reminded
+    reminderLeadTimes: {
+        type: [Number],
+        default: [1440]
+    },
+    // When auto-assignment last picked this user, so round-robin can take turns
+    lastAutoAssignedAt: {
+        type: Date,
+        default: null,
+        select: false
+    },
     dateCreated: {
         type: Date,
         default: Date.now
     }
+}, {
+    // Every save checks and bumps __v, which is what ETags are built from
+    optimisticConcurrency: true
 });
 
+// Hash the password whenever it is set or changed
+UserSchema.pre('save', function (next) {
+    var user = this;
+    if (!user.isModified('password') || !user.password) {
+        return next();
+    }
+
+    bcrypt.hash(user.password, SALT_ROUNDS).then(function (hash) {
+        user.password = hash;
+        next();
+    }).catch(next);
+});
+
+UserSchema.pre('save', function () {
+    this.nameKey = String(this.name || '').trim().toLowerCase();
+    this.emailKey = String(this.email || '').toLowerCase();
+});
+
+UserSchema.methods.comparePassword = function (candidate) {
+    if (!this.password) {
+        return Promise.resolve(false);
+    }
+    return bcrypt.compare(candidate, this.password);
+};
+
+// Full-text search over names and emails
+UserSchema.index({
+    name: 'text',
+    email: 'text'
+}, {
+    name: 'UserTextIndex',
+    weights: { name: 10, email: 5 }
+});
+
+// Never send credentials back to the client
+UserSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.password;
+        delete ret.tokenVersion;
+        delete ret.calendarToken;
+        delete ret.lastAutoAssignedAt;
+        delete ret.nameKey;
+        delete ret.emailKey;
+        return ret;
+    }
+});
+
+// Deleted users go to the trash instead of disappearing
+UserSchema.plugin(softDelete);
+
 // Export the Mongoose model
 module.exports = mongoose.model('User', UserSchema);
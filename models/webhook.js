@@ -0,0 +1,48 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our webhook schema: an endpoint that receives task and user change events
+var WebhookSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true
+    },
+    // Event types to deliver, e.g. ["task.completed"]; empty means every event
+    events: {
+        type: [String],
+        default: []
+    },
+    description: {
+        type: String,
+        default: ""
+    },
+    // Key for the HMAC-SHA256 signature sent with every delivery
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: String,
+        default: ""
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// The secret is only revealed once, when the webhook is created
+WebhookSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.secret;
+        return ret;
+    }
+});
+
+// Export the Mongoose model
+module.exports = mongoose.model('Webhook', WebhookSchema);
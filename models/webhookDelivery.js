@@ -0,0 +1,58 @@
+// Load required packages
+var mongoose = require('mongoose');
+
+// Define our webhook delivery schema: the delivery queue and, once handled, its log
+var WebhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set while a worker is sending this delivery so no other worker picks it up
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    responseStatus: {
+        type: Number,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: ""
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, dateCreated: -1 });
+
+// Export the Mongoose model
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -0,0 +1,26 @@
+// Load required packages
+var reconcileService = require('../services/reconcile');
+var permissions = require('../middleware/permissions');
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var handleError = response.handleError;
+
+module.exports = function (router) {
+    // POST /api/admin/reconcile - Report (and with repair=true fix) task/user reference mismatches
+    router.route('/admin/reconcile')
+        .post(permissions.requireRole([permissions.ADMIN], 'admin:reconcile',
+            'Only admins may reconcile tasks and users'), function (req, res) {
+            var repair = req.body.repair === true || req.body.repair === 'true' || req.query.repair === 'true';
+
+            reconcileService.reconcile({ repair: repair, actor: req.user }).then(function (report) {
+                var message = report.repaired ?
+                    'Repaired ' + report.mismatches.length + ' mismatches' :
+                    'Found ' + report.mismatches.length + ' mismatches';
+                sendSuccess(res, 200, message, report);
+            }).catch(function (err) {
+                handleError(res, err, 'Error reconciling tasks and users');
+            });
+        });
+
+    return router;
+};
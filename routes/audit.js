@@ -0,0 +1,25 @@
+// Load required packages
+var Audit = require('../models/audit');
+var permissions = require('../middleware/permissions');
+var response = require('../utils/response');
+var sendError = response.sendError;
+var parseQueryParams = require('../utils/query').parseQueryParams;
+var sendList = require('../utils/pagination').sendList;
+
+module.exports = function (router) {
+    // GET /api/audit - List audit entries, newest first unless sort is given
+    router.route('/audit')
+        .get(permissions.requireRole([permissions.ADMIN, permissions.MANAGER], 'audit:read',
+            'Only admins and managers may browse the audit log'), function (req, res) {
+            var parsed = parseQueryParams(req, 100, Audit); // default limit 100 for audit entries
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+
+            parsed.options.sort = parsed.options.sort || { timestamp: -1 };
+
+            sendList(req, res, Audit, parsed, 'audit entries');
+        });
+
+    return router;
+};
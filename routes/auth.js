@@ -0,0 +1,141 @@
+// Load required packages
+var User = require('../models/user');
+var userService = require('../services/users');
+var permissions = require('../middleware/permissions');
+var tokens = require('../utils/tokens');
+var authenticate = require('../middleware/auth').authenticate;
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var sendError = response.sendError;
+var handleError = response.handleError;
+var createError = require('../utils/errors').createError;
+
+var MIN_PASSWORD_LENGTH = 8;
+var REGISTRATION_DISABLED = 'Self-registration is disabled; ask an admin or manager for an account';
+var EMAIL_NOT_STRING = 'Email must be a string';
+
+// Compared exactly, like the unique email index
+function isBootstrapEmail(email) {
+    return Boolean(process.env.ADMIN_EMAIL) && email === process.env.ADMIN_EMAIL;
+}
+
+/*
+ * Service check for registering ADMIN_EMAIL: the account becomes the admin
+ * only while there is none, decided in the creating transaction. Afterwards
+ * the email registers like any other, if self-registration is on.
+ */
+function bootstrapCheck(registrationOpen) {
+    return function (user, ctx) {
+        return userService.adminExists(ctx).then(function (exists) {
+            if (!exists) {
+                user.role = permissions.ADMIN;
+            } else if (!registrationOpen) {
+                throw createError(403, REGISTRATION_DISABLED);
+            }
+        });
+    };
+}
+
+module.exports = function (router) {
+    // POST /api/auth/register - Create an account with a password
+    router.route('/auth/register')
+        .post(function (req, res) {
+            if (!req.body.name || !req.body.email || !req.body.password) {
+                return sendError(res, 400, 'User must have a name, email and password');
+            }
+            if (typeof req.body.email !== 'string') {
+                return sendError(res, 400, EMAIL_NOT_STRING);
+            }
+            if (String(req.body.password).length < MIN_PASSWORD_LENGTH) {
+                return sendError(res, 400, 'Password must be at least ' + MIN_PASSWORD_LENGTH + ' characters');
+            }
+
+            // ADMIN_EMAIL may register as the admin until there is one, so the API can be bootstrapped
+            var registrationOpen = process.env.ALLOW_REGISTRATION === 'true';
+            var bootstrap = isBootstrapEmail(req.body.email);
+            if (!bootstrap && !registrationOpen) {
+                return sendError(res, 403, REGISTRATION_DISABLED);
+            }
+
+            userService.createUser({
+                name: req.body.name,
+                email: req.body.email,
+                password: String(req.body.password),
+                role: permissions.MEMBER
+            }, bootstrap ? { check: bootstrapCheck(registrationOpen) } : undefined).then(function (savedUser) {
+                sendSuccess(res, 201, 'User registered successfully', {
+                    user: savedUser,
+                    tokens: tokens.issueTokens(savedUser)
+                });
+            }).catch(function (err) {
+                handleError(res, err, 'Error registering user');
+            });
+        });
+
+    // POST /api/auth/login - Exchange email and password for tokens
+    router.route('/auth/login')
+        .post(function (req, res) {
+            if (!req.body.email || !req.body.password) {
+                return sendError(res, 400, 'Email and password are required');
+            }
+            // An object here would reach the query as an operator, e.g. {"$ne": null}
+            if (typeof req.body.email !== 'string') {
+                return sendError(res, 400, EMAIL_NOT_STRING);
+            }
+
+            var user;
+            User.findOne({ email: req.body.email }).select('+password +tokenVersion').then(function (found) {
+                user = found;
+                return user ? user.comparePassword(String(req.body.password)) : false;
+            }).then(function (matches) {
+                if (!matches) {
+                    return sendError(res, 401, 'Invalid email or password');
+                }
+                sendSuccess(res, 200, 'Logged in successfully', {
+                    user: user,
+                    tokens: tokens.issueTokens(user)
+                });
+            }).catch(function (err) {
+                sendError(res, 500, 'Error logging in', err.message);
+            });
+        });
+
+    // POST /api/auth/refresh - Exchange a refresh token for a new token pair
+    router.route('/auth/refresh')
+        .post(function (req, res) {
+            if (!req.body.refreshToken) {
+                return sendError(res, 400, 'Refresh token is required');
+            }
+
+            var payload;
+            try {
+                payload = tokens.verifyToken(req.body.refreshToken, 'refresh');
+            } catch (err) {
+                return sendError(res, 500, 'Error refreshing token', err.message);
+            }
+            if (!payload) {
+                return sendError(res, 401, 'Invalid or expired refresh token');
+            }
+
+            User.findById(payload.sub).select('+tokenVersion').then(function (user) {
+                if (!user || user.tokenVersion !== payload.version) {
+                    return sendError(res, 401, 'Invalid or expired refresh token');
+                }
+                sendSuccess(res, 200, 'Token refreshed successfully', tokens.issueTokens(user));
+            }).catch(function (err) {
+                sendError(res, 500, 'Error refreshing token', err.message);
+            });
+        });
+
+    // POST /api/auth/logout - Revoke every token issued to the current user
+    router.route('/auth/logout')
+        .post(authenticate, function (req, res) {
+            User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } }).exec().then(function () {
+                res.status(204).send();
+            }).catch(function (err) {
+                sendError(res, 500, 'Error logging out', err.message);
+            });
+        });
+
+    return router;
+};
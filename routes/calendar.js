@@ -0,0 +1,68 @@
+// Load required packages
+var calendar = require('../services/calendar');
+var permissions = require('../middleware/permissions');
+var authenticate = require('../middleware/auth').authenticate;
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var handleError = response.handleError;
+
+var CALENDAR_FORBIDDEN = 'Members may only access their own calendar';
+
+// Members may only use their own feed; admins and managers may use anyone's
+function checkAccess(req, res, next) {
+    if (req.user._id.toString() !== req.params.id && req.user.role === permissions.MEMBER) {
+        return permissions.sendForbidden(res, req.user, 'users:calendar', CALENDAR_FORBIDDEN);
+    }
+    next();
+}
+
+// Calendar apps authenticate with ?token=<feed token>; everyone else with the usual bearer token
+function authenticateFeed(req, res, next) {
+    if (req.query.token === undefined) {
+        return authenticate(req, res, function () {
+            checkAccess(req, res, next);
+        });
+    }
+    calendar.userForToken(req.params.id, req.query.token).then(function () {
+        next();
+    }).catch(function (err) {
+        handleError(res, err, 'Error verifying calendar token');
+    });
+}
+
+module.exports = function (router) {
+    // GET /api/users/:id/calendar.ics - iCalendar feed of a user's pending tasks
+    router.route('/users/:id/calendar.ics')
+        .get(authenticateFeed, function (req, res) {
+            calendar.feed(req.params.id, req.query.component || 'event').then(function (body) {
+                res.status(200).set({
+                    'Content-Type': 'text/calendar; charset=utf-8',
+                    'Content-Disposition': 'inline; filename="tasks.ics"'
+                }).send(body);
+            }).catch(function (err) {
+                handleError(res, err, 'Error building calendar');
+            });
+        });
+
+    // POST /api/users/:id/calendar-token - Issue a feed token for calendar subscriptions, revoking the previous one
+    router.route('/users/:id/calendar-token')
+        .post(authenticate, checkAccess, function (req, res) {
+            calendar.issueToken(req.params.id).then(function (token) {
+                var url = req.protocol + '://' + req.get('host') + '/api/users/' + req.params.id + '/calendar.ics?token=' + token;
+                sendSuccess(res, 201, 'Calendar token issued', { token: token, url: url });
+            }).catch(function (err) {
+                handleError(res, err, 'Error issuing calendar token');
+            });
+        })
+
+        // DELETE /api/users/:id/calendar-token - Revoke the feed token
+        .delete(authenticate, checkAccess, function (req, res) {
+            calendar.revokeToken(req.params.id).then(function () {
+                res.status(204).send();
+            }).catch(function (err) {
+                handleError(res, err, 'Error revoking calendar token');
+            });
+        });
+
+    return router;
+};
@@ -0,0 +1,79 @@
+// Load required packages
+var Comment = require('../models/comment');
+var commentService = require('../services/comments');
+var projectService = require('../services/projects');
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var sendError = response.sendError;
+var handleError = response.handleError;
+var parseQueryParams = require('../utils/query').parseQueryParams;
+var sendList = require('../utils/pagination').sendList;
+var permissions = require('../middleware/permissions');
+
+// Service check: only the author may edit a comment; admins may also delete other people's
+function authorCheck(user, action, reason, roles) {
+    return function (comment) {
+        if (comment.author !== user._id.toString() && !permissions.hasRole(user, roles || [])) {
+            throw permissions.forbidden(user, action, reason);
+        }
+    };
+}
+
+module.exports = function (router) {
+    // GET /api/tasks/:id/comments - The comment thread of a task, oldest first unless sorted otherwise
+    router.route('/tasks/:id/comments')
+        .get(function (req, res) {
+            var parsed = parseQueryParams(req, undefined, Comment);
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+            parsed.options.sort = parsed.options.sort || { dateCreated: 1 };
+
+            projectService.checkTaskAccess(req.user, req.params.id).then(function () {
+                return commentService.loadTask(req.params.id);
+            }).then(function (task) {
+                var condition = { task: task._id.toString() };
+                parsed.query = Object.keys(parsed.query).length > 0 ? { $and: [parsed.query, condition] } : condition;
+                sendList(req, res, Comment, parsed, 'comments');
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving comments');
+            });
+        })
+
+        // POST /api/tasks/:id/comments - Comment on a task
+        .post(function (req, res) {
+            projectService.checkTaskAccess(req.user, req.params.id).then(function () {
+                return commentService.createComment(req.params.id, req.body, { actor: req.user });
+            }).then(function (comment) {
+                sendSuccess(res, 201, 'Comment created successfully', comment);
+            }).catch(function (err) {
+                handleError(res, err, 'Error creating comment');
+            });
+        });
+
+    // PUT /api/tasks/:id/comments/:commentId - Edit one's own comment
+    router.route('/tasks/:id/comments/:commentId')
+        .put(function (req, res) {
+            commentService.updateComment(req.params.id, req.params.commentId, req.body, {
+                check: authorCheck(req.user, 'comments:update', 'Only the author may edit a comment')
+            }).then(function (comment) {
+                sendSuccess(res, 200, 'Comment updated successfully', comment);
+            }).catch(function (err) {
+                handleError(res, err, 'Error updating comment');
+            });
+        })
+
+        // DELETE /api/tasks/:id/comments/:commentId - Delete one's own comment (admins may delete any)
+        .delete(function (req, res) {
+            commentService.deleteComment(req.params.id, req.params.commentId, {
+                check: authorCheck(req.user, 'comments:delete', 'Only the author or an admin may delete a comment',
+                    [permissions.ADMIN])
+            }).then(function () {
+                res.status(204).send();
+            }).catch(function (err) {
+                handleError(res, err, 'Error deleting comment');
+            });
+        });
+
+    return router;
+};
@@ -0,0 +1,65 @@
+// Load required packages
+var CustomField = require('../models/customField');
+var customFieldService = require('../services/customFields');
+var permissions = require('../middleware/permissions');
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var sendError = response.sendError;
+var handleError = response.handleError;
+var parseQueryParams = require('../utils/query').parseQueryParams;
+var sendList = require('../utils/pagination').sendList;
+
+var adminOnly = permissions.requireRole([permissions.ADMIN], 'customFields:manage',
+    'Only admins may manage custom fields');
+
+module.exports = function (router) {
+    // GET /api/custom-fields - List the custom field definitions
+    router.route('/custom-fields')
+        .get(function (req, res) {
+            var parsed = parseQueryParams(req, undefined, CustomField);
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+
+            sendList(req, res, CustomField, parsed, 'custom fields');
+        })
+
+        // POST /api/custom-fields - Define a custom field
+        .post(adminOnly, function (req, res) {
+            customFieldService.createField(req.body).then(function (field) {
+                sendSuccess(res, 201, 'Custom field created successfully', field);
+            }).catch(function (err) {
+                handleError(res, err, 'Error creating custom field');
+            });
+        });
+
+    // GET /api/custom-fields/:id - Get a specific definition
+    router.route('/custom-fields/:id')
+        .get(function (req, res) {
+            customFieldService.loadField(req.params.id, { session: null }).then(function (field) {
+                sendSuccess(res, 200, 'OK', field);
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving custom field');
+            });
+        })
+
+        // PUT /api/custom-fields/:id - Replace a definition's name, options and required flag
+        .put(adminOnly, function (req, res) {
+            customFieldService.updateField(req.params.id, req.body, { actor: req.user }).then(function (field) {
+                sendSuccess(res, 200, 'Custom field updated successfully', field);
+            }).catch(function (err) {
+                handleError(res, err, 'Error updating custom field');
+            });
+        })
+
+        // DELETE /api/custom-fields/:id - Delete a definition and the values tasks have for it
+        .delete(adminOnly, function (req, res) {
+            customFieldService.deleteField(req.params.id, { actor: req.user }).then(function () {
+                res.status(204).send();
+            }).catch(function (err) {
+                handleError(res, err, 'Error deleting custom field');
+            });
+        });
+
+    return router;
+};
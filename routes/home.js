@@ -3,8 +3,7 @@ module.exports = function (router) {
     var homeRoute = router.route('/');
 
     homeRoute.get(function (req, res) {
-        var connectionString = process.env.TOKEN;
-        res.json({ message: 'My connection string is ' + connectionString });
+        res.json({ message: 'OK', data: 'Llama.io task API is running' });
     });
 
     return router;
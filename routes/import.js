@@ -0,0 +1,40 @@
+// Load required packages
+var bodyParser = require('body-parser');
+var importService = require('../services/import');
+var permissions = require('../middleware/permissions');
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var handleError = response.handleError;
+
+var IMPORTERS = [permissions.ADMIN, permissions.MANAGER];
+
+// CSV files are posted as the raw request body
+var csvBody = bodyParser.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
+
+module.exports = function (router) {
+    // POST /api/import - Create users and tasks from a CSV or JSON file (dryRun=true only validates)
+    router.route('/import')
+        .post(permissions.requireRole(IMPORTERS, 'import', 'Only admins and managers may import users and tasks'),
+            csvBody, function (req, res) {
+                var format = req.is('text/csv') || req.query.format === 'csv' ? 'csv' : 'json';
+                var dryRun = req.query.dryRun === 'true' || (format === 'json' && req.body.dryRun === true);
+
+                importService.runImport(req.body, {
+                    format: format,
+                    type: req.query.type,
+                    dryRun: dryRun,
+                    actor: req.user
+                }).then(function (report) {
+                    if (dryRun) {
+                        return sendSuccess(res, 200, report.valid ?
+                            'Import is valid; nothing was written' :
+                            'Import has invalid rows; nothing was written', report);
+                    }
+                    sendSuccess(res, 201, 'Imported ' + (report.counts.created || 0) + ' rows', report);
+                }).catch(function (err) {
+                    handleError(res, err, 'Error importing users and tasks');
+                });
+            });
+
+    return router;
+};
@@ -1,8 +1,36 @@
 /*
- * Connect all of your endpoints together here.
+ * Connect all of your endpoints together here. Public endpoints go on the
+ * router server.js passes in; everything else goes on a second router that
+ * is mounted behind `authenticate`, so a route is protected by where it is
+ * registered rather than by the order of the lines below.
  */
+var express = require('express');
+var authenticate = require('../middleware/auth').authenticate;
+
 module.exports = function (app, router) {
-    app.use('/api', require('./home.js')(router));
-    app.use('/api', require('./users.js')(router));
-    app.use('/api', require('./tasks.js')(router));
+    // Public endpoints
+    var publicRouter = router || express.Router();
+    require('./home.js')(publicRouter);
+    require('./auth.js')(publicRouter);
+    // Calendar feeds authenticate themselves, with either a feed token or a bearer token
+    require('./calendar.js')(publicRouter);
+    app.use('/api', publicRouter);
+
+    // Endpoints that require a valid access token, checked once for the whole router
+    var protectedRouter = express.Router();
+    require('./users.js')(protectedRouter);
+    require('./tasks.js')(protectedRouter);
+    require('./admin.js')(protectedRouter);
+    require('./audit.js')(protectedRouter);
+    require('./search.js')(protectedRouter);
+    require('./webhooks.js')(protectedRouter);
+    require('./stream.js')(protectedRouter);
+    require('./import.js')(protectedRouter);
+    require('./trash.js')(protectedRouter);
+    require('./stats.js')(protectedRouter);
+    require('./projects.js')(protectedRouter);
+    require('./comments.js')(protectedRouter);
+    require('./labels.js')(protectedRouter);
+    require('./customFields.js')(protectedRouter);
+    app.use('/api', authenticate, protectedRouter);
 };
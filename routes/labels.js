@@ -0,0 +1,65 @@
+// Load required packages
+var Label = require('../models/label');
+var labelService = require('../services/labels');
+var permissions = require('../middleware/permissions');
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var sendError = response.sendError;
+var handleError = response.handleError;
+var parseQueryParams = require('../utils/query').parseQueryParams;
+var sendList = require('../utils/pagination').sendList;
+
+var managersOnly = permissions.requireRole([permissions.ADMIN, permissions.MANAGER], 'labels:manage',
+    'Only admins and managers may manage labels');
+
+module.exports = function (router) {
+    // GET /api/labels - List the label catalog
+    router.route('/labels')
+        .get(function (req, res) {
+            var parsed = parseQueryParams(req, undefined, Label);
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+
+            sendList(req, res, Label, parsed, 'labels');
+        })
+
+        // POST /api/labels - Add a label to the catalog
+        .post(managersOnly, function (req, res) {
+            labelService.createLabel(req.body).then(function (label) {
+                sendSuccess(res, 201, 'Label created successfully', label);
+            }).catch(function (err) {
+                handleError(res, err, 'Error creating label');
+            });
+        });
+
+    // GET /api/labels/:id - Get a specific label
+    router.route('/labels/:id')
+        .get(function (req, res) {
+            labelService.loadLabel(req.params.id, { session: null }).then(function (label) {
+                sendSuccess(res, 200, 'OK', label);
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving label');
+            });
+        })
+
+        // PUT /api/labels/:id - Replace a label, renaming it on every task
+        .put(managersOnly, function (req, res) {
+            labelService.updateLabel(req.params.id, req.body, { actor: req.user }).then(function (label) {
+                sendSuccess(res, 200, 'Label updated successfully', label);
+            }).catch(function (err) {
+                handleError(res, err, 'Error updating label');
+            });
+        })
+
+        // DELETE /api/labels/:id - Delete a label, taking it off every task
+        .delete(managersOnly, function (req, res) {
+            labelService.deleteLabel(req.params.id, { actor: req.user }).then(function () {
+                res.status(204).send();
+            }).catch(function (err) {
+                handleError(res, err, 'Error deleting label');
+            });
+        });
+
+    return router;
+};
@@ -0,0 +1,151 @@
+// Load required packages
+var Project = require('../models/project');
+var Task = require('../models/task');
+var User = require('../models/user');
+var projectService = require('../services/projects');
+var taskService = require('../services/tasks');
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var sendError = response.sendError;
+var handleError = response.handleError;
+var parseQueryParams = require('../utils/query').parseQueryParams;
+var sendList = require('../utils/pagination').sendList;
+var permissions = require('../middleware/permissions');
+
+var PROJECT_EDITORS = [permissions.ADMIN, permissions.MANAGER];
+var EDIT_FORBIDDEN = 'Only admins and managers may manage projects';
+var READ_FORBIDDEN = 'Members may only view projects they belong to';
+
+// Load the project of the request, which members may only see if they belong to it
+function visibleProject(req) {
+    return projectService.loadProject(req.params.id).then(function (project) {
+        if (!permissions.hasRole(req.user, PROJECT_EDITORS) &&
+            project.members.map(String).indexOf(req.user._id.toString()) === -1) {
+            throw permissions.forbidden(req.user, 'projects:read', READ_FORBIDDEN);
+        }
+        return project;
+    });
+}
+
+// AND `condition` into a parsed list query
+function scoped(parsed, condition) {
+    parsed.query = Object.keys(parsed.query).length > 0 ? { $and: [parsed.query, condition] } : condition;
+    return parsed;
+}
+
+module.exports = function (router) {
+    // GET /api/projects - List projects (members only see their own)
+    router.route('/projects')
+        .get(function (req, res) {
+            var parsed = parseQueryParams(req, undefined, Project);
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+            if (!permissions.hasRole(req.user, PROJECT_EDITORS)) {
+                scoped(parsed, { members: req.user._id.toString() });
+            }
+
+            sendList(req, res, Project, parsed, 'projects');
+        })
+
+        // POST /api/projects - Create a project
+        .post(permissions.requireRole(PROJECT_EDITORS, 'projects:create', EDIT_FORBIDDEN), function (req, res) {
+            projectService.createProject(req.body, { actor: req.user }).then(function (project) {
+                sendSuccess(res, 201, 'Project created successfully', project);
+            }).catch(function (err) {
+                handleError(res, err, 'Error creating project');
+            });
+        });
+
+    // GET /api/projects/:id - Get a specific project
+    router.route('/projects/:id')
+        .get(function (req, res) {
+            visibleProject(req).then(function (project) {
+                sendSuccess(res, 200, 'OK', project);
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving project');
+            });
+        })
+
+        // PUT /api/projects/:id - Replace a project (members are kept if omitted)
+        .put(permissions.requireRole(PROJECT_EDITORS, 'projects:update', EDIT_FORBIDDEN), function (req, res) {
+            projectService.updateProject(req.params.id, req.body, { actor: req.user }).then(function (project) {
+                sendSuccess(res, 200, 'Project updated successfully', project);
+            }).catch(function (err) {
+                handleError(res, err, 'Error updating project');
+            });
+        })
+
+        // DELETE /api/projects/:id - Delete a project, keeping its tasks outside of any project
+        .delete(permissions.requireRole(PROJECT_EDITORS, 'projects:delete', EDIT_FORBIDDEN), function (req, res) {
+            projectService.deleteProject(req.params.id, { actor: req.user }).then(function () {
+                res.status(204).send();
+            }).catch(function (err) {
+                handleError(res, err, 'Error deleting project');
+            });
+        });
+
+    // GET /api/projects/:id/tasks - List the tasks of a project
+    router.route('/projects/:id/tasks')
+        .get(function (req, res) {
+            var parsed = parseQueryParams(req, 100, Task);
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+
+            visibleProject(req).then(function (project) {
+                sendList(req, res, Task, scoped(parsed, { project: project._id.toString() }), 'tasks');
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving tasks');
+            });
+        })
+
+        // POST /api/projects/:id/tasks - Create a task in a project
+        .post(permissions.requireRole(PROJECT_EDITORS, 'tasks:create', 'Only admins and managers may create tasks'), function (req, res) {
+            var body = Object.assign({}, req.body, { project: req.params.id });
+            projectService.loadProject(req.params.id).then(function () {
+                return taskService.createTask(body, { actor: req.user });
+            }).then(function (task) {
+                sendSuccess(res, 201, 'Task created successfully', task, task.$locals.assignment ?
+                    { assignment: task.$locals.assignment } : undefined);
+            }).catch(function (err) {
+                handleError(res, err, 'Error creating task');
+            });
+        });
+
+    // GET /api/projects/:id/users - List the members of a project
+    router.route('/projects/:id/users')
+        .get(function (req, res) {
+            var parsed = parseQueryParams(req, undefined, User);
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+
+            visibleProject(req).then(function (project) {
+                sendList(req, res, User, scoped(parsed, { _id: { $in: project.members } }), 'users');
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving users');
+            });
+        })
+
+        // POST /api/projects/:id/users - Add a member ({ "user": "<id>" })
+        .post(permissions.requireRole(PROJECT_EDITORS, 'projects:update', EDIT_FORBIDDEN), function (req, res) {
+            projectService.addMember(req.params.id, req.body.user, { actor: req.user }).then(function (project) {
+                sendSuccess(res, 200, 'Member added successfully', project);
+            }).catch(function (err) {
+                handleError(res, err, 'Error adding member');
+            });
+        });
+
+    // DELETE /api/projects/:id/users/:userId - Remove a member, unassigning their tasks in the project
+    router.route('/projects/:id/users/:userId')
+        .delete(permissions.requireRole(PROJECT_EDITORS, 'projects:update', EDIT_FORBIDDEN), function (req, res) {
+            projectService.removeMember(req.params.id, req.params.userId, { actor: req.user }).then(function (project) {
+                sendSuccess(res, 200, 'Member removed successfully', project);
+            }).catch(function (err) {
+                handleError(res, err, 'Error removing member');
+            });
+        });
+
+    return router;
+};
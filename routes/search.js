@@ -0,0 +1,86 @@
+// Load required packages
+var Task = require('../models/task');
+var User = require('../models/user');
+var search = require('../services/search');
+var projectService = require('../services/projects');
+var parseQueryParams = require('../utils/query').parseQueryParams;
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var sendError = response.sendError;
+var handleError = response.handleError;
+
+var MODELS = { task: Task, user: User };
+var TYPES = Object.keys(MODELS);
+var DEFAULT_LIMIT = 20;
+// Parameters of the search itself; anything else is a filter, which needs a single type
+var SEARCH_PARAMS = ['q', 'type', 'limit', 'access_token'];
+// List parameters that make no sense for results ranked by relevance
+var UNSUPPORTED_PARAMS = ['sort', 'skip', 'cursor', 'count', 'format'];
+
+module.exports = function (router) {
+    // GET /api/search - Ranked full-text search across tasks and users
+    router.route('/search')
+        .get(function (req, res) {
+            if (typeof req.query.q !== 'string' || !req.query.q.trim()) {
+                return sendError(res, 400, 'Search query q is required');
+            }
+
+            var types = TYPES;
+            if (req.query.type) {
+                types = String(req.query.type).split(',');
+                var unknown = types.filter(function (type) {
+                    return TYPES.indexOf(type) === -1;
+                });
+                if (unknown.length > 0) {
+                    return sendError(res, 400, 'Invalid type parameter. Must be one or more of: ' + TYPES.join(', '));
+                }
+            }
+
+            var limit = DEFAULT_LIMIT;
+            if (req.query.limit) {
+                limit = parseInt(req.query.limit);
+                if (isNaN(limit) || limit < 1) {
+                    return sendError(res, 400, 'Invalid limit parameter. Must be a positive number.');
+                }
+            }
+
+            var unsupported = UNSUPPORTED_PARAMS.filter(function (param) {
+                return req.query[param] !== undefined;
+            });
+            if (unsupported.length > 0) {
+                return sendError(res, 400, 'Search results are ranked by relevance and do not support ' + unsupported.join(', ') +
+                    '. Use GET /api/tasks or /api/users with q instead.');
+            }
+
+            // where/filter, select and query string filters, validated like the list endpoints
+            var options = { types: types, limit: limit };
+            if (types.length === 1) {
+                var parsed = parseQueryParams(req, undefined, MODELS[types[0]]);
+                if (parsed.error) {
+                    return sendError(res, 400, parsed.error);
+                }
+                options.filter = parsed.query;
+                options.select = parsed.options.select;
+            } else {
+                var filters = Object.keys(req.query).filter(function (param) {
+                    return SEARCH_PARAMS.indexOf(param) === -1;
+                });
+                if (filters.length > 0) {
+                    return sendError(res, 400, 'Filtering search results (' + filters.join(', ') +
+                        ') requires a single type parameter, e.g. type=task.');
+                }
+            }
+
+            // Members only find the tasks of their own projects
+            projectService.taskScope(req.user).then(function (scope) {
+                options.scopes = { task: scope };
+                return search.searchAll(req.query.q.trim(), options);
+            }).then(function (results) {
+                sendSuccess(res, 200, 'OK', results);
+            }).catch(function (err) {
+                handleError(res, err, 'Error searching');
+            });
+        });
+
+    return router;
+};
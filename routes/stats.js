@@ -0,0 +1,50 @@
+// Load required packages
+var Task = require('../models/task');
+var stats = require('../services/stats');
+var permissions = require('../middleware/permissions');
+var parseQueryParams = require('../utils/query').parseQueryParams;
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var sendError = response.sendError;
+var handleError = response.handleError;
+
+var STATS_READERS = [permissions.ADMIN, permissions.MANAGER];
+
+module.exports = function (router) {
+    // GET /api/stats - Team workload report over the tasks matching where/from/to
+    router.route('/stats')
+        .get(permissions.requireRole(STATS_READERS, 'stats:read', 'Only admins and managers may view team statistics'),
+            function (req, res) {
+                var parsed = parseQueryParams(req, undefined, Task);
+                if (parsed.error) {
+                    return sendError(res, 400, parsed.error);
+                }
+
+                stats.overview(parsed.query, req.query).then(function (report) {
+                    sendSuccess(res, 200, 'OK', report);
+                }).catch(function (err) {
+                    handleError(res, err, 'Error computing statistics');
+                });
+            });
+
+    // GET /api/users/:id/stats - Workload report over the tasks assigned to one user
+    router.route('/users/:id/stats')
+        .get(function (req, res) {
+            if (req.user._id.toString() !== req.params.id && req.user.role === permissions.MEMBER) {
+                return permissions.sendForbidden(res, req.user, 'users:stats',
+                    'Members may only view their own statistics');
+            }
+            var parsed = parseQueryParams(req, undefined, Task);
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+
+            stats.forUser(req.params.id, parsed.query, req.query).then(function (report) {
+                sendSuccess(res, 200, 'OK', report);
+            }).catch(function (err) {
+                handleError(res, err, 'Error computing statistics');
+            });
+        });
+
+    return router;
+};
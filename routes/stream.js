@@ -0,0 +1,136 @@
+// Load required packages
+var stream = require('../services/stream');
+var projectService = require('../services/projects');
+var Task = require('../models/task');
+var User = require('../models/user');
+var match = require('../utils/match');
+var filters = require('../utils/filter');
+var response = require('../utils/response');
+var sendError = response.sendError;
+var handleError = response.handleError;
+
+var TYPES = ['task', 'user'];
+var MODELS = { task: Task, user: User };
+var HEARTBEAT_MS = 25 * 1000;
+var RETRY_MS = 5000;
+
+// Whether a change is relevant to a subscriber with this type list, where filter and task scope
+function wanted(event, types, where, scope) {
+    if (types.indexOf(event.entityType) === -1) {
+        return false;
+    }
+    // Members only hear about the tasks they may read, as they are sent
+    if (event.entityType === 'task' && !projectService.inScope(scope, event.after || event.before)) {
+        return false;
+    }
+    if (!where) {
+        return true;
+    }
+    // Matching either side lets clients see documents leave their filter as well as enter it
+    return [event.before, event.after].some(function (doc) {
+        return doc && match.matches(doc, where);
+    });
+}
+
+function writeEvent(res, event) {
+    res.write('id: ' + event.id + '\n');
+    res.write('event: ' + event.types[0] + '\n');
+    res.write('data: ' + JSON.stringify({
+        id: event.id,
+        type: event.types[0],
+        types: event.types,
+        entityType: event.entityType,
+        entityId: event.entityId,
+        action: event.action,
+        document: event.after || event.before,
+        changes: event.changes,
+        actor: event.actor,
+        occurredAt: event.occurredAt
+    }) + '\n\n');
+}
+
+module.exports = function (router) {
+    // GET /api/stream - Server-Sent Events for task and user changes as they are committed
+    router.route('/stream')
+        .get(function (req, res) {
+            var types = TYPES;
+            if (req.query.type) {
+                types = String(req.query.type).split(',');
+                var unknown = types.filter(function (type) {
+                    return TYPES.indexOf(type) === -1;
+                });
+                if (unknown.length > 0) {
+                    return sendError(res, 400, 'Invalid type parameter. Must be one or more of: ' + TYPES.join(', '));
+                }
+            }
+
+            var where = null;
+            if (req.query.where) {
+                try {
+                    where = JSON.parse(req.query.where);
+                } catch (e) {
+                    return sendError(res, 400, 'Invalid where parameter. Must be valid JSON.');
+                }
+                // Fields of any of the streamed collections, checked like the list endpoints' where
+                var fields = [].concat.apply([], types.map(function (type) {
+                    return filters.fieldsFor(MODELS[type]);
+                }));
+                var invalid = filters.validate(where, fields) || match.validate(where);
+                if (invalid) {
+                    return sendError(res, 400, 'Invalid where parameter. ' + invalid + '.');
+                }
+            }
+
+            projectService.taskScope(req.user).then(function (scope) {
+                // The client may have gone while its scope was looked up
+                if (res.destroyed) {
+                    return;
+                }
+                res.status(200).set({
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive',
+                    'X-Accel-Buffering': 'no'
+                });
+                res.flushHeaders();
+                res.write('retry: ' + RETRY_MS + '\n\n');
+
+                function send(event) {
+                    if (wanted(event, types, where, scope)) {
+                        writeEvent(res, event);
+                    }
+                }
+
+                // Catch up on what a reconnecting client missed; both steps run in the same tick so nothing slips in between
+                var lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+                if (lastEventId) {
+                    var missed = stream.since(String(lastEventId));
+                    if (missed) {
+                        missed.forEach(send);
+                    } else {
+                        res.write('event: reset\ndata: ' + JSON.stringify({
+                            message: 'Events since ' + lastEventId + ' are no longer available; re-fetch your data'
+                        }) + '\n\n');
+                    }
+                }
+                var unsubscribe = stream.subscribe(send);
+
+                // The heartbeat also picks up project membership changes; a failed refresh keeps the old scope
+                var heartbeat = setInterval(function () {
+                    res.write(': ping\n\n');
+                    projectService.taskScope(req.user).then(function (fresh) {
+                        scope = fresh;
+                    }).catch(function () {});
+                }, HEARTBEAT_MS);
+
+                req.on('close', function () {
+                    clearInterval(heartbeat);
+                    unsubscribe();
+                });
+            }).catch(function (err) {
+                handleError(res, err, 'Error opening stream');
+            });
+        });
+
+    return router;
+};
@@ -1,200 +1,115 @@
 // Load required packages
 var Task = require('../models/task');
-var User = require('../models/user');
-
-function parseQueryParams(req, defaultLimit) {
-    var query = {};
-    var options = {};
-
-    // Parse 'where' or 'filter' parameter
-    if (req.query.where) {
-        try {
-            var whereParam = typeof req.query.where === 'string' ? req.query.where : JSON.stringify(req.query.where);
-            query = JSON.parse(whereParam);
-        } catch (e) {
-            return { error: 'Invalid where parameter. Must be valid JSON.' };
-        }
-    } else if (req.query.filter) {
-        try {
-            var filterParam;
-            if (typeof req.query.filter === 'string') {
-                filterParam = JSON.parse(req.query.filter);
-            } else {
-                filterParam = req.query.filter;
-            }
-            
-            var isProjection = true;
-            for (var key in filterParam) {
-                if (filterParam.hasOwnProperty(key)) {
-                    var val = filterParam[key];
-                    if (typeof val !== 'number' || (val !== 1 && val !== 0)) {
-                        isProjection = false;
-                        break;
-                    }
-                }
-            }
-            if (isProjection && Object.keys(filterParam).length > 0) {
-                options.select = filterParam;
-            } else {
-                query = filterParam;
-            }
-        } catch (e) {
-            return { error: 'Invalid filter parameter. Must be valid JSON.' };
-        }
-    }
-
-    // Parse 'sort' parameter
-    if (req.query.sort) {
-        try {
-            options.sort = JSON.parse(req.query.sort);
-        } catch (e) {
-            return { error: 'Invalid sort parameter. Must be valid JSON.' };
-        }
-    }
-
-    // Parse 'select' parameter
-    if (req.query.select) {
-        try {
-            options.select = JSON.parse(req.query.select);
-        } catch (e) {
-            return { error: 'Invalid select parameter. Must be valid JSON.' };
-        }
-    }
-
-    // Parse 'skip' parameter
-    if (req.query.skip) {
-        options.skip = parseInt(req.query.skip);
-        if (isNaN(options.skip)) {
-            return { error: 'Invalid skip parameter. Must be a number.' };
-        }
-    }
-
-    // Parse 'limit' parameter
-    if (req.query.limit) {
-        options.limit = parseInt(req.query.limit);
-        if (isNaN(options.limit)) {
-            return { error: 'Invalid limit parameter. Must be a number.' };
+var taskService = require('../services/tasks');
+var projectService = require('../services/projects');
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var sendError = response.sendError;
+var handleError = response.handleError;
+var parseQueryParams = require('../utils/query').parseQueryParams;
+var sendList = require('../utils/pagination').sendList;
+var filters = require('../utils/filter');
+var etag = require('../utils/etag');
+var patches = require('../utils/patch');
+var csv = require('../utils/csv');
+var permissions = require('../middleware/permissions');
+var audit = require('../services/audit');
+var bulk = require('../services/bulk');
+var dependencies = require('../services/dependencies');
+
+var TASK_EDITORS = [permissions.ADMIN, permissions.MANAGER];
+var CREATE_FORBIDDEN = 'Only admins and managers may create tasks';
+var DELETE_FORBIDDEN = 'Only admins and managers may delete tasks';
+var RESTORE_FORBIDDEN = 'Only admins and managers may restore tasks';
+
+var FORMATS = ['json', 'csv'];
+var CSV_COLUMNS = ['_id', 'name', 'description', 'deadline', 'completed', 'assignedUser', 'assignedUserName',
+    'parentTask', 'blockedBy', 'progress', 'series', 'occurrence', 'project', 'priority', 'labels', 'dateCreated'];
+
+// Service check that rejects updates the user's role does not allow
+function updateCheck(user) {
+    return function (task, fields) {
+        var violation = permissions.taskUpdateViolation(user, task, fields);
+        if (violation) {
+            throw permissions.forbidden(user, 'tasks:update', violation);
         }
-    } else if (defaultLimit !== undefined) {
-        options.limit = defaultLimit;
-    }
-
-    // Parse 'count' parameter
-    var count = req.query.count === 'true';
-
-    return { query, options, count };
-}
-
-function sendSuccess(res, statusCode, message, data) {
-    res.status(statusCode).json({
-        message: message,
-        data: data
-    });
-}
-
-function sendError(res, statusCode, message, data) {
-    res.status(statusCode).json({
-        message: message,
-        data: data || null
-    });
+    };
 }
 
 module.exports = function (router) {
     // GET /api/tasks - List all tasks
     router.route('/tasks')
         .get(function (req, res) {
-            var parsed = parseQueryParams(req, 100); // default limit 100 for tasks
-            if (parsed.error) {
-                return sendError(res, 400, parsed.error);
-            }
-
-            var { query, options, count } = parsed;
-
-            var mongooseQuery = Task.find(query);
-
-            if (options.sort) {
-                mongooseQuery.sort(options.sort);
-            }
-
-            if (options.select) {
-                mongooseQuery.select(options.select);
+            if (req.query.format && FORMATS.indexOf(req.query.format) === -1) {
+                return sendError(res, 400, 'Invalid format parameter. Must be one of: ' + FORMATS.join(', '));
             }
+            var exportCsv = csv.wantsCsv(req);
 
-            if (options.skip) {
-                mongooseQuery.skip(options.skip);
-            }
-
-            if (options.limit) {
-                mongooseQuery.limit(options.limit);
+            // Exports are streamed, so they are only limited when the client asks
+            var parsed = parseQueryParams(req, exportCsv ? undefined : 100, Task); // default limit 100 for tasks
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
             }
 
-            if (count) {
-                mongooseQuery.countDocuments().then(function (count) {
-                    sendSuccess(res, 200, 'OK', count);
-                }).catch(function (err) {
-                    sendError(res, 500, 'Error counting tasks', err.message);
-                });
-            } else {
-                mongooseQuery.exec().then(function (tasks) {
-                    sendSuccess(res, 200, 'OK', tasks);
-                }).catch(function (err) {
-                    sendError(res, 500, 'Error retrieving tasks', err.message);
-                });
-            }
+            // Members only list the tasks of their own projects
+            projectService.taskScope(req.user).then(function (scope) {
+                if (scope) {
+                    parsed.query = Object.keys(parsed.query).length > 0 ? { $and: [parsed.query, scope] } : scope;
+                }
+                if (exportCsv) {
+                    csv.sendCsv(req, res, Task, parsed, CSV_COLUMNS, 'tasks.csv', 'tasks');
+                } else {
+                    sendList(req, res, Task, parsed, 'tasks');
+                }
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving tasks');
+            });
         })
 
         // POST /api/tasks - Create a new task
-        .post(function (req, res) {
-            if (!req.body.name || !req.body.deadline) {
-                return sendError(res, 400, 'Task must have a name and deadline');
-            }
-
-            var task = new Task();
-            task.name = req.body.name;
-            task.description = req.body.description || "";
-            task.deadline = req.body.deadline;
-            task.completed = req.body.completed === true || req.body.completed === 'true' || false;
-            task.assignedUser = req.body.assignedUser || "";
-            task.assignedUserName = req.body.assignedUserName || "unassigned";
+        .post(permissions.requireRole(TASK_EDITORS, 'tasks:create', CREATE_FORBIDDEN), function (req, res) {
+            taskService.createTask(req.body, { actor: req.user }).then(function (task) {
+                // Auto-assigned tasks also say who was picked and why
+                sendSuccess(res, 201, 'Task created successfully', task, task.$locals.assignment ?
+                    { assignment: task.$locals.assignment } : undefined);
+            }).catch(function (err) {
+                handleError(res, err, 'Error creating task');
+            });
+        });
 
-            // If assignedUser is provided but assignedUserName is not, fetch it from the user
-            var fetchUserNamePromise = Promise.resolve();
-            if (task.assignedUser && task.assignedUser !== "" && (!req.body.assignedUserName || req.body.assignedUserName === "unassigned")) {
-                fetchUserNamePromise = User.findById(task.assignedUser).then(function (user) {
-                    if (user) {
-                        task.assignedUserName = user.name;
-                    } else {
-                        task.assignedUserName = "unassigned";
+    // POST /api/tasks/bulk - Apply many create/update/delete operations, reporting a result per item
+    router.route('/tasks/bulk')
+        .post(function (req, res) {
+            bulk.runBulk(req.body, {
+                create: function (operation) {
+                    if (!permissions.hasRole(req.user, TASK_EDITORS)) {
+                        throw permissions.forbidden(req.user, 'tasks:create', CREATE_FORBIDDEN);
                     }
-                }).catch(function () {
-                    task.assignedUserName = "unassigned";
-                });
-            }
-
-            fetchUserNamePromise.then(function () {
-                return task.save();
-            }).then(function (savedTask) {
-                // If task is assigned to a user and not completed, add to user's pendingTasks
-                if (savedTask.assignedUser && savedTask.assignedUser !== "" && !savedTask.completed) {
-                    User.findById(savedTask.assignedUser).then(function (user) {
-                        if (user) {
-                            if (!user.pendingTasks.includes(savedTask._id.toString())) {
-                                user.pendingTasks.push(savedTask._id.toString());
-                                return user.save();
-                            }
-                        }
-                    }).then(function () {
-                        sendSuccess(res, 201, 'Task created successfully', savedTask);
-                    }).catch(function (err) {
-                        // Task was created, just log the error
-                        console.error('Error updating user pending tasks:', err);
-                        sendSuccess(res, 201, 'Task created successfully', savedTask);
+                    return taskService.createTask(operation.data || {}, { actor: req.user }).then(function (task) {
+                        return { status: 201, message: 'Task created successfully', data: task };
+                    });
+                },
+                update: function (operation) {
+                    return taskService.updateTask(operation.id, operation.data || {}, {
+                        actor: req.user,
+                        check: updateCheck(req.user)
+                    }).then(function (task) {
+                        return { status: 200, message: 'Task updated successfully', data: task };
+                    });
+                },
+                delete: function (operation) {
+                    if (!permissions.hasRole(req.user, TASK_EDITORS)) {
+                        throw permissions.forbidden(req.user, 'tasks:delete', DELETE_FORBIDDEN);
+                    }
+                    return taskService.deleteTask(operation.id, { actor: req.user }).then(function () {
+                        return { status: 204, message: 'Task deleted successfully' };
                     });
-                } else {
-                    sendSuccess(res, 201, 'Task created successfully', savedTask);
                 }
+            }, 'Error processing task operation').then(function (summary) {
+                sendSuccess(res, 200, 'Processed ' + summary.results.length + ' operations (' +
+                    summary.failed + ' failed)', summary);
             }).catch(function (err) {
-                sendError(res, 500, 'Error creating task', err.message);
+                handleError(res, err, 'Error processing bulk task operations');
             });
         });
 
@@ -207,143 +122,157 @@ module.exports = function (router) {
             if (req.query.select) {
                 try {
                     var select = JSON.parse(req.query.select);
-                    query.select(select);
                 } catch (e) {
                     return sendError(res, 400, 'Invalid select parameter. Must be valid JSON.');
                 }
+                var rejected = select !== null && typeof select === 'object' && !Array.isArray(select) ?
+                    filters.validateKeys(select, filters.fieldsFor(Task), filters.SELECT_VALUES) :
+                    'Must be a JSON object';
+                if (rejected) {
+                    return sendError(res, 400, 'Invalid select parameter. ' + rejected + '.');
+                }
+                query.select(select);
             }
 
-            query.exec().then(function (task) {
+            projectService.checkTaskAccess(req.user, req.params.id).then(function () {
+                return query.exec();
+            }).then(function (task) {
                 if (!task) {
                     return sendError(res, 404, 'Task not found');
                 }
+                if (etag.notModified(req, task)) {
+                    return res.status(304).end();
+                }
+                etag.setETag(res, task);
                 sendSuccess(res, 200, 'OK', task);
             }).catch(function (err) {
-                sendError(res, 500, 'Error retrieving task', err.message);
+                handleError(res, err, 'Error retrieving task');
             });
         })
 
         // PUT /api/tasks/:id - Update a task
         .put(function (req, res) {
-            if (!req.body.name || !req.body.deadline) {
-                return sendError(res, 400, 'Task must have a name and deadline');
-            }
+            taskService.updateTask(req.params.id, req.body, {
+                actor: req.user,
+                check: updateCheck(req.user),
+                ifMatch: etag.ifMatchFrom(req)
+            }).then(function (task) {
+                etag.setETag(res, task);
+                sendSuccess(res, 200, 'Task updated successfully', task);
+            }).catch(function (err) {
+                handleError(res, err, 'Error updating task');
+            });
+        })
 
-            Task.findById(req.params.id).then(function (task) {
-                if (!task) {
-                    return sendError(res, 404, 'Task not found');
-                }
+        // PATCH /api/tasks/:id - Update some fields of a task (merge patch or JSON Patch)
+        .patch(function (req, res) {
+            taskService.patchTask(req.params.id, req.body, {
+                actor: req.user,
+                check: updateCheck(req.user),
+                ifMatch: etag.ifMatchFrom(req),
+                patchType: patches.typeOf(req)
+            }).then(function (task) {
+                etag.setETag(res, task);
+                sendSuccess(res, 200, 'Task updated successfully', task);
+            }).catch(function (err) {
+                handleError(res, err, 'Error updating task');
+            });
+        })
 
-                var oldAssignedUser = task.assignedUser ? task.assignedUser.toString() : "";
-                var oldCompleted = task.completed;
-                var newAssignedUser = req.body.assignedUser || "";
-                var newAssignedUserName = req.body.assignedUserName || "unassigned";
-                var newCompleted = req.body.completed === true || req.body.completed === 'true' || false;
+        // DELETE /api/tasks/:id - Delete a task
+        .delete(permissions.requireRole(TASK_EDITORS, 'tasks:delete', DELETE_FORBIDDEN), function (req, res) {
+            taskService.deleteTask(req.params.id, { actor: req.user, ifMatch: etag.ifMatchFrom(req) }).then(function () {
+                res.status(204).send();
+            }).catch(function (err) {
+                handleError(res, err, 'Error deleting task');
+            });
+        });
 
-                // If assignedUser is provided but assignedUserName is not, fetch it from the user
-                var fetchUserNamePromise = Promise.resolve();
-                if (newAssignedUser && newAssignedUser !== "" && (!req.body.assignedUserName || req.body.assignedUserName === "unassigned")) {
-                    fetchUserNamePromise = User.findById(newAssignedUser).then(function (user) {
-                        if (user) {
-                            newAssignedUserName = user.name;
-                        } else {
-                            newAssignedUserName = "unassigned";
-                        }
-                    }).catch(function () {
-                        newAssignedUserName = "unassigned";
-                    });
-                }
+    // GET /api/tasks/:id/subtasks - Direct subtasks of a task
+    router.route('/tasks/:id/subtasks')
+        .get(function (req, res) {
+            projectService.checkTaskAccess(req.user, req.params.id).then(function (scope) {
+                return dependencies.subtasksOf(req.params.id, scope);
+            }).then(function (tasks) {
+                sendSuccess(res, 200, 'OK', tasks);
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving subtasks');
+            });
+        });
 
-                return fetchUserNamePromise.then(function () {
-                    task.name = req.body.name;
-                    task.description = req.body.description || "";
-                    task.deadline = req.body.deadline;
-                    task.completed = newCompleted;
-                    task.assignedUser = newAssignedUser;
-                    task.assignedUserName = newAssignedUserName;
-                    // Don't update dateCreated
+    // GET /api/tasks/:id/dependencies - Graph of the tasks blocking, or blocked by, a task
+    router.route('/tasks/:id/dependencies')
+        .get(function (req, res) {
+            projectService.checkTaskAccess(req.user, req.params.id).then(function (scope) {
+                return dependencies.dependencyGraph(req.params.id, scope);
+            }).then(function (graph) {
+                sendSuccess(res, 200, 'OK', graph);
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving task dependencies');
+            });
+        });
 
-                    return task.save();
-                }).then(function (updatedTask) {
-                    var taskId = updatedTask._id.toString();
+    // GET /api/tasks/:id/series - Every occurrence of the recurring series a task belongs to
+    router.route('/tasks/:id/series')
+        .get(function (req, res) {
+            projectService.checkTaskAccess(req.user, req.params.id).then(function () {
+                return taskService.getSeries(req.params.id);
+            }).then(function (tasks) {
+                sendSuccess(res, 200, 'OK', tasks);
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving task series');
+            });
+        })
 
-                    // Remove from old user's pendingTasks if assigned user changed or task is now completed
-                    if (oldAssignedUser && oldAssignedUser !== "" && 
-                        (oldAssignedUser !== newAssignedUser || (newCompleted && !oldCompleted))) {
-                        return User.findById(oldAssignedUser).then(function (oldUser) {
-                            if (oldUser) {
-                                oldUser.pendingTasks = oldUser.pendingTasks.filter(function (id) {
-                                    return id.toString() !== taskId;
-                                });
-                                return oldUser.save();
-                            }
-                        }).then(function () {
-                            // Add to new user's pendingTasks if assigned and not completed
-                            if (newAssignedUser && newAssignedUser !== "" && !newCompleted) {
-                                return User.findById(newAssignedUser).then(function (newUser) {
-                                    if (newUser) {
-                                        if (!newUser.pendingTasks.includes(taskId)) {
-                                            newUser.pendingTasks.push(taskId);
-                                            return newUser.save();
-                                        }
-                                    }
-                                });
-                            }
-                        }).then(function () {
-                            sendSuccess(res, 200, 'Task updated successfully', updatedTask);
-                        });
-                    } else if (newAssignedUser && newAssignedUser !== "" && !newCompleted && oldAssignedUser !== newAssignedUser) {
-                        // Task is newly assigned or changed from unassigned
-                        return User.findById(newAssignedUser).then(function (newUser) {
-                            if (newUser) {
-                                if (!newUser.pendingTasks.includes(taskId)) {
-                                    newUser.pendingTasks.push(taskId);
-                                    return newUser.save();
-                                }
-                            }
-                        }).then(function () {
-                            sendSuccess(res, 200, 'Task updated successfully', updatedTask);
-                        });
-                    } else {
-                        sendSuccess(res, 200, 'Task updated successfully', updatedTask);
-                    }
-                });
+        // PUT /api/tasks/:id/series - Change the rule, name, description or assignee of the open occurrences
+        .put(permissions.requireRole(TASK_EDITORS, 'tasks:update', 'Only admins and managers may edit a series'), function (req, res) {
+            taskService.updateSeries(req.params.id, req.body, { actor: req.user }).then(function (tasks) {
+                sendSuccess(res, 200, 'Series updated successfully', tasks);
             }).catch(function (err) {
-                sendError(res, 500, 'Error updating task', err.message);
+                handleError(res, err, 'Error updating task series');
             });
         })
 
-        // DELETE /api/tasks/:id - Delete a task
-        .delete(function (req, res) {
-            Task.findById(req.params.id).then(function (task) {
-                if (!task) {
-                    return sendError(res, 404, 'Task not found');
-                }
+        // DELETE /api/tasks/:id/series - Stop the series; existing occurrences are kept
+        .delete(permissions.requireRole(TASK_EDITORS, 'tasks:update', 'Only admins and managers may stop a series'), function (req, res) {
+            taskService.stopSeries(req.params.id, { actor: req.user }).then(function (tasks) {
+                sendSuccess(res, 200, 'Series stopped successfully', tasks);
+            }).catch(function (err) {
+                handleError(res, err, 'Error stopping task series');
+            });
+        });
 
-                var taskId = task._id.toString();
-                var assignedUser = task.assignedUser ? task.assignedUser.toString() : "";
+    // POST /api/tasks/:id/auto-assign - Assign an unassigned task by workload ({strategy, candidates})
+    router.route('/tasks/:id/auto-assign')
+        .post(permissions.requireRole(TASK_EDITORS, 'tasks:assign', 'Only admins and managers may assign tasks'), function (req, res) {
+            taskService.autoAssignTask(req.params.id, req.body, { actor: req.user }).then(function (task) {
+                etag.setETag(res, task);
+                sendSuccess(res, 200, 'Task assigned to ' + task.assignedUserName, task, { assignment: task.$locals.assignment });
+            }).catch(function (err) {
+                handleError(res, err, 'Error assigning task');
+            });
+        });
 
-                // Remove task from user's pendingTasks
-                if (assignedUser && assignedUser !== "") {
-                    return User.findById(assignedUser).then(function (user) {
-                        if (user) {
-                            user.pendingTasks = user.pendingTasks.filter(function (id) {
-                                return id.toString() !== taskId;
-                            });
-                            return user.save();
-                        }
-                    }).then(function () {
-                        return Task.findByIdAndDelete(taskId);
-                    }).then(function () {
-                        res.status(204).send();
-                    });
-                } else {
-                    return Task.findByIdAndDelete(taskId).then(function () {
-                        res.status(204).send();
-                    });
-                }
+    // POST /api/tasks/:id/restore - Bring a task back from the trash
+    router.route('/tasks/:id/restore')
+        .post(permissions.requireRole(TASK_EDITORS, 'tasks:restore', RESTORE_FORBIDDEN), function (req, res) {
+            taskService.restoreTask(req.params.id, { actor: req.user }).then(function (task) {
+                etag.setETag(res, task);
+                sendSuccess(res, 200, 'Task restored successfully', task);
+            }).catch(function (err) {
+                handleError(res, err, 'Error restoring task');
+            });
+        });
+
+    // GET /api/tasks/:id/history - Audit trail of a task, oldest first
+    router.route('/tasks/:id/history')
+        .get(function (req, res) {
+            projectService.checkTaskAccess(req.user, req.params.id).then(function () {
+                return audit.history('task', req.params.id);
+            }).then(function (entries) {
+                sendSuccess(res, 200, 'OK', entries);
             }).catch(function (err) {
-                sendError(res, 500, 'Error deleting task', err.message);
+                handleError(res, err, 'Error retrieving task history');
             });
         });
 
@@ -0,0 +1,42 @@
+// Load required packages
+var trash = require('../services/trash');
+var permissions = require('../middleware/permissions');
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var sendError = response.sendError;
+var handleError = response.handleError;
+
+var DEFAULT_LIMIT = 100;
+// MongoDB reads a limit of 0 as no limit at all, so 0 is refused along with anything above this
+var MAX_LIMIT = 1000;
+
+module.exports = function (router) {
+    // GET /api/trash - Deleted tasks and users that can still be restored, most recently deleted first
+    router.route('/trash')
+        .get(permissions.requireRole([permissions.ADMIN, permissions.MANAGER], 'trash:read',
+            'Only admins and managers may browse the trash'), function (req, res) {
+            var types = trash.TYPES;
+            if (req.query.type) {
+                if (trash.TYPES.indexOf(req.query.type) === -1) {
+                    return sendError(res, 400, 'Invalid type parameter. Must be one of: ' + trash.TYPES.join(', '));
+                }
+                types = [req.query.type];
+            }
+            var skip = req.query.skip ? parseInt(req.query.skip) : 0;
+            if (isNaN(skip) || skip < 0) {
+                return sendError(res, 400, 'Invalid skip parameter. Must be a non-negative number.');
+            }
+            var limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_LIMIT;
+            if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+                return sendError(res, 400, 'Invalid limit parameter. Must be a number from 1 to ' + MAX_LIMIT + '.');
+            }
+
+            trash.list(types, skip, limit).then(function (items) {
+                sendSuccess(res, 200, 'OK', items);
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving the trash');
+            });
+        });
+
+    return router;
+};
@@ -1,207 +1,123 @@
 // Load required packages
 var User = require('../models/user');
-var Task = require('../models/task');
-
-function parseQueryParams(req, defaultLimit) {
-    var query = {};
-    var options = {};
-
-    // Parse 'where' or 'filter' parameter
-    if (req.query.where) {
-        try {
-            var whereParam = typeof req.query.where === 'string' ? req.query.where : JSON.stringify(req.query.where);
-            query = JSON.parse(whereParam);
-        } catch (e) {
-            return { error: 'Invalid where parameter. Must be valid JSON.' };
-        }
-    } else if (req.query.filter) {
-        try {
-            var filterParam;
-            if (typeof req.query.filter === 'string') {
-                filterParam = JSON.parse(req.query.filter);
-            } else {
-                filterParam = req.query.filter;
-            }
-            
-            var isProjection = true;
-            for (var key in filterParam) {
-                if (filterParam.hasOwnProperty(key)) {
-                    var val = filterParam[key];
-                    if (typeof val !== 'number' || (val !== 1 && val !== 0)) {
-                        isProjection = false;
-                        break;
-                    }
-                }
-            }
-            if (isProjection && Object.keys(filterParam).length > 0) {
-                options.select = filterParam;
-            } else {
-                query = filterParam;
-            }
-        } catch (e) {
-            return { error: 'Invalid filter parameter. Must be valid JSON.' };
-        }
-    }
-
-    // Parse 'sort' parameter
-    if (req.query.sort) {
-        try {
-            options.sort = JSON.parse(req.query.sort);
-        } catch (e) {
-            return { error: 'Invalid sort parameter. Must be valid JSON.' };
-        }
-    }
-
-    // Parse 'select' parameter
-    if (req.query.select) {
-        try {
-            options.select = JSON.parse(req.query.select);
-        } catch (e) {
-            return { error: 'Invalid select parameter. Must be valid JSON.' };
-        }
-    }
+var userService = require('../services/users');
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var sendError = response.sendError;
+var handleError = response.handleError;
+var parseQueryParams = require('../utils/query').parseQueryParams;
+var sendList = require('../utils/pagination').sendList;
+var filters = require('../utils/filter');
+var etag = require('../utils/etag');
+var patches = require('../utils/patch');
+var permissions = require('../middleware/permissions');
+var audit = require('../services/audit');
+var bulk = require('../services/bulk');
+var notifications = require('../services/notifications');
+var projects = require('../services/projects');
+var Notification = require('../models/notification');
+
+var USER_EDITORS = [permissions.ADMIN, permissions.MANAGER];
+var CREATE_FORBIDDEN = 'Only admins and managers may create users';
+var DELETE_FORBIDDEN = 'Only admins may delete users';
+var RESTORE_FORBIDDEN = 'Only admins may restore users';
+var NOTIFICATIONS_FORBIDDEN = 'Members may only view and update their own notifications';
+
+function isSelf(req) {
+    return req.user._id.toString() === req.params.id;
+}
 
-    // Parse 'skip' parameter
-    if (req.query.skip) {
-        options.skip = parseInt(req.query.skip);
-        if (isNaN(options.skip)) {
-            return { error: 'Invalid skip parameter. Must be a number.' };
-        }
+// Only admins may hand out roles other than member
+function checkCreate(user, body) {
+    if (!permissions.hasRole(user, USER_EDITORS)) {
+        throw permissions.forbidden(user, 'users:create', CREATE_FORBIDDEN);
     }
-
-    // Parse 'limit' parameter
-    if (req.query.limit) {
-        options.limit = parseInt(req.query.limit);
-        if (isNaN(options.limit)) {
-            return { error: 'Invalid limit parameter. Must be a number.' };
-        }
-    } else if (defaultLimit !== undefined) {
-        options.limit = defaultLimit;
+    if (body.role && body.role !== permissions.MEMBER && user.role !== permissions.ADMIN) {
+        throw permissions.forbidden(user, 'users:create', 'Only admins may assign user roles');
     }
-
-    // Parse 'count' parameter
-    var count = req.query.count === 'true';
-
-    return { query, options, count };
-}
-
-function sendSuccess(res, statusCode, message, data) {
-    res.status(statusCode).json({
-        message: message,
-        data: data
-    });
 }
 
-function sendError(res, statusCode, message, data) {
-    res.status(statusCode).json({
-        message: message,
-        data: data || null
-    });
-}
-
-// When task is assigned/unassigned
-async function updateUserPendingTasks(userId, taskId, add) {
-    try {
-        var user = await User.findById(userId);
-        if (!user) return;
-
-        if (add) {
-            if (!user.pendingTasks.includes(taskId)) {
-                user.pendingTasks.push(taskId);
-                await user.save();
-            }
-        } else {
-            user.pendingTasks = user.pendingTasks.filter(id => id.toString() !== taskId);
-            await user.save();
+// Service check that rejects updates the user's role does not allow
+function updateCheck(actor) {
+    return function (user, fields) {
+        var violation = permissions.userUpdateViolation(actor, user, {
+            name: fields.name,
+            email: fields.email,
+            password: fields.password,
+            pendingTasks: fields.pendingTasks,
+            role: fields.role
+        });
+        if (violation) {
+            throw permissions.forbidden(actor, 'users:update', violation);
         }
-    } catch (err) {
-        console.error('Error updating user pending tasks:', err);
-    }
+    };
 }
 
 module.exports = function (router) {
-    // GET /api/users - List all users
+    // GET /api/users - List all users (?project=<id> lists only that project's members)
     router.route('/users')
         .get(function (req, res) {
-            var parsed = parseQueryParams(req, undefined);
+            var parsed = parseQueryParams(req, undefined, User);
             if (parsed.error) {
                 return sendError(res, 400, parsed.error);
             }
-
-            var { query, options, count } = parsed;
-
-            var mongooseQuery = User.find(query);
-
-            if (options.sort) {
-                mongooseQuery.sort(options.sort);
+            if (!req.query.project) {
+                return sendList(req, res, User, parsed, 'users');
             }
 
-            if (options.select) {
-                mongooseQuery.select(options.select);
-            }
-
-            if (options.skip) {
-                mongooseQuery.skip(options.skip);
-            }
-
-            if (options.limit) {
-                mongooseQuery.limit(options.limit);
-            }
-
-            if (count) {
-                mongooseQuery.countDocuments().then(function (count) {
-                    sendSuccess(res, 200, 'OK', count);
-                }).catch(function (err) {
-                    sendError(res, 500, 'Error counting users', err.message);
-                });
-            } else {
-                mongooseQuery.exec().then(function (users) {
-                    sendSuccess(res, 200, 'OK', users);
-                }).catch(function (err) {
-                    sendError(res, 500, 'Error retrieving users', err.message);
-                });
-            }
+            projects.membersOf(req.query.project).then(function (members) {
+                var condition = { _id: { $in: members } };
+                parsed.query = Object.keys(parsed.query).length > 0 ? { $and: [parsed.query, condition] } : condition;
+                sendList(req, res, User, parsed, 'users');
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving users');
+            });
         })
 
         // POST /api/users - Create a new user
         .post(function (req, res) {
-            if (!req.body.name || !req.body.email) {
-                return sendError(res, 400, 'User must have a name and email');
-            }
-
-            // Create new user
-            var user = new User();
-            user.name = req.body.name;
-            user.email = req.body.email;
-            user.pendingTasks = req.body.pendingTasks || [];
+            Promise.resolve().then(function () {
+                checkCreate(req.user, req.body);
+                return userService.createUser(req.body, { actor: req.user });
+            }).then(function (user) {
+                sendSuccess(res, 201, 'User created successfully', user);
+            }).catch(function (err) {
+                handleError(res, err, 'Error creating user');
+            });
+        });
 
-            user.save().then(function (savedUser) {
-                // If user has pendingTasks, update the tasks to point to this user
-                if (savedUser.pendingTasks && savedUser.pendingTasks.length > 0) {
-                    var updatePromises = savedUser.pendingTasks.map(function (taskId) {
-                        return Task.findById(taskId).then(function (task) {
-                            if (task) {
-                                task.assignedUser = savedUser._id.toString();
-                                task.assignedUserName = savedUser.name;
-                                return task.save();
-                            }
-                        });
+    // POST /api/users/bulk - Apply many create/update/delete operations, reporting a result per item
+    router.route('/users/bulk')
+        .post(function (req, res) {
+            bulk.runBulk(req.body, {
+                create: function (operation) {
+                    var data = operation.data || {};
+                    checkCreate(req.user, data);
+                    return userService.createUser(data, { actor: req.user }).then(function (user) {
+                        return { status: 201, message: 'User created successfully', data: user };
                     });
-
-                    Promise.all(updatePromises).then(function () {
-                        sendSuccess(res, 201, 'User created successfully', savedUser);
-                    }).catch(function (err) {
-                        sendError(res, 500, 'Error updating assigned tasks', err.message);
+                },
+                update: function (operation) {
+                    return userService.updateUser(operation.id, operation.data || {}, {
+                        actor: req.user,
+                        check: updateCheck(req.user)
+                    }).then(function (user) {
+                        return { status: 200, message: 'User updated successfully', data: user };
+                    });
+                },
+                delete: function (operation) {
+                    if (!permissions.hasRole(req.user, [permissions.ADMIN])) {
+                        throw permissions.forbidden(req.user, 'users:delete', DELETE_FORBIDDEN);
+                    }
+                    return userService.deleteUser(operation.id, { actor: req.user }).then(function () {
+                        return { status: 204, message: 'User deleted successfully' };
                     });
-                } else {
-                    sendSuccess(res, 201, 'User created successfully', savedUser);
                 }
+            }, 'Error processing user operation').then(function (summary) {
+                sendSuccess(res, 200, 'Processed ' + summary.results.length + ' operations (' +
+                    summary.failed + ' failed)', summary);
             }).catch(function (err) {
-                if (err.code === 11000) {
-                    sendError(res, 400, 'User with this email already exists');
-                } else {
-                    sendError(res, 500, 'Error creating user', err.message);
-                }
+                handleError(res, err, 'Error processing bulk user operations');
             });
         });
 
@@ -214,127 +130,143 @@ module.exports = function (router) {
             if (req.query.select) {
                 try {
                     var select = JSON.parse(req.query.select);
-                    query.select(select);
                 } catch (e) {
                     return sendError(res, 400, 'Invalid select parameter. Must be valid JSON.');
                 }
+                var rejected = select !== null && typeof select === 'object' && !Array.isArray(select) ?
+                    filters.validateKeys(select, filters.fieldsFor(User), filters.SELECT_VALUES) :
+                    'Must be a JSON object';
+                if (rejected) {
+                    return sendError(res, 400, 'Invalid select parameter. ' + rejected + '.');
+                }
+                query.select(select);
             }
 
             query.exec().then(function (user) {
                 if (!user) {
                     return sendError(res, 404, 'User not found');
                 }
+                if (etag.notModified(req, user)) {
+                    return res.status(304).end();
+                }
+                etag.setETag(res, user);
                 sendSuccess(res, 200, 'OK', user);
             }).catch(function (err) {
-                sendError(res, 500, 'Error retrieving user', err.message);
+                handleError(res, err, 'Error retrieving user');
             });
         })
 
         // PUT /api/users/:id - Update a user
         .put(function (req, res) {
-            if (!req.body.name || !req.body.email) {
-                return sendError(res, 400, 'User must have a name and email');
-            }
+            userService.updateUser(req.params.id, req.body, {
+                actor: req.user,
+                check: updateCheck(req.user),
+                ifMatch: etag.ifMatchFrom(req)
+            }).then(function (user) {
+                etag.setETag(res, user);
+                sendSuccess(res, 200, 'User updated successfully', user);
+            }).catch(function (err) {
+                handleError(res, err, 'Error updating user');
+            });
+        })
 
-            User.findById(req.params.id).then(function (user) {
-                if (!user) {
-                    return sendError(res, 404, 'User not found');
-                }
+        // PATCH /api/users/:id - Update some fields of a user (merge patch or JSON Patch)
+        .patch(function (req, res) {
+            userService.patchUser(req.params.id, req.body, {
+                actor: req.user,
+                check: updateCheck(req.user),
+                ifMatch: etag.ifMatchFrom(req),
+                patchType: patches.typeOf(req)
+            }).then(function (user) {
+                etag.setETag(res, user);
+                sendSuccess(res, 200, 'User updated successfully', user);
+            }).catch(function (err) {
+                handleError(res, err, 'Error updating user');
+            });
+        })
 
-                var oldPendingTasks = user.pendingTasks.map(function (id) {
-                    return id.toString();
-                });
-                var oldName = user.name;
-                var newPendingTasks = req.body.pendingTasks || [];
-                var newName = req.body.name;
+        // DELETE /api/users/:id - Delete a user
+        .delete(permissions.requireRole([permissions.ADMIN], 'users:delete', DELETE_FORBIDDEN), function (req, res) {
+            userService.deleteUser(req.params.id, { actor: req.user, ifMatch: etag.ifMatchFrom(req) }).then(function () {
+                res.status(204).send();
+            }).catch(function (err) {
+                handleError(res, err, 'Error deleting user');
+            });
+        });
 
-                // Update user fields
-                user.name = newName;
-                user.email = req.body.email;
-                user.pendingTasks = newPendingTasks;
-                // Don't update dateCreated
+    // POST /api/users/:id/restore - Bring a user back from the trash
+    router.route('/users/:id/restore')
+        .post(permissions.requireRole([permissions.ADMIN], 'users:restore', RESTORE_FORBIDDEN), function (req, res) {
+            userService.restoreUser(req.params.id, { actor: req.user }).then(function (user) {
+                etag.setETag(res, user);
+                sendSuccess(res, 200, 'User restored successfully', user);
+            }).catch(function (err) {
+                handleError(res, err, 'Error restoring user');
+            });
+        });
 
-                return user.save().then(function (updatedUser) {
-                    // Update tasks that were removed from pendingTasks
-                    var removedTasks = oldPendingTasks.filter(function (taskId) {
-                        return !newPendingTasks.includes(taskId);
-                    });
+    // GET /api/users/:id/history - Audit trail of a user, oldest first
+    router.route('/users/:id/history')
+        .get(function (req, res) {
+            if (!isSelf(req) && req.user.role === permissions.MEMBER) {
+                return permissions.sendForbidden(res, req.user, 'users:history',
+                    'Members may only view the history of their own account');
+            }
 
-                    var unassignPromises = removedTasks.map(function (taskId) {
-                        return Task.findById(taskId).then(function (task) {
-                            if (task) {
-                                task.assignedUser = "";
-                                task.assignedUserName = "unassigned";
-                                return task.save();
-                            }
-                        });
-                    });
+            audit.history('user', req.params.id).then(function (entries) {
+                sendSuccess(res, 200, 'OK', entries);
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving user history');
+            });
+        });
 
-                    // Update tasks that were added to pendingTasks
-                    var addedTasks = newPendingTasks.filter(function (taskId) {
-                        return !oldPendingTasks.includes(taskId);
-                    });
+    // GET /api/users/:id/notifications - Deadline reminders and overdue notices of a user, newest first
+    router.route('/users/:id/notifications')
+        .get(function (req, res) {
+            if (!isSelf(req) && req.user.role === permissions.MEMBER) {
+                return permissions.sendForbidden(res, req.user, 'users:notifications', NOTIFICATIONS_FORBIDDEN);
+            }
 
-                    var assignPromises = addedTasks.map(function (taskId) {
-                        return Task.findById(taskId).then(function (task) {
-                            if (task) {
-                                task.assignedUser = updatedUser._id.toString();
-                                task.assignedUserName = updatedUser.name;
-                                return task.save();
-                            }
-                        });
-                    });
+            var parsed = parseQueryParams(req, 100, Notification); // default limit 100 for notifications
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
 
-                    // If user's name changed, update all tasks assigned to this user
-                    var nameUpdatePromises = [];
-                    if (oldName !== newName) {
-                        nameUpdatePromises.push(Task.updateMany(
-                            { assignedUser: updatedUser._id.toString() },
-                            { assignedUserName: newName }
-                        ).exec());
-                    }
+            parsed.query = { $and: [parsed.query, { user: req.params.id }] };
+            parsed.options.sort = parsed.options.sort || { dateCreated: -1 };
 
-                    return Promise.all([...unassignPromises, ...assignPromises, ...nameUpdatePromises]).then(function () {
-                        sendSuccess(res, 200, 'User updated successfully', updatedUser);
-                    });
-                });
-            }).catch(function (err) {
-                if (err.code === 11000) {
-                    sendError(res, 400, 'User with this email already exists');
-                } else {
-                    sendError(res, 500, 'Error updating user', err.message);
-                }
-            });
-        })
+            sendList(req, res, Notification, parsed, 'notifications');
+        });
 
-        // DELETE /api/users/:id - Delete a user
-        .delete(function (req, res) {
-            User.findById(req.params.id).then(function (user) {
-                if (!user) {
-                    return sendError(res, 404, 'User not found');
-                }
+    // POST /api/users/:id/notifications/read - Mark all of a user's notifications read
+    router.route('/users/:id/notifications/read')
+        .post(function (req, res) {
+            if (!isSelf(req) && req.user.role === permissions.MEMBER) {
+                return permissions.sendForbidden(res, req.user, 'users:notifications', NOTIFICATIONS_FORBIDDEN);
+            }
 
-                var userId = user._id.toString();
-                var pendingTasks = user.pendingTasks || [];
+            notifications.markAllRead(req.params.id).then(function (count) {
+                sendSuccess(res, 200, 'Marked ' + count + ' notifications read', { updated: count });
+            }).catch(function (err) {
+                handleError(res, err, 'Error updating notifications');
+            });
+        });
 
-                // Unassign all pending tasks
-                var unassignPromises = pendingTasks.map(function (taskId) {
-                    return Task.findById(taskId).then(function (task) {
-                        if (task) {
-                            task.assignedUser = "";
-                            task.assignedUserName = "unassigned";
-                            return task.save();
-                        }
-                    });
-                });
+    // PUT /api/users/:id/notifications/:notificationId - Mark a notification read ({"read": true}) or unread
+    router.route('/users/:id/notifications/:notificationId')
+        .put(function (req, res) {
+            if (!isSelf(req) && req.user.role === permissions.MEMBER) {
+                return permissions.sendForbidden(res, req.user, 'users:notifications', NOTIFICATIONS_FORBIDDEN);
+            }
+            if (req.body.read === undefined) {
+                return sendError(res, 400, 'Notification update must include read');
+            }
 
-                return Promise.all(unassignPromises).then(function () {
-                    return User.findByIdAndDelete(userId);
-                }).then(function () {
-                    res.status(204).send();
-                });
+            var read = req.body.read === true || req.body.read === 'true';
+            notifications.setRead(req.params.id, req.params.notificationId, read).then(function (notification) {
+                sendSuccess(res, 200, 'Notification updated successfully', notification);
             }).catch(function (err) {
-                sendError(res, 500, 'Error deleting user', err.message);
+                handleError(res, err, 'Error updating notification');
             });
         });
 
@@ -0,0 +1,127 @@
+// Load required packages
+var Webhook = require('../models/webhook');
+var WebhookDelivery = require('../models/webhookDelivery');
+var webhookService = require('../services/webhooks');
+var isValidId = require('../services/assignments').isValidId;
+var permissions = require('../middleware/permissions');
+var createError = require('../utils/errors').createError;
+var response = require('../utils/response');
+var sendSuccess = response.sendSuccess;
+var sendError = response.sendError;
+var handleError = response.handleError;
+var parseQueryParams = require('../utils/query').parseQueryParams;
+var sendList = require('../utils/pagination').sendList;
+
+var adminOnly = permissions.requireRole([permissions.ADMIN], 'webhooks:manage',
+    'Only admins may manage webhooks');
+
+function loadWebhook(id) {
+    if (!isValidId(id)) {
+        return Promise.reject(createError(404, 'Webhook not found'));
+    }
+    return Webhook.findById(id).exec().then(function (webhook) {
+        if (!webhook) {
+            throw createError(404, 'Webhook not found');
+        }
+        return webhook;
+    });
+}
+
+module.exports = function (router) {
+    // GET /api/webhooks - List webhooks
+    router.route('/webhooks')
+        .get(adminOnly, function (req, res) {
+            var parsed = parseQueryParams(req, undefined, Webhook);
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+
+            sendList(req, res, Webhook, parsed, 'webhooks');
+        })
+
+        // POST /api/webhooks - Register a webhook; the signing secret is only returned here
+        .post(adminOnly, function (req, res) {
+            Promise.resolve().then(function () {
+                var webhook = new Webhook(webhookService.normalizeWebhook(req.body));
+                webhook.secret = webhookService.generateSecret();
+                webhook.createdBy = req.user._id.toString();
+                return webhook.save();
+            }).then(function (webhook) {
+                var data = webhook.toJSON();
+                data.secret = webhook.secret;
+                sendSuccess(res, 201, 'Webhook created successfully', data);
+            }).catch(function (err) {
+                handleError(res, err, 'Error creating webhook');
+            });
+        });
+
+    // GET /api/webhooks/:id - Get a specific webhook
+    router.route('/webhooks/:id')
+        .get(adminOnly, function (req, res) {
+            loadWebhook(req.params.id).then(function (webhook) {
+                sendSuccess(res, 200, 'OK', webhook);
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving webhook');
+            });
+        })
+
+        // PUT /api/webhooks/:id - Replace a webhook's url, events, description and active flag
+        .put(adminOnly, function (req, res) {
+            loadWebhook(req.params.id).then(function (webhook) {
+                webhook.set(webhookService.normalizeWebhook(req.body));
+                return webhook.save();
+            }).then(function (webhook) {
+                sendSuccess(res, 200, 'Webhook updated successfully', webhook);
+            }).catch(function (err) {
+                handleError(res, err, 'Error updating webhook');
+            });
+        })
+
+        // DELETE /api/webhooks/:id - Delete a webhook and its delivery log
+        .delete(adminOnly, function (req, res) {
+            loadWebhook(req.params.id).then(function (webhook) {
+                return Webhook.deleteOne({ _id: webhook._id }).exec().then(function () {
+                    return WebhookDelivery.deleteMany({ webhook: webhook._id.toString() }).exec();
+                });
+            }).then(function () {
+                res.status(204).send();
+            }).catch(function (err) {
+                handleError(res, err, 'Error deleting webhook');
+            });
+        });
+
+    // GET /api/webhooks/:id/deliveries - A webhook's delivery log, newest first unless sort is given
+    router.route('/webhooks/:id/deliveries')
+        .get(adminOnly, function (req, res) {
+            var parsed = parseQueryParams(req, 100, WebhookDelivery); // default limit 100 for deliveries
+            if (parsed.error) {
+                return sendError(res, 400, parsed.error);
+            }
+
+            loadWebhook(req.params.id).then(function (webhook) {
+                parsed.query = { $and: [parsed.query, { webhook: webhook._id.toString() }] };
+                parsed.options.sort = parsed.options.sort || { dateCreated: -1 };
+                sendList(req, res, WebhookDelivery, parsed, 'deliveries');
+            }).catch(function (err) {
+                handleError(res, err, 'Error retrieving deliveries');
+            });
+        });
+
+    // POST /api/webhooks/:id/deliveries/:deliveryId/replay - Send a delivery again
+    router.route('/webhooks/:id/deliveries/:deliveryId/replay')
+        .post(adminOnly, function (req, res) {
+            if (!isValidId(req.params.deliveryId)) {
+                return sendError(res, 404, 'Delivery not found');
+            }
+
+            loadWebhook(req.params.id).then(function (webhook) {
+                return webhookService.replay(webhook._id, req.params.deliveryId);
+            }).then(function (delivery) {
+                sendSuccess(res, 202, 'Delivery queued for replay', delivery);
+            }).catch(function (err) {
+                handleError(res, err, 'Error replaying delivery');
+            });
+        });
+
+    return router;
+};
@@ -25,17 +25,28 @@ mongoose.connect(process.env.MONGODB_URI, { useNewUrlParser: true, useUnifiedTop
 // Allow CORS so that backend and frontend could be put on different servers
 var allowCrossDomain = function (req, res, next) {
     res.header("Access-Control-Allow-Origin", "*");
-    res.header("Access-Control-Allow-Headers", "X-Requested-With, X-HTTP-Method-Override, Content-Type, Accept");
-    res.header("Access-Control-Allow-Methods", "POST, GET, PUT, DELETE, OPTIONS");
+    res.header("Access-Control-Allow-Headers", "X-Requested-With, X-HTTP-Method-Override, Content-Type, Accept, Authorization, Last-Event-ID, If-Match, If-None-Match");
+    res.header("Access-Control-Expose-Headers", "ETag, RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset, Retry-After");
+    res.header("Access-Control-Allow-Methods", "POST, GET, PUT, PATCH, DELETE, OPTIONS");
     next();
 };
 app.use(allowCrossDomain);
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1) so clients are told apart by their own address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', isNaN(process.env.TRUST_PROXY) ? process.env.TRUST_PROXY : Number(process.env.TRUST_PROXY));
+}
+
+// Limit how many reads and writes each client may make per window (see middleware/rateLimit.js),
+// before any body is parsed
+app.use('/api', require('./middleware/rateLimit').rateLimit());
+
 // Use the body-parser package in our application
 app.use(bodyParser.urlencoded({
     extended: true
 }));
-app.use(bodyParser.json());
+// Large enough for bulk requests and imports; also reads merge patch and JSON Patch bodies
+app.use(bodyParser.json({ limit: '5mb', type: ['application/json', 'application/*+json'] }));
 
 // Use routes as a module (see index.js)
 require('./routes')(app, router);
@@ -43,3 +54,12 @@ require('./routes')(app, router);
 // Start the server
 app.listen(port);
 console.log('Server running on port ' + port);
+
+// Send queued webhook deliveries in the background
+require('./services/webhooks').startWorker(process.env.WEBHOOK_POLL_INTERVAL_MS);
+
+// Look for tasks that are due soon or overdue and remind their assignees
+require('./services/notifications').startScheduler(process.env.REMINDER_INTERVAL_MS);
+
+// Permanently delete tasks and users that have been in the trash longer than TRASH_RETENTION_DAYS
+require('./services/trash').startPurger(process.env.TRASH_PURGE_INTERVAL_MS);
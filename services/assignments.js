@@ -0,0 +1,170 @@
+/*
+ * Low-level helpers that keep Task.assignedUser/assignedUserName and
+ * User.pendingTasks pointing at each other. Every helper takes the `ctx`
+ * ({ session, actor, events }) of the surrounding transaction and records what it
+ * changes in the audit log.
+ */
+
+// Load required packages
+var mongoose = require('mongoose');
+var Task = require('../models/task');
+var User = require('../models/user');
+var audit = require('./audit');
+
+var UNASSIGNED_NAME = 'unassigned';
+
+function isValidId(id) {
+    return mongoose.Types.ObjectId.isValid(String(id));
+}
+
+// Resolve an assignedUser id to its User document, or null if it does not exist
+function findAssignee(userId, ctx) {
+    if (!userId || !isValidId(userId)) {
+        return Promise.resolve(null);
+    }
+    return User.findById(userId).session(ctx.session).exec();
+}
+
+// Point a task at a user (or clear the assignment when user is null)
+function applyAssignee(task, user) {
+    task.assignedUser = user ? user._id.toString() : "";
+    task.assignedUserName = user ? user.name : UNASSIGNED_NAME;
+}
+
+// Save a document and record the difference from `before` in the audit log
+function saveWithAudit(entityType, doc, before, ctx) {
+    return doc.save({ session: ctx.session }).then(function (savedDoc) {
+        return audit.record(entityType, savedDoc._id, before, audit.snapshot(savedDoc), ctx).then(function () {
+            return savedDoc;
+        });
+    });
+}
+
+// Apply `change` to a user's pendingTasks if that actually changes the list
+function updatePendingTasks(userId, change, ctx) {
+    if (!isValidId(userId)) {
+        return Promise.resolve();
+    }
+    return User.findById(userId).session(ctx.session).exec().then(function (user) {
+        if (!user) {
+            return;
+        }
+        var before = audit.snapshot(user);
+        var pendingTasks = change(user.pendingTasks.map(String));
+        if (pendingTasks.length === user.pendingTasks.length && pendingTasks.every(function (id, i) {
+            return id === String(user.pendingTasks[i]);
+        })) {
+            return;
+        }
+        user.pendingTasks = pendingTasks;
+        return saveWithAudit('user', user, before, ctx);
+    });
+}
+
+function addPendingTask(userId, taskId, ctx) {
+    return updatePendingTasks(userId, function (pendingTasks) {
+        return pendingTasks.indexOf(taskId) === -1 ? pendingTasks.concat(taskId) : pendingTasks;
+    }, ctx);
+}
+
+function removePendingTask(userId, taskId, ctx) {
+    return updatePendingTasks(userId, function (pendingTasks) {
+        return pendingTasks.filter(function (id) {
+            return id !== taskId;
+        });
+    }, ctx);
+}
+
+/*
+ * Update User.pendingTasks after `task` was saved. `previousUser` is the
+ * assignedUser the task had before the change ("" for new tasks).
+ */
+function syncPendingTask(task, previousUser, ctx) {
+    var taskId = task._id.toString();
+    var done = Promise.resolve();
+
+    if (previousUser && previousUser !== task.assignedUser) {
+        done = done.then(function () {
+            return removePendingTask(previousUser, taskId, ctx);
+        });
+    }
+    if (task.assignedUser) {
+        done = done.then(function () {
+            return task.completed ?
+                removePendingTask(task.assignedUser, taskId, ctx) :
+                addPendingTask(task.assignedUser, taskId, ctx);
+        });
+    }
+    return done;
+}
+
+// Load the existing tasks among `taskIds`, ignoring ids that are malformed or unknown
+function findTasks(taskIds, ctx) {
+    var ids = taskIds.filter(isValidId);
+    if (ids.length === 0) {
+        return Promise.resolve([]);
+    }
+    return Task.find({ _id: { $in: ids } }).session(ctx.session).exec();
+}
+
+// Run `update(task)` on each task in turn, saving and auditing the ones it changes
+function eachTask(tasks, update, ctx) {
+    return tasks.reduce(function (done, task) {
+        return done.then(function () {
+            var before = audit.snapshot(task);
+            return Promise.resolve(update(task)).then(function () {
+                if (task.isModified()) {
+                    return saveWithAudit('task', task, before, ctx);
+                }
+            });
+        });
+    }, Promise.resolve());
+}
+
+/*
+ * Assign every task in `tasks` to `user`, taking it away from (and out of the
+ * pendingTasks of) whoever had it before.
+ */
+function assignTasks(user, tasks, ctx) {
+    var userId = user._id.toString();
+    return eachTask(tasks, function (task) {
+        var previousUser = task.assignedUser;
+        applyAssignee(task, user);
+        if (previousUser && previousUser !== userId) {
+            return removePendingTask(previousUser, task._id.toString(), ctx);
+        }
+    }, ctx);
+}
+
+// Clear the assignment of every task matching `conditions`
+function unassignTasks(conditions, ctx) {
+    return Task.find(conditions).session(ctx.session).exec().then(function (tasks) {
+        return eachTask(tasks, function (task) {
+            applyAssignee(task, null);
+        }, ctx);
+    });
+}
+
+// Keep assignedUserName in step with a renamed user
+function renameAssignee(user, ctx) {
+    return Task.find({ assignedUser: user._id.toString() }).session(ctx.session).exec().then(function (tasks) {
+        return eachTask(tasks, function (task) {
+            task.assignedUserName = user.name;
+        }, ctx);
+    });
+}
+
+module.exports = {
+    UNASSIGNED_NAME: UNASSIGNED_NAME,
+    isValidId: isValidId,
+    findAssignee: findAssignee,
+    applyAssignee: applyAssignee,
+    saveWithAudit: saveWithAudit,
+    addPendingTask: addPendingTask,
+    removePendingTask: removePendingTask,
+    syncPendingTask: syncPendingTask,
+    findTasks: findTasks,
+    assignTasks: assignTasks,
+    unassignTasks: unassignTasks,
+    renameAssignee: renameAssignee
+};
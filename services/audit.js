@@ -0,0 +1,78 @@
+/*
+ * Records field-level history for tasks and users. Entries are written with the
+ * session of the change they describe, so they commit or roll back with it.
+ */
+
+// Load required packages
+var Audit = require('../models/audit');
+var events = require('./events');
+
+var IGNORED_FIELDS = ['_id', '__v'];
+
+// Plain, comparable copy of a document's client-visible fields
+function snapshot(doc) {
+    if (!doc) {
+        return null;
+    }
+    var values = JSON.parse(JSON.stringify(doc));
+    IGNORED_FIELDS.forEach(function (field) {
+        delete values[field];
+    });
+    return values;
+}
+
+function diff(before, after) {
+    var fields = Object.keys(Object.assign({}, before, after));
+    return fields.filter(function (field) {
+        var a = before ? before[field] : undefined;
+        var b = after ? after[field] : undefined;
+        return JSON.stringify(a) !== JSON.stringify(b);
+    }).map(function (field) {
+        return {
+            field: field,
+            before: before && before[field] !== undefined ? before[field] : null,
+            after: after && after[field] !== undefined ? after[field] : null
+        };
+    });
+}
+
+function actorOf(user) {
+    return user ? { id: user._id.toString(), name: user.name } : { id: "", name: "" };
+}
+
+/*
+ * Record a change to a task or user. `before`/`after` are snapshots (null for
+ * creates and deletes respectively); updates that change nothing are skipped.
+ * `ctx` is the { session, actor, events } of the request making the change;
+ * the change is also queued on it as an event (see services/events.js).
+ * `action` overrides the action implied by the snapshots, e.g. 'restore'.
+ */
+function record(entityType, entityId, before, after, ctx, action) {
+    action = action || (!before ? 'create' : (!after ? 'delete' : 'update'));
+    var changes = diff(before, after);
+    if (action === 'update' && changes.length === 0) {
+        return Promise.resolve(null);
+    }
+
+    return Audit.create([{
+        entityType: entityType,
+        entityId: entityId.toString(),
+        action: action,
+        changes: changes,
+        actor: actorOf(ctx && ctx.actor)
+    }], { session: ctx ? ctx.session : null }).then(function (entries) {
+        events.collect(ctx, entries[0], before, after);
+        return entries[0];
+    });
+}
+
+// Every entry for one task or user, oldest first
+function history(entityType, entityId) {
+    return Audit.find({ entityType: entityType, entityId: String(entityId) }).sort({ timestamp: 1 }).exec();
+}
+
+module.exports = {
+    snapshot: snapshot,
+    record: record,
+    history: history
+};
@@ -0,0 +1,149 @@
+/*
+ * Picking an assignee for a task automatically. A strategy ranks the
+ * candidate users (everyone, or the ids in `candidates`) and the best one is
+ * returned with a human-readable reason; the caller then assigns the task the
+ * usual way, so pendingTasks and assignedUserName stay in sync.
+ */
+
+// Load required packages
+var Task = require('../models/task');
+var User = require('../models/user');
+var validation = require('../utils/validation');
+var createError = require('../utils/errors').createError;
+
+var STRATEGIES = ['fewest-pending', 'round-robin', 'earliest-free'];
+var INVALID_MESSAGE = 'Auto-assignment failed';
+
+function defaultStrategy() {
+    return process.env.AUTO_ASSIGN_STRATEGY || 'fewest-pending';
+}
+
+/*
+ * Validate `{ strategy, candidates }` from a request body (`true` means all
+ * defaults) into the options `choose` takes.
+ */
+function parseOptions(value) {
+    var options = value && typeof value === 'object' ? value : {};
+    var strategy = options.strategy || defaultStrategy();
+    if (STRATEGIES.indexOf(strategy) === -1) {
+        throw createError(400, 'Invalid auto-assign strategy. Must be one of: ' + STRATEGIES.join(', '));
+    }
+    var candidates;
+    if (options.candidates !== undefined) {
+        candidates = [].concat(options.candidates).map(String).filter(function (id, index, ids) {
+            return ids.indexOf(id) === index;
+        });
+        var invalid = candidates.filter(function (id) {
+            return !validation.isObjectId(id);
+        });
+        if (candidates.length === 0 || invalid.length > 0) {
+            throw validation.invalidReference(INVALID_MESSAGE, 'candidates',
+                'candidates must be a non-empty list of user ids' + (invalid.length ? ' (invalid: ' + invalid.join(', ') + ')' : ''));
+        }
+    }
+    return { strategy: strategy, candidates: candidates };
+}
+
+function byOldestAutoAssignment(a, b) {
+    var at = a.lastAutoAssignedAt ? a.lastAutoAssignedAt.getTime() : 0;
+    var bt = b.lastAutoAssignedAt ? b.lastAutoAssignedAt.getTime() : 0;
+    return at - bt || String(a._id).localeCompare(String(b._id));
+}
+
+function fewestPending(users) {
+    var user = users.slice().sort(function (a, b) {
+        return a.pendingTasks.length - b.pendingTasks.length || byOldestAutoAssignment(a, b);
+    })[0];
+    var count = user.pendingTasks.length;
+    return Promise.resolve({
+        user: user,
+        reason: 'Has the fewest pending tasks (' + count + ' pending' +
+            (users.length > 1 ? ', out of ' + users.length + ' candidates' : '') + ')'
+    });
+}
+
+function roundRobin(users) {
+    var user = users.slice().sort(byOldestAutoAssignment)[0];
+    return Promise.resolve({
+        user: user,
+        reason: user.lastAutoAssignedAt ?
+            'Next in round-robin order (last auto-assigned a task at ' + user.lastAutoAssignedAt.toISOString() + ')' :
+            'Next in round-robin order (has not been auto-assigned a task yet)'
+    });
+}
+
+// The candidate whose open tasks are all due earliest, i.e. who is free soonest
+function earliestFree(users, ctx) {
+    var ids = users.map(function (user) {
+        return user._id.toString();
+    });
+    return Task.aggregate([
+        { $match: { assignedUser: { $in: ids }, completed: false } },
+        { $group: { _id: '$assignedUser', busyUntil: { $max: '$deadline' } } }
+    ]).session(ctx.session).exec().then(function (rows) {
+        var busyUntil = {};
+        rows.forEach(function (row) {
+            busyUntil[row._id] = row.busyUntil;
+        });
+        function freeAt(user) {
+            var until = busyUntil[user._id.toString()];
+            return until ? until.getTime() : 0;
+        }
+
+        var user = users.slice().sort(function (a, b) {
+            return freeAt(a) - freeAt(b) || a.pendingTasks.length - b.pendingTasks.length || byOldestAutoAssignment(a, b);
+        })[0];
+        var until = busyUntil[user._id.toString()];
+        return {
+            user: user,
+            reason: until ?
+                'Free soonest: their last open task is due ' + until.toISOString() :
+                'Free now: has no open tasks'
+        };
+    });
+}
+
+var CHOOSERS = {
+    'fewest-pending': fewestPending,
+    'round-robin': roundRobin,
+    'earliest-free': earliestFree
+};
+
+/*
+ * Choose an assignee with `options` from parseOptions. Resolves to
+ * { user, strategy, reason, candidates } and records the choice for
+ * round-robin.
+ */
+function choose(options, ctx) {
+    var conditions = options.candidates ? { _id: { $in: options.candidates } } : {};
+
+    return User.find(conditions).select('+lastAutoAssignedAt').session(ctx.session).exec().then(function (users) {
+        if (options.candidates && users.length < options.candidates.length) {
+            var found = users.map(function (user) {
+                return user._id.toString();
+            });
+            throw validation.invalidReference(INVALID_MESSAGE, 'candidates', 'No users with ids ' + options.candidates.filter(function (id) {
+                return found.indexOf(id) === -1;
+            }).join(', '));
+        }
+        if (users.length === 0) {
+            throw createError(409, 'There are no users to assign the task to');
+        }
+        return CHOOSERS[options.strategy](users, ctx).then(function (choice) {
+            return User.updateOne({ _id: choice.user._id }, { lastAutoAssignedAt: new Date() }).session(ctx.session).exec().then(function () {
+                return {
+                    user: choice.user,
+                    strategy: options.strategy,
+                    reason: choice.reason,
+                    candidates: users.length
+                };
+            });
+        });
+    });
+}
+
+module.exports = {
+    STRATEGIES: STRATEGIES,
+    parseOptions: parseOptions,
+    choose: choose
+};
@@ -0,0 +1,91 @@
+/*
+ * Runs a batch of create/update/delete operations one after another and
+ * collects a result per item, so one bad item does not fail the whole batch.
+ * Each operation goes through the same service (and transaction) as the
+ * single-item endpoints.
+ */
+
+// Load required packages
+var createError = require('../utils/errors').createError;
+
+var MAX_OPERATIONS = 500;
+var OPS = ['create', 'update', 'delete'];
+
+// Accept either a bare array or { operations: [...] }
+function operationsFrom(body) {
+    var operations = Array.isArray(body) ? body : body && body.operations;
+    if (!Array.isArray(operations) || operations.length === 0) {
+        throw createError(400, 'Request body must be a non-empty array of operations (or { operations: [...] })');
+    }
+    if (operations.length > MAX_OPERATIONS) {
+        throw createError(400, 'A bulk request may contain at most ' + MAX_OPERATIONS + ' operations');
+    }
+    return operations;
+}
+
+/*
+ * `handlers.<op>(operation)` performs one operation and resolves to
+ * { status, message, data }; rejecting with an error from utils/errors
+ * reports that error for the item.
+ */
+function runOne(operation, handlers, fallbackMessage) {
+    var op = operation && operation.op;
+    var id = operation && operation.id ? String(operation.id) : null;
+    var result = { op: op || null, id: id };
+
+    function finish(status, message, data) {
+        result.status = status;
+        result.message = message;
+        result.data = data === undefined ? null : data;
+        return result;
+    }
+
+    if (OPS.indexOf(op) === -1) {
+        return Promise.resolve(finish(400, 'Operation op must be one of: ' + OPS.join(', ')));
+    }
+    if (op !== 'create' && !id) {
+        return Promise.resolve(finish(400, 'Operation ' + op + ' requires an id'));
+    }
+
+    return Promise.resolve().then(function () {
+        return handlers[op](operation);
+    }).then(function (outcome) {
+        return finish(outcome.status, outcome.message, outcome.data);
+    }, function (err) {
+        return err.status ?
+            finish(err.status, err.message, err.data) :
+            finish(500, fallbackMessage, err.message);
+    });
+}
+
+/*
+ * Resolves to { results, succeeded, failed }, with results in request order.
+ */
+function runBulk(body, handlers, fallbackMessage) {
+    var operations;
+    try {
+        operations = operationsFrom(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    var results = [];
+    return operations.reduce(function (done, operation, index) {
+        return done.then(function () {
+            return runOne(operation, handlers, fallbackMessage).then(function (result) {
+                result.index = index;
+                results.push(result);
+            });
+        });
+    }, Promise.resolve()).then(function () {
+        var failed = results.filter(function (result) {
+            return result.status >= 400;
+        }).length;
+        return { results: results, succeeded: results.length - failed, failed: failed };
+    });
+}
+
+module.exports = {
+    MAX_OPERATIONS: MAX_OPERATIONS,
+    runBulk: runBulk
+};
@@ -0,0 +1,80 @@
+/*
+ * iCalendar feeds of a user's pending tasks. Calendar apps cannot log in, so
+ * each user can issue a feed token to put in the subscription URL; only its
+ * hash is stored, and issuing a new one revokes the old.
+ */
+
+// Load required packages
+var crypto = require('crypto');
+var User = require('../models/user');
+var Task = require('../models/task');
+var isValidId = require('./assignments').isValidId;
+var ical = require('../utils/ical');
+var createError = require('../utils/errors').createError;
+
+var COMPONENTS = ['event', 'todo'];
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function loadUser(id, conditions) {
+    if (!isValidId(id)) {
+        return Promise.reject(createError(404, 'User not found'));
+    }
+    return User.findOne(Object.assign({ _id: id }, conditions)).exec();
+}
+
+// Issue a new feed token for user `id`, replacing any previous one
+function issueToken(id) {
+    var token = crypto.randomBytes(24).toString('hex');
+    return loadUser(id).then(function (user) {
+        if (!user) {
+            throw createError(404, 'User not found');
+        }
+        return User.updateOne({ _id: user._id }, { calendarToken: hashToken(token) }).exec();
+    }).then(function () {
+        return token;
+    });
+}
+
+function revokeToken(id) {
+    return loadUser(id).then(function (user) {
+        if (!user) {
+            throw createError(404, 'User not found');
+        }
+        return User.updateOne({ _id: user._id }, { $unset: { calendarToken: 1 } }).exec();
+    });
+}
+
+// The user `id` if `token` is their current feed token, otherwise a 401
+function userForToken(id, token) {
+    return loadUser(id, { calendarToken: hashToken(token) }).then(function (user) {
+        if (!user) {
+            throw createError(401, 'Invalid calendar token');
+        }
+        return user;
+    });
+}
+
+// The iCalendar feed of a user's pending tasks as VEVENTs or (component 'todo') VTODOs
+function feed(id, component) {
+    if (COMPONENTS.indexOf(component) === -1) {
+        return Promise.reject(createError(400, 'Invalid component parameter. Must be one of: ' + COMPONENTS.join(', ')));
+    }
+    return loadUser(id).then(function (user) {
+        if (!user) {
+            throw createError(404, 'User not found');
+        }
+        return Task.find({ _id: { $in: user.pendingTasks.filter(isValidId) } }).sort({ deadline: 1 }).exec().then(function (tasks) {
+            return ical.buildCalendar(user.name + ' - Llama.io tasks', tasks, component);
+        });
+    });
+}
+
+module.exports = {
+    issueToken: issueToken,
+    revokeToken: revokeToken,
+    userForToken: userForToken,
+    feed: feed
+};
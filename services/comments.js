@@ -0,0 +1,209 @@
+/*
+ * The discussion thread of a task. Comments may @mention users by email
+ * (@ada@example.com), by a one-word name (@Ada) or by a quoted full name
+ * (@"Ada Lovelace"); mentions are resolved to user _ids when a comment is
+ * written or edited. Comments go to the trash and come back with their task.
+ */
+
+// Load required packages
+var Comment = require('../models/comment');
+var Task = require('../models/task');
+var User = require('../models/user');
+var validation = require('../utils/validation');
+var createError = require('../utils/errors').createError;
+
+var MISSING_MESSAGE = 'Comment must have a body';
+var INVALID_MESSAGE = 'Comment validation failed';
+var MAX_BODY_LENGTH = 10000;
+var MAX_MENTIONS = 20;
+
+var COMMENT_SCHEMA = {
+    body: { type: 'string', required: true }
+};
+
+// @"quoted name", @email or @word, not preceded by a word character (so emails in the text are not mentions)
+var MENTION_PATTERN = /(^|[^\w@.])@(?:"([^"\n]{1,100})"|([^\s@"]+@[^\s@"]+\.[A-Za-z]{2,})|([\w.-]+))/g;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Case-insensitive exact matches for `values`
+function exactly(values) {
+    return values.map(function (value) {
+        return new RegExp('^' + escapeRegExp(value) + '$', 'i');
+    });
+}
+
+// The distinct emails and names @mentioned in `body`
+function parseMentions(body) {
+    var emails = [];
+    var names = [];
+    var match;
+    MENTION_PATTERN.lastIndex = 0;
+    while ((match = MENTION_PATTERN.exec(body)) !== null) {
+        var list = match[3] ? emails : names;
+        // A one-word mention at the end of a sentence keeps its punctuation out
+        var value = (match[2] || match[3] || match[4].replace(/[.-]+$/, '')).trim();
+        if (value && list.indexOf(value.toLowerCase()) === -1) {
+            list.push(value.toLowerCase());
+        }
+    }
+    if (emails.length + names.length > MAX_MENTIONS) {
+        throw validation.invalidReference(INVALID_MESSAGE, 'body', 'body may mention at most ' + MAX_MENTIONS + ' users');
+    }
+    return { emails: emails, names: names };
+}
+
+// The _ids of the users mentioned in `body`; a name shared by several users mentions them all
+function resolveMentions(body) {
+    var mentioned;
+    try {
+        mentioned = parseMentions(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    if (mentioned.emails.length + mentioned.names.length === 0) {
+        return Promise.resolve([]);
+    }
+
+    // Both lists are lowercased, like User.emailKey and User.nameKey. Users saved before those
+    // keys existed (until database_scripts/backfill.js has run) are compared ignoring case instead.
+    return User.find({
+        $or: [
+            { emailKey: { $in: mentioned.emails } },
+            { nameKey: { $in: mentioned.names } },
+            { emailKey: null, email: { $in: exactly(mentioned.emails) } },
+            { nameKey: null, name: { $in: exactly(mentioned.names) } }
+        ]
+    }, '_id').exec().then(function (users) {
+        return users.map(function (user) {
+            return user._id.toString();
+        });
+    });
+}
+
+function normalizeBody(body) {
+    validation.assertValid(validation.validate(body, COMMENT_SCHEMA), MISSING_MESSAGE, INVALID_MESSAGE);
+    var text = body.body.trim();
+    if (!text) {
+        throw createError(400, MISSING_MESSAGE);
+    }
+    if (text.length > MAX_BODY_LENGTH) {
+        throw validation.invalidReference(INVALID_MESSAGE, 'body', 'body must be at most ' + MAX_BODY_LENGTH + ' characters');
+    }
+    return text;
+}
+
+// The task a thread belongs to; trashed tasks have no thread until they are restored
+function loadTask(taskId) {
+    if (!validation.isObjectId(String(taskId))) {
+        return Promise.reject(createError(404, 'Task not found'));
+    }
+    return Task.findById(taskId, '_id').exec().then(function (task) {
+        if (!task) {
+            throw createError(404, 'Task not found');
+        }
+        return task;
+    });
+}
+
+function loadComment(taskId, commentId) {
+    if (!validation.isObjectId(String(commentId))) {
+        return Promise.reject(createError(404, 'Comment not found'));
+    }
+    return loadTask(taskId).then(function () {
+        return Comment.findOne({ _id: commentId, task: String(taskId) }).exec();
+    }).then(function (comment) {
+        if (!comment) {
+            throw createError(404, 'Comment not found');
+        }
+        return comment;
+    });
+}
+
+// Add a comment by `options.actor` to task `taskId`
+function createComment(taskId, body, options) {
+    var text;
+    try {
+        text = normalizeBody(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return loadTask(taskId).then(function (task) {
+        return resolveMentions(text).then(function (mentions) {
+            return new Comment({
+                task: task._id.toString(),
+                author: options.actor._id.toString(),
+                authorName: options.actor.name,
+                body: text,
+                mentions: mentions
+            }).save();
+        });
+    });
+}
+
+/*
+ * Replace the body of a comment, resolving its mentions again.
+ * `options.check(comment)` may throw to reject the edit.
+ */
+function updateComment(taskId, commentId, body, options) {
+    var text;
+    try {
+        text = normalizeBody(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return loadComment(taskId, commentId).then(function (comment) {
+        if (options.check) {
+            options.check(comment);
+        }
+        return resolveMentions(text).then(function (mentions) {
+            comment.body = text;
+            comment.mentions = mentions;
+            comment.dateEdited = new Date();
+            return comment.save();
+        });
+    });
+}
+
+// Delete a comment for good; `options.check(comment)` may throw to reject it
+function deleteComment(taskId, commentId, options) {
+    return loadComment(taskId, commentId).then(function (comment) {
+        if (options.check) {
+            options.check(comment);
+        }
+        return Comment.deleteOne({ _id: comment._id }).exec().then(function () {
+            return comment;
+        });
+    });
+}
+
+// Move the comments of a task being deleted to the trash with it
+function trashFor(task, ctx) {
+    return Comment.updateMany({ task: task._id.toString(), deletedAt: null }, { deletedAt: task.deletedAt }).session(ctx.session).exec();
+}
+
+// Bring back the comments a task took with it to the trash
+function restoreFor(task, ctx) {
+    return Comment.updateMany({ task: task._id.toString(), deletedAt: { $ne: null } }, { deletedAt: null }).session(ctx.session).exec();
+}
+
+// Delete the comments of a task being purged
+function purgeFor(task, ctx) {
+    return Comment.deleteMany({ task: task._id.toString() }).session(ctx.session).exec();
+}
+
+module.exports = {
+    parseMentions: parseMentions,
+    resolveMentions: resolveMentions,
+    loadTask: loadTask,
+    createComment: createComment,
+    updateComment: updateComment,
+    deleteComment: deleteComment,
+    trashFor: trashFor,
+    restoreFor: restoreFor,
+    purgeFor: purgeFor
+};
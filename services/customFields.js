@@ -0,0 +1,216 @@
+/*
+ * Admin-defined custom fields. Each definition has a key under which tasks
+ * keep their value in Task.customFields, and a type the value is checked
+ * against: text, number, date (stored as an ISO string, so it compares and
+ * sorts like a date; hence years 0 to 9999 only) or select (one of `options`). A definition's key and
+ * type are fixed once created; deleting it removes its values from tasks.
+ */
+
+// Load required packages
+var CustomField = require('../models/customField');
+var Task = require('../models/task');
+var assignments = require('./assignments');
+var audit = require('./audit');
+var inTransaction = require('./transaction').inTransaction;
+var validation = require('../utils/validation');
+var createError = require('../utils/errors').createError;
+
+var TYPES = CustomField.schema.path('type').enumValues;
+var MISSING_MESSAGE = 'Custom field must have a key, name and type';
+var INVALID_MESSAGE = 'Custom field validation failed';
+var KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+var MAX_TEXT_LENGTH = 1000;
+
+var FIELD_SCHEMA = {
+    key: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    type: { type: 'string', required: true, enum: TYPES },
+    options: { type: 'stringList' },
+    required: { type: 'boolean' }
+};
+
+function toOptions(value) {
+    var options = [].concat(value || []).map(function (option) {
+        return option.trim();
+    });
+    return options.filter(function (option, index) {
+        return options.indexOf(option) === index;
+    });
+}
+
+// Validate a definition; `existing` is the definition being replaced, whose key and type cannot change
+function normalizeField(body, existing) {
+    if (existing) {
+        body = Object.assign({ key: existing.key, type: existing.type }, body);
+    }
+    validation.assertValid(validation.validate(body, FIELD_SCHEMA), MISSING_MESSAGE, INVALID_MESSAGE);
+    var errors = [];
+    if (!KEY_PATTERN.test(body.key)) {
+        errors.push({ field: 'key', message: 'key must start with a letter and have at most 40 letters, digits or underscores', code: 'invalid' });
+    }
+    if (existing && (body.key !== existing.key || body.type !== existing.type)) {
+        throw createError(409, 'The key and type of a custom field cannot be changed; create a new field instead');
+    }
+    var options = body.type === 'select' ? toOptions(body.options) : undefined;
+    if (options && options.length === 0) {
+        errors.push({ field: 'options', message: 'options must list the values of a select field', code: 'invalid' });
+    }
+    validation.assertValid(errors, MISSING_MESSAGE, INVALID_MESSAGE);
+    return {
+        key: body.key,
+        name: body.name.trim(),
+        type: body.type,
+        options: options,
+        required: body.required === true || body.required === 'true'
+    };
+}
+
+function duplicateKey(err) {
+    if (err.code === 11000) {
+        throw createError(400, 'Custom field with this key already exists');
+    }
+    throw err;
+}
+
+function loadField(id, ctx) {
+    if (!validation.isObjectId(String(id))) {
+        return Promise.reject(createError(404, 'Custom field not found'));
+    }
+    return CustomField.findById(id).session(ctx.session).exec().then(function (field) {
+        if (!field) {
+            throw createError(404, 'Custom field not found');
+        }
+        return field;
+    });
+}
+
+function createField(body) {
+    var fields;
+    try {
+        fields = normalizeField(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    return new CustomField(fields).save().catch(duplicateKey);
+}
+
+// Replace a definition's name, options and required flag
+function updateField(id, body, options) {
+    return inTransaction(options, function (ctx) {
+        return loadField(id, ctx).then(function (field) {
+            var fields = normalizeField(body, field);
+            field.name = fields.name;
+            field.options = fields.options;
+            field.required = fields.required;
+            return field.save({ session: ctx.session });
+        });
+    });
+}
+
+// Delete a definition and the values tasks have for it
+function deleteField(id, options) {
+    return inTransaction(options, function (ctx) {
+        return loadField(id, ctx).then(function (field) {
+            var path = 'customFields.' + field.key;
+            var conditions = {};
+            conditions[path] = { $exists: true };
+            return Task.find(conditions).session(ctx.session).exec().then(function (tasks) {
+                return tasks.reduce(function (done, task) {
+                    return done.then(function () {
+                        var before = audit.snapshot(task);
+                        var values = Object.assign({}, task.customFields);
+                        delete values[field.key];
+                        task.customFields = values;
+                        return assignments.saveWithAudit('task', task, before, ctx);
+                    });
+                }, Promise.resolve());
+            }).then(function () {
+                return CustomField.deleteOne({ _id: field._id }).session(ctx.session).exec();
+            }).then(function () {
+                return field;
+            });
+        });
+    });
+}
+
+// The stored form of `value` for `field`, or an error message
+function valueOf(field, value) {
+    if (field.type === 'number') {
+        var number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return typeof number === 'number' && isFinite(number) ? { value: number } : { error: 'must be a number' };
+    }
+    if (field.type === 'date') {
+        var date = typeof value === 'number' || /^-?\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+        if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(date.getTime())) {
+            return { error: 'must be a valid date' };
+        }
+        // Other years get a six-digit ISO form that no longer sorts with the rest
+        if (date.getUTCFullYear() < 0 || date.getUTCFullYear() > 9999) {
+            return { error: 'must be a date between the years 0 and 9999' };
+        }
+        return { value: date.toISOString() };
+    }
+    if (typeof value !== 'string') {
+        return { error: 'must be a string' };
+    }
+    if (field.type === 'select' && field.options.indexOf(value) === -1) {
+        return { error: 'must be one of: ' + field.options.join(', ') };
+    }
+    if (value.length > MAX_TEXT_LENGTH) {
+        return { error: 'must be at most ' + MAX_TEXT_LENGTH + ' characters' };
+    }
+    return { value: value };
+}
+
+/*
+ * Check a task's custom field values against the definitions and resolve to
+ * their stored form, keys sorted. null or "" clears a value; required fields
+ * must have one. `invalidMessage` is the caller's message for 422 responses.
+ */
+function validateValues(values, invalidMessage, ctx) {
+    return CustomField.find({}).session(ctx.session).exec().then(function (fields) {
+        var byKey = {};
+        fields.forEach(function (field) {
+            byKey[field.key] = field;
+        });
+        var errors = [];
+        var invalid = [];
+        var result = {};
+
+        Object.keys(values).sort().forEach(function (key) {
+            var value = values[key];
+            if (!Object.prototype.hasOwnProperty.call(byKey, key)) {
+                errors.push({ field: 'customFields.' + key, message: 'No custom field with key ' + key, code: 'invalid' });
+                return;
+            }
+            if (value === null || value === undefined || value === '') {
+                return;
+            }
+            var stored = valueOf(byKey[key], value);
+            if (stored.error) {
+                errors.push({ field: 'customFields.' + key, message: byKey[key].name + ' ' + stored.error, code: 'invalid' });
+                invalid.push(key);
+            } else {
+                result[key] = stored.value;
+            }
+        });
+        fields.forEach(function (field) {
+            if (field.required && !result.hasOwnProperty(field.key) && invalid.indexOf(field.key) === -1) {
+                errors.push({ field: 'customFields.' + field.key, message: field.name + ' is required', code: 'invalid' });
+            }
+        });
+        if (errors.length > 0) {
+            throw createError(422, invalidMessage, { errors: errors });
+        }
+        return result;
+    });
+}
+
+module.exports = {
+    TYPES: TYPES,
+    loadField: loadField,
+    createField: createField,
+    updateField: updateField,
+    deleteField: deleteField,
+    validateValues: validateValues
+};
@@ -0,0 +1,282 @@
+/*
+ * Subtask (parentTask) and dependency (blockedBy) relationships between tasks:
+ * validation and cycle detection, refusing to complete blocked tasks, and
+ * rolling subtask progress up into their parents.
+ */
+
+// Load required packages
+var Task = require('../models/task');
+var assignments = require('./assignments');
+var audit = require('./audit');
+var createError = require('../utils/errors').createError;
+
+// Upper bound on the tasks visited while walking a hierarchy or dependency graph
+var MAX_GRAPH_SIZE = 1000;
+
+function summary(task) {
+    return { _id: task._id.toString(), name: task.name, completed: task.completed };
+}
+
+// Accepts a JSON array or the repeated/single value urlencoded forms produce
+function toIdList(value) {
+    var ids = [].concat(value || []).map(String).filter(Boolean);
+    return ids.filter(function (id, index) {
+        return ids.indexOf(id) === index;
+    });
+}
+
+/*
+ * Read parentTask/blockedBy from a request body. Each is undefined when the
+ * body does not mention it, so a replace keeps the existing relationships.
+ */
+function parseRelations(body) {
+    return {
+        parentTask: body.parentTask === undefined ? undefined : (body.parentTask ? String(body.parentTask) : ""),
+        blockedBy: body.blockedBy === undefined ? undefined : toIdList(body.blockedBy)
+    };
+}
+
+function findExisting(ids, ctx) {
+    var valid = ids.filter(assignments.isValidId);
+    if (valid.length === 0) {
+        return Promise.resolve([]);
+    }
+    return Task.find({ _id: { $in: valid } }, 'name completed parentTask blockedBy').session(ctx.session).exec();
+}
+
+// Reject a parent chain that leads back to the task itself
+function checkParentCycle(taskId, parentId, ctx) {
+    var seen = {};
+
+    function climb(id) {
+        if (!id) {
+            return Promise.resolve();
+        }
+        if (id === taskId) {
+            throw createError(400, 'A task cannot be a subtask of itself or of its own subtasks');
+        }
+        if (seen[id] || Object.keys(seen).length > MAX_GRAPH_SIZE) {
+            return Promise.resolve();
+        }
+        seen[id] = true;
+        return Task.findById(id, 'parentTask').session(ctx.session).exec().then(function (parent) {
+            return climb(parent ? parent.parentTask : "");
+        });
+    }
+    return climb(parentId);
+}
+
+// Reject blockers that (directly or through other tasks) are blocked by the task itself
+function checkBlockerCycle(taskId, blockerIds, ctx) {
+    var seen = {};
+
+    function visit(ids) {
+        if (ids.indexOf(taskId) !== -1) {
+            throw createError(400, 'These dependencies would create a cycle: a task cannot be blocked by itself or by tasks it blocks');
+        }
+        var fresh = ids.filter(function (id) {
+            return !seen[id];
+        });
+        if (fresh.length === 0 || Object.keys(seen).length > MAX_GRAPH_SIZE) {
+            return Promise.resolve();
+        }
+        fresh.forEach(function (id) {
+            seen[id] = true;
+        });
+        return findExisting(fresh, ctx).then(function (tasks) {
+            return visit([].concat.apply([], tasks.map(function (task) {
+                return task.blockedBy.map(String);
+            })));
+        });
+    }
+    return visit(blockerIds);
+}
+
+/*
+ * Validate the relationships `task` is about to be saved with, and refuse to
+ * complete it while any task blocking it is still open.
+ */
+function validate(task, relations, completing, ctx) {
+    var taskId = task._id.toString();
+    var parentId = relations.parentTask !== undefined ? relations.parentTask : task.parentTask;
+    var blockerIds = relations.blockedBy !== undefined ? relations.blockedBy : task.blockedBy.map(String);
+    var referenced = (parentId ? [parentId] : []).concat(blockerIds);
+
+    return findExisting(referenced, ctx).then(function (found) {
+        var foundIds = found.map(function (t) {
+            return t._id.toString();
+        });
+        var missing = referenced.filter(function (id) {
+            return foundIds.indexOf(id) === -1 && id !== taskId;
+        });
+        if (missing.length > 0) {
+            throw createError(400, 'Referenced tasks do not exist', { missing: missing });
+        }
+
+        if (completing) {
+            var openBlockers = found.filter(function (t) {
+                return blockerIds.indexOf(t._id.toString()) !== -1 && !t.completed;
+            });
+            if (openBlockers.length > 0) {
+                throw createError(409, 'Task cannot be completed while it is blocked by open tasks', {
+                    blockedBy: openBlockers.map(summary)
+                });
+            }
+        }
+
+        return checkParentCycle(taskId, parentId, ctx).then(function () {
+            return checkBlockerCycle(taskId, blockerIds, ctx);
+        });
+    }).then(function () {
+        if (relations.parentTask !== undefined) {
+            task.parentTask = relations.parentTask;
+        }
+        if (relations.blockedBy !== undefined) {
+            task.blockedBy = relations.blockedBy;
+        }
+    });
+}
+
+/*
+ * Progress of a task: the average progress of its subtasks, or 0/100 by
+ * completion for a task without subtasks.
+ */
+function progressOf(task, ctx) {
+    if (task.isNew) {
+        return Promise.resolve(task.completed ? 100 : 0);
+    }
+    return Task.find({ parentTask: task._id.toString() }, 'progress').session(ctx.session).exec().then(function (subtasks) {
+        if (subtasks.length === 0) {
+            return task.completed ? 100 : 0;
+        }
+        var total = subtasks.reduce(function (sum, subtask) {
+            return sum + (subtask.progress || 0);
+        }, 0);
+        return Math.round(total / subtasks.length);
+    });
+}
+
+// Recompute the progress of task `parentId` and of its ancestors, stopping once nothing changes
+function rollUp(parentId, ctx, seen) {
+    seen = seen || {};
+    if (!parentId || seen[parentId] || !assignments.isValidId(parentId)) {
+        return Promise.resolve();
+    }
+    seen[parentId] = true;
+
+    return Task.findById(parentId).session(ctx.session).exec().then(function (parent) {
+        if (!parent) {
+            return;
+        }
+        return progressOf(parent, ctx).then(function (progress) {
+            if (progress === parent.progress) {
+                return;
+            }
+            var before = audit.snapshot(parent);
+            parent.progress = progress;
+            return assignments.saveWithAudit('task', parent, before, ctx).then(function () {
+                return rollUp(parent.parentTask, ctx, seen);
+            });
+        });
+    });
+}
+
+// Remove every reference to a deleted task and update its parent's progress
+function detach(task, ctx) {
+    var taskId = task._id.toString();
+
+    return Task.find({ $or: [{ parentTask: taskId }, { blockedBy: taskId }] }).session(ctx.session).exec().then(function (related) {
+        return related.reduce(function (done, other) {
+            return done.then(function () {
+                var before = audit.snapshot(other);
+                if (other.parentTask === taskId) {
+                    other.parentTask = "";
+                }
+                other.blockedBy = other.blockedBy.filter(function (id) {
+                    return String(id) !== taskId;
+                });
+                return assignments.saveWithAudit('task', other, before, ctx);
+            });
+        }, Promise.resolve());
+    }).then(function () {
+        return rollUp(task.parentTask, ctx);
+    });
+}
+
+// AND a reader's scope (see services/projects.js) into task conditions
+function scoped(conditions, scope) {
+    return scope ? { $and: [conditions, scope] } : conditions;
+}
+
+// Direct subtasks of a task, within `scope` if given
+function subtasksOf(id, scope) {
+    return Task.find(scoped({ parentTask: String(id) }, scope)).exec();
+}
+
+/*
+ * Dependency graph around a task: every task reachable through blockedBy in
+ * either direction, as { nodes, edges } where an edge { from, to } means
+ * `from` blocks `to`. Given a `scope`, tasks outside it are left out and not
+ * walked through.
+ */
+function dependencyGraph(id, scope) {
+    var nodes = {};
+    var edges = {};
+    // Ids already looked up, kept apart from `nodes` so tasks found as dependents are still expanded
+    var expanded = {};
+
+    function visit(ids) {
+        var fresh = ids.filter(function (nodeId, index) {
+            return !expanded[nodeId] && ids.indexOf(nodeId) === index;
+        });
+        if (fresh.length === 0 || Object.keys(expanded).length > MAX_GRAPH_SIZE) {
+            return Promise.resolve();
+        }
+        fresh.forEach(function (nodeId) {
+            expanded[nodeId] = true;
+        });
+        return Task.find(scoped({
+            $or: [{ _id: { $in: fresh.filter(assignments.isValidId) } }, { blockedBy: { $in: fresh } }]
+        }, scope), 'name completed blockedBy').exec().then(function (tasks) {
+            var next = [];
+            tasks.forEach(function (task) {
+                var taskId = task._id.toString();
+                nodes[taskId] = summary(task);
+                next.push(taskId);
+                task.blockedBy.map(String).forEach(function (blockerId) {
+                    edges[blockerId + '>' + taskId] = { from: blockerId, to: taskId };
+                    next.push(blockerId);
+                });
+            });
+            return visit(next);
+        });
+    }
+
+    return Task.findById(id, 'name completed blockedBy').exec().then(function (task) {
+        if (!task) {
+            throw createError(404, 'Task not found');
+        }
+        return visit([task._id.toString()]);
+    }).then(function () {
+        return {
+            nodes: Object.keys(nodes).map(function (nodeId) {
+                return nodes[nodeId];
+            }),
+            edges: Object.keys(edges).map(function (key) {
+                return edges[key];
+            }).filter(function (edge) {
+                return nodes[edge.from] && nodes[edge.to];
+            })
+        };
+    });
+}
+
+module.exports = {
+    parseRelations: parseRelations,
+    validate: validate,
+    progressOf: progressOf,
+    rollUp: rollUp,
+    detach: detach,
+    subtasksOf: subtasksOf,
+    dependencyGraph: dependencyGraph
+};
@@ -0,0 +1,86 @@
+/*
+ * Change events for tasks and users. Services collect one event per audited
+ * change while their transaction runs; `flush` hands them to listeners that
+ * must write in the same transaction (e.g. the webhook outbox) and
+ * `publish` notifies in-process listeners once the transaction has committed.
+ */
+
+var transactionalListeners = [];
+var commitListeners = [];
+
+/*
+ * Event types a change produces: always "<entity>.<action>d", plus
+ * task.reassigned and task.completed for the updates they describe.
+ */
+function eventTypes(entityType, action, before, after) {
+    var types = [entityType + '.' + action + 'd'];
+    if (entityType === 'task' && before && after) {
+        if (before.assignedUser !== after.assignedUser) {
+            types.push('task.reassigned');
+        }
+        if (!before.completed && after.completed) {
+            types.push('task.completed');
+        }
+    }
+    return types;
+}
+
+// Queue the event for an audit entry on the request context
+function collect(ctx, entry, before, after) {
+    if (!ctx || !ctx.events) {
+        return;
+    }
+    ctx.events.push({
+        id: entry._id.toString(),
+        types: eventTypes(entry.entityType, entry.action, before, after),
+        entityType: entry.entityType,
+        entityId: entry.entityId,
+        action: entry.action,
+        before: before,
+        after: after,
+        changes: entry.changes,
+        actor: entry.actor,
+        occurredAt: entry.timestamp
+    });
+}
+
+// listener(event, ctx) runs inside the transaction and may return a promise
+function beforeCommit(listener) {
+    transactionalListeners.push(listener);
+}
+
+// listener(event) runs after the transaction committed
+function afterCommit(listener) {
+    commitListeners.push(listener);
+}
+
+function flush(ctx) {
+    return (ctx.events || []).reduce(function (done, event) {
+        return transactionalListeners.reduce(function (inner, listener) {
+            return inner.then(function () {
+                return listener(event, ctx);
+            });
+        }, done);
+    }, Promise.resolve());
+}
+
+function publish(events) {
+    (events || []).forEach(function (event) {
+        commitListeners.forEach(function (listener) {
+            try {
+                listener(event);
+            } catch (err) {
+                console.error('Error in change event listener:', err);
+            }
+        });
+    });
+}
+
+module.exports = {
+    eventTypes: eventTypes,
+    collect: collect,
+    beforeCommit: beforeCommit,
+    afterCommit: afterCommit,
+    flush: flush,
+    publish: publish
+};
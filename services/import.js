@@ -0,0 +1,361 @@
+/*
+ * Import of users and tasks from CSV or JSON. Every row is validated up
+ * front (missing fields, duplicate emails, unknown assignees, ...); nothing
+ * is written unless the whole file is valid, and `dryRun` only reports.
+ * Rows are then created one by one through the user and task services, so
+ * assignees get their pendingTasks and everything lands in the audit log,
+ * all in one transaction: a row that still fails rolls back the others.
+ * Servers without transactions keep the rows created before the failure,
+ * and the report says so.
+ */
+
+// Load required packages
+var User = require('../models/user');
+var userService = require('./users');
+var taskService = require('./tasks');
+var permissions = require('../middleware/permissions');
+var inTransaction = require('./transaction').inTransaction;
+var csv = require('../utils/csv');
+var createError = require('../utils/errors').createError;
+
+// Rows are created in one transaction, which MongoDB aborts after 60 seconds; this keeps well inside that
+var MAX_ROWS = 500;
+var TYPES = ['user', 'task'];
+var TRUE_VALUES = ['true', '1', 'yes'];
+var FALSE_VALUES = ['false', '0', 'no', ''];
+
+function text(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/*
+ * Turn a request body into { users, tasks }, each row tagged with its 1-based
+ * position in the file. JSON bodies are { users: [...], tasks: [...] }; CSV
+ * rows say what they are in a `type` column unless `type` is given.
+ */
+function rowsFrom(body, format, type) {
+    var users = [];
+    var tasks = [];
+
+    if (format === 'csv') {
+        if (type && TYPES.indexOf(type) === -1) {
+            throw createError(400, 'Invalid type parameter. Must be one of: ' + TYPES.join(', '));
+        }
+        var records;
+        try {
+            records = csv.parse(body);
+        } catch (err) {
+            throw createError(400, 'Invalid CSV: ' + err.message);
+        }
+        records.forEach(function (record, index) {
+            var rowType = type || text(record.type).toLowerCase();
+            var row = { row: index + 1, type: rowType, data: record };
+            if (rowType === 'user') {
+                users.push(row);
+            } else if (rowType === 'task') {
+                tasks.push(row);
+            } else {
+                // Reported as an invalid row by validate
+                users.push(row);
+            }
+        });
+    } else {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw createError(400, 'Request body must be { users: [...], tasks: [...] } or CSV');
+        }
+        [['users', 'user', users], ['tasks', 'task', tasks]].forEach(function (kind) {
+            var list = body[kind[0]] === undefined ? [] : body[kind[0]];
+            if (!Array.isArray(list)) {
+                throw createError(400, kind[0] + ' must be an array');
+            }
+            list.forEach(function (data, index) {
+                kind[2].push({ row: index + 1, type: kind[1], data: data || {} });
+            });
+        });
+    }
+
+    if (users.length + tasks.length === 0) {
+        throw createError(400, 'Nothing to import');
+    }
+    if (users.length + tasks.length > MAX_ROWS) {
+        throw createError(413, 'An import may contain at most ' + MAX_ROWS + ' rows; split the file into smaller imports');
+    }
+    return { users: users, tasks: tasks, numberedTogether: format === 'csv' };
+}
+
+function parseCompleted(value) {
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    var normalized = text(value).toLowerCase();
+    if (TRUE_VALUES.indexOf(normalized) !== -1) {
+        return true;
+    }
+    if (FALSE_VALUES.indexOf(normalized) !== -1) {
+        return false;
+    }
+    return null;
+}
+
+// Deadlines may be dates or milliseconds since the epoch, as elsewhere in the API
+function parseDeadline(value) {
+    var raw = text(value);
+    if (!raw) {
+        return null;
+    }
+    var date = /^-?\d+$/.test(raw) ? new Date(Number(raw)) : new Date(raw);
+    return isNaN(date.getTime()) ? undefined : date;
+}
+
+function validateUser(row, actor, seen, existing, trashed) {
+    var data = row.data;
+    var errors = [];
+    var email = text(data.email);
+    var role = text(data.role) || permissions.MEMBER;
+
+    if (row.type !== 'user') {
+        errors.push('type must be one of: ' + TYPES.join(', '));
+        return errors;
+    }
+    row.fields = {
+        name: text(data.name),
+        email: email,
+        role: role,
+        password: text(data.password) || undefined
+    };
+
+    // The same field checks as POST /api/users, then the ones only an import needs
+    userService.fieldErrors(row.fields).forEach(function (error) {
+        errors.push(error.message);
+    });
+    if (email && seen[email]) {
+        errors.push('Duplicate email ' + email + ' (also on row ' + seen[email] + ')');
+    } else if (existing[email]) {
+        errors.push('User with this email already exists');
+    } else if (trashed[email]) {
+        errors.push(userService.TRASHED_EMAIL_MESSAGE);
+    }
+    if (role !== permissions.MEMBER && permissions.ROLES.indexOf(role) !== -1 && actor.role !== permissions.ADMIN) {
+        errors.push('Only admins may assign user roles');
+    }
+
+    if (email && !seen[email]) {
+        seen[email] = row.row;
+    }
+    return errors;
+}
+
+function validateTask(row, importedEmails, existing) {
+    var data = row.data;
+    var errors = [];
+    var deadline = parseDeadline(data.deadline);
+    var completed = parseCompleted(data.completed);
+    var assignee = text(data.assignedUserEmail);
+
+    if (!text(data.name)) {
+        errors.push('name is required');
+    }
+    if (deadline === null) {
+        errors.push('deadline is required');
+    } else if (deadline === undefined) {
+        errors.push('Invalid deadline ' + text(data.deadline));
+    }
+    if (completed === null) {
+        errors.push('completed must be true or false');
+    }
+    if (assignee && !existing[assignee] && !importedEmails[assignee]) {
+        errors.push('Unknown assignee ' + assignee);
+    }
+
+    row.fields = {
+        name: text(data.name),
+        description: text(data.description),
+        deadline: deadline,
+        completed: completed,
+        assignedUserEmail: assignee
+    };
+    return errors;
+}
+
+/*
+ * Validate every row, resolving to a report of
+ * { valid, rows: [{ type, row, status, errors }] }.
+ */
+function validate(rows, actor) {
+    var emails = rows.users.map(function (row) {
+        return text(row.data.email);
+    }).concat(rows.tasks.map(function (row) {
+        return text(row.data.assignedUserEmail);
+    })).filter(Boolean);
+
+    return Promise.all([
+        User.find({ email: { $in: emails } }).exec(),
+        User.find({ email: { $in: emails }, deletedAt: { $ne: null } }, 'email').exec()
+    ]).then(function (found) {
+        var existing = {};
+        found[0].forEach(function (user) {
+            existing[user.email] = user;
+        });
+        var trashed = {};
+        found[1].forEach(function (user) {
+            trashed[user.email] = true;
+        });
+
+        var seen = {};
+        var importedEmails = {};
+        var report = [];
+
+        rows.users.forEach(function (row) {
+            row.errors = validateUser(row, actor, seen, existing, trashed);
+            if (row.errors.length === 0) {
+                importedEmails[row.fields.email] = true;
+            }
+        });
+        rows.tasks.forEach(function (row) {
+            row.errors = validateTask(row, importedEmails, existing);
+        });
+
+        rows.users.concat(rows.tasks).forEach(function (row) {
+            report.push({
+                type: row.type,
+                row: row.row,
+                status: row.errors.length === 0 ? 'valid' : 'invalid',
+                errors: row.errors
+            });
+        });
+        // CSV rows share one numbering, so report them in file order
+        if (rows.numberedTogether) {
+            report.sort(function (a, b) {
+                return a.row - b.row;
+            });
+        }
+
+        return {
+            existing: existing,
+            valid: report.every(function (entry) {
+                return entry.status === 'valid';
+            }),
+            rows: report
+        };
+    });
+}
+
+function summarize(report, dryRun) {
+    var counts = {};
+    report.rows.forEach(function (entry) {
+        counts[entry.status] = (counts[entry.status] || 0) + 1;
+    });
+    return {
+        dryRun: dryRun,
+        valid: report.valid,
+        counts: counts,
+        rows: report.rows
+    };
+}
+
+// Create the validated rows in order, in one transaction: users first, so tasks can be assigned to them
+function create(rows, report, actor) {
+    var entries = report.rows;
+    var transactional;
+
+    function entryFor(row) {
+        return entries.filter(function (candidate) {
+            return candidate.type === row.type && candidate.row === row.row;
+        })[0];
+    }
+
+    function finish(row, promise) {
+        var entry = entryFor(row);
+        return promise.then(function (doc) {
+            entry.status = 'created';
+            entry.id = doc._id.toString();
+            return doc;
+        }, function (err) {
+            entry.status = 'failed';
+            entry.errors = [err.message];
+            throw err;
+        });
+    }
+
+    return inTransaction({ actor: actor }, function (ctx) {
+        transactional = Boolean(ctx.session);
+        // A transaction may be retried; start each attempt from the validated report
+        entries.forEach(function (entry) {
+            entry.status = 'valid';
+            delete entry.id;
+        });
+        var ids = {};
+        Object.keys(report.existing).forEach(function (email) {
+            ids[email] = report.existing[email]._id.toString();
+        });
+
+        return rows.users.reduce(function (done, row) {
+            return done.then(function () {
+                return finish(row, userService.createUser(row.fields, { ctx: ctx })).then(function (user) {
+                    ids[user.email] = user._id.toString();
+                });
+            });
+        }, Promise.resolve()).then(function () {
+            return rows.tasks.reduce(function (done, row) {
+                return done.then(function () {
+                    var assignee = row.fields.assignedUserEmail;
+                    return finish(row, taskService.createTask({
+                        name: row.fields.name,
+                        description: row.fields.description,
+                        deadline: row.fields.deadline,
+                        completed: row.fields.completed,
+                        assignedUser: assignee ? ids[assignee] : ""
+                    }, { ctx: ctx }));
+                });
+            }, Promise.resolve());
+        });
+    }).catch(function (err) {
+        var failed = entries.filter(function (entry) {
+            return entry.status === 'failed';
+        })[0];
+        if (!failed) {
+            throw err;
+        }
+        if (transactional) {
+            entries.forEach(function (entry) {
+                if (entry.status === 'created') {
+                    entry.status = 'rolledBack';
+                    delete entry.id;
+                }
+            });
+        }
+        var where = failed.type + ' row ' + failed.row;
+        throw createError(err.status || 500, transactional ?
+            'Import failed on ' + where + '; nothing was imported' :
+            'Import stopped at ' + where + '; the rows before it were imported', summarize(report, false));
+    });
+}
+
+/*
+ * Import a CSV string (`format` 'csv') or JSON body. Resolves to the report;
+ * rejects with a 400 carrying the report when any row is invalid.
+ */
+function runImport(body, options) {
+    var rows;
+    try {
+        rows = rowsFrom(body, options.format, options.type);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return validate(rows, options.actor).then(function (report) {
+        if (options.dryRun) {
+            return summarize(report, true);
+        }
+        if (!report.valid) {
+            throw createError(400, 'Import has invalid rows; nothing was imported', summarize(report, false));
+        }
+        return create(rows, report, options.actor).then(function () {
+            return summarize(report, false);
+        });
+    });
+}
+
+module.exports = {
+    runImport: runImport
+};
@@ -0,0 +1,163 @@
+/*
+ * The label catalog. Tasks may only carry labels from the catalog, by name;
+ * renaming a label renames it on every task and deleting one takes it off
+ * them. Task changes run in a transaction and are audited like any other.
+ */
+
+// Load required packages
+var Label = require('../models/label');
+var Task = require('../models/task');
+var assignments = require('./assignments');
+var audit = require('./audit');
+var inTransaction = require('./transaction').inTransaction;
+var validation = require('../utils/validation');
+var createError = require('../utils/errors').createError;
+
+var MISSING_MESSAGE = 'Label must have a name';
+var INVALID_MESSAGE = 'Label validation failed';
+var MAX_NAME_LENGTH = 50;
+var COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+var LABEL_SCHEMA = {
+    name: { type: 'string', required: true },
+    color: { type: 'string' },
+    description: { type: 'string' }
+};
+
+function normalizeLabel(body) {
+    validation.assertValid(validation.validate(body, LABEL_SCHEMA), MISSING_MESSAGE, INVALID_MESSAGE);
+    var name = body.name.trim();
+    var errors = [];
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        errors.push({ field: 'name', message: 'name must be 1 to ' + MAX_NAME_LENGTH + ' characters', code: 'invalid' });
+    }
+    if (body.color && !COLOR_PATTERN.test(body.color)) {
+        errors.push({ field: 'color', message: 'color must be a hex color such as #d73a4a', code: 'invalid' });
+    }
+    validation.assertValid(errors, MISSING_MESSAGE, INVALID_MESSAGE);
+    return {
+        name: name,
+        color: body.color || "",
+        description: body.description || ""
+    };
+}
+
+function duplicateName(err) {
+    if (err.code === 11000) {
+        throw createError(400, 'Label with this name already exists');
+    }
+    throw err;
+}
+
+function loadLabel(id, ctx) {
+    if (!validation.isObjectId(String(id))) {
+        return Promise.reject(createError(404, 'Label not found'));
+    }
+    return Label.findById(id).session(ctx.session).exec().then(function (label) {
+        if (!label) {
+            throw createError(404, 'Label not found');
+        }
+        return label;
+    });
+}
+
+// Re-save every task carrying label `name` with `change(labels)` applied to its labels
+function relabelTasks(name, change, ctx) {
+    return Task.find({ labels: name }).session(ctx.session).exec().then(function (tasks) {
+        return tasks.reduce(function (done, task) {
+            return done.then(function () {
+                var before = audit.snapshot(task);
+                task.labels = change(task.labels.slice());
+                return assignments.saveWithAudit('task', task, before, ctx);
+            });
+        }, Promise.resolve());
+    });
+}
+
+function createLabel(body) {
+    var fields;
+    try {
+        fields = normalizeLabel(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    return new Label(fields).save().catch(duplicateName);
+}
+
+// Replace a label; a new name is applied to the tasks that carry it
+function updateLabel(id, body, options) {
+    var fields;
+    try {
+        fields = normalizeLabel(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return inTransaction(options, function (ctx) {
+        return loadLabel(id, ctx).then(function (label) {
+            var previousName = label.name;
+            label.name = fields.name;
+            label.color = fields.color;
+            label.description = fields.description;
+            return label.save({ session: ctx.session }).then(function () {
+                if (previousName === label.name) {
+                    return;
+                }
+                return relabelTasks(previousName, function (labels) {
+                    return labels.map(function (name) {
+                        return name === previousName ? label.name : name;
+                    });
+                }, ctx);
+            }).then(function () {
+                return label;
+            });
+        });
+    }).catch(duplicateName);
+}
+
+// Delete a label and take it off every task
+function deleteLabel(id, options) {
+    return inTransaction(options, function (ctx) {
+        return loadLabel(id, ctx).then(function (label) {
+            return relabelTasks(label.name, function (labels) {
+                return labels.filter(function (name) {
+                    return name !== label.name;
+                });
+            }, ctx).then(function () {
+                return Label.deleteOne({ _id: label._id }).session(ctx.session).exec();
+            }).then(function () {
+                return label;
+            });
+        });
+    });
+}
+
+/*
+ * Check that every name in `names` is in the catalog. `invalidMessage` is
+ * the caller's message for 422 responses.
+ */
+function checkLabels(names, invalidMessage, ctx) {
+    if (names.length === 0) {
+        return Promise.resolve();
+    }
+    return Label.find({ name: { $in: names } }, 'name').session(ctx.session).exec().then(function (labels) {
+        var known = labels.map(function (label) {
+            return label.name;
+        });
+        var unknown = names.filter(function (name) {
+            return known.indexOf(name) === -1;
+        });
+        if (unknown.length > 0) {
+            throw validation.invalidReference(invalidMessage, 'labels', 'Unknown labels: ' + unknown.join(', ') +
+                '. Add them to the catalog at /api/labels first');
+        }
+    });
+}
+
+module.exports = {
+    loadLabel: loadLabel,
+    createLabel: createLabel,
+    updateLabel: updateLabel,
+    deleteLabel: deleteLabel,
+    checkLabels: checkLabels
+};
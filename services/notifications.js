@@ -0,0 +1,267 @@
+/*
+ * Deadline reminders. A scheduler periodically looks for open, assigned tasks
+ * whose deadline is within one of their assignee's reminderLeadTimes (or has
+ * passed), records a Notification for the user and hands it to the transport.
+ * Notifications are unique per user, task, deadline and lead time, so running
+ * the scan again (or on several servers) never notifies twice.
+ */
+
+// Load required packages
+var Task = require('../models/task');
+var User = require('../models/user');
+var Notification = require('../models/notification');
+var transports = require('./transports');
+var isValidId = require('./assignments').isValidId;
+var validation = require('../utils/validation');
+var createError = require('../utils/errors').createError;
+
+var MINUTE_MS = 60 * 1000;
+var MAX_LEAD_TIME = 30 * 24 * 60; // minutes
+var MAX_LEAD_TIMES = 10;
+// Deadlines that passed longer ago than this (minutes) get no overdue notice, e.g. on a first deploy
+var OVERDUE_WINDOW = 24 * 60;
+var SCAN_BATCH_SIZE = 500;
+
+var transport = transports.createTransport(process.env.NOTIFY_TRANSPORT);
+
+// Replace the transport notifications are delivered through
+function setTransport(newTransport) {
+    transport = newTransport;
+}
+
+/*
+ * Validate reminder lead times from a request body (an array or a
+ * comma-separated list of minutes). Undefined when omitted so a replace keeps
+ * the user's current settings; an empty list turns reminders off.
+ */
+function parseLeadTimes(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    var list = typeof value === 'string' ? value.split(',').filter(Boolean) : [].concat(value);
+    var leadTimes = list.map(Number);
+    var invalid = leadTimes.some(function (minutes) {
+        return !Number.isInteger(minutes) || minutes < 1 || minutes > MAX_LEAD_TIME;
+    });
+    if (invalid) {
+        throw createError(400, 'reminderLeadTimes must be whole numbers of minutes between 1 and ' + MAX_LEAD_TIME);
+    }
+    if (leadTimes.length > MAX_LEAD_TIMES) {
+        throw createError(400, 'At most ' + MAX_LEAD_TIMES + ' reminderLeadTimes are allowed');
+    }
+    return leadTimes.filter(function (minutes, index) {
+        return leadTimes.indexOf(minutes) === index;
+    }).sort(function (a, b) {
+        return b - a;
+    });
+}
+
+// "2 days", "1 hour", "90 minutes"
+function describeLeadTime(minutes) {
+    var units = [['day', 24 * 60], ['hour', 60], ['minute', 1]];
+    for (var i = 0; i < units.length; i++) {
+        if (minutes % units[i][1] === 0) {
+            var count = minutes / units[i][1];
+            return count + ' ' + units[i][0] + (count === 1 ? '' : 's');
+        }
+    }
+}
+
+function messageFor(task, type, leadTime) {
+    if (type === 'overdue') {
+        return 'Task "' + task.name + '" is overdue (deadline was ' + task.deadline.toISOString() + ')';
+    }
+    return 'Task "' + task.name + '" is due in ' + describeLeadTime(leadTime) +
+        ' (deadline ' + task.deadline.toISOString() + ')';
+}
+
+/*
+ * The notice `task` calls for right now, if any: overdue once the deadline has
+ * passed, otherwise a reminder for the shortest lead time already reached (so
+ * a scheduler that was down does not send every missed reminder at once).
+ */
+function noticeFor(task, user, now) {
+    var remaining = task.deadline.getTime() - now.getTime();
+    if (remaining <= 0) {
+        return { type: 'overdue', leadTime: 0 };
+    }
+    var reached = (user.reminderLeadTimes || []).filter(function (minutes) {
+        return remaining <= minutes * MINUTE_MS;
+    });
+    if (reached.length === 0) {
+        return null;
+    }
+    return { type: 'reminder', leadTime: Math.min.apply(null, reached) };
+}
+
+// Send a notification and record whether that worked; delivery problems never fail the scan
+function deliver(notification, user) {
+    return Promise.resolve().then(function () {
+        return transport.send(notification, user);
+    }).then(function () {
+        return { delivered: true, deliveryError: "" };
+    }, function (err) {
+        return { delivered: false, deliveryError: err.message };
+    }).then(function (result) {
+        return Notification.updateOne({ _id: notification._id }, result).exec();
+    });
+}
+
+// Record and deliver `notice` for a task unless it (or a later reminder for the same deadline) already exists
+function notify(task, user, notice) {
+    var key = {
+        user: user._id.toString(),
+        task: task._id.toString(),
+        deadline: task.deadline,
+        type: notice.type
+    };
+    var existing = notice.type === 'reminder' ?
+        Object.assign({ leadTime: { $lte: notice.leadTime } }, key) :
+        key;
+
+    return Notification.exists(existing).then(function (found) {
+        if (found) {
+            return false;
+        }
+        return Notification.create(Object.assign({
+            leadTime: notice.leadTime,
+            message: messageFor(task, notice.type, notice.leadTime)
+        }, key)).then(function (notification) {
+            return deliver(notification, user).then(function () {
+                return true;
+            });
+        }, function (err) {
+            // Another scan got there first
+            if (err.code === 11000) {
+                return false;
+            }
+            throw err;
+        });
+    });
+}
+
+// Notify the assignees of a batch of tasks; resolves to the number of notifications created
+function notifyTasks(tasks, now) {
+    // A malformed assignedUser would fail the whole lookup; reconcile repairs those
+    var userIds = tasks.map(function (task) {
+        return task.assignedUser;
+    }).filter(function (id, index, ids) {
+        return validation.isObjectId(id) && ids.indexOf(id) === index;
+    });
+    return User.find({ _id: { $in: userIds } }).exec().then(function (users) {
+        var usersById = {};
+        users.forEach(function (user) {
+            usersById[user._id.toString()] = user;
+        });
+
+        var created = 0;
+        return tasks.reduce(function (done, task) {
+            return done.then(function () {
+                var user = usersById[task.assignedUser];
+                var notice = user && noticeFor(task, user, now);
+                if (!notice) {
+                    return;
+                }
+                return notify(task, user, notice).then(function (isNew) {
+                    created += isNew ? 1 : 0;
+                });
+            });
+        }, Promise.resolve()).then(function () {
+            return created;
+        });
+    });
+}
+
+/*
+ * Notify the assignees of every open task that is due soon or became overdue
+ * within OVERDUE_WINDOW, SCAN_BATCH_SIZE tasks at a time in deadline order.
+ * Resolves to the number of notifications created.
+ */
+function scan(now) {
+    now = now || new Date();
+    var window = {
+        $gte: new Date(now.getTime() - OVERDUE_WINDOW * MINUTE_MS),
+        $lte: new Date(now.getTime() + MAX_LEAD_TIME * MINUTE_MS)
+    };
+    var created = 0;
+
+    function page(last) {
+        var conditions = [{ completed: false, assignedUser: { $ne: "" }, deadline: window }];
+        if (last) {
+            conditions.push({ $or: [
+                { deadline: { $gt: last.deadline } },
+                { deadline: last.deadline, _id: { $gt: last._id } }
+            ] });
+        }
+        return Task.find({ $and: conditions }).sort({ deadline: 1, _id: 1 }).limit(SCAN_BATCH_SIZE).exec().then(function (tasks) {
+            return notifyTasks(tasks, now).then(function (count) {
+                created += count;
+                if (tasks.length === SCAN_BATCH_SIZE) {
+                    return page(tasks[tasks.length - 1]);
+                }
+            });
+        });
+    }
+    return page(null).then(function () {
+        return created;
+    });
+}
+
+/*
+ * Scan every `intervalMs` milliseconds. Returns a function that stops the
+ * scheduler.
+ */
+function startScheduler(intervalMs) {
+    var running = false;
+    var timer = setInterval(function () {
+        if (running) {
+            return;
+        }
+        running = true;
+        scan().catch(function (err) {
+            console.error('Error sending deadline reminders:', err);
+        }).then(function () {
+            running = false;
+        });
+    }, Number(intervalMs) || MINUTE_MS);
+    timer.unref();
+
+    return function stop() {
+        clearInterval(timer);
+    };
+}
+
+// Mark one of a user's notifications read or unread
+function setRead(userId, notificationId, read) {
+    if (!isValidId(notificationId)) {
+        return Promise.reject(createError(404, 'Notification not found'));
+    }
+    return Notification.findOneAndUpdate({ _id: notificationId, user: String(userId) }, {
+        read: read,
+        readAt: read ? new Date() : null
+    }, { new: true }).exec().then(function (notification) {
+        if (!notification) {
+            throw createError(404, 'Notification not found');
+        }
+        return notification;
+    });
+}
+
+// Mark all of a user's unread notifications read; resolves to how many changed
+function markAllRead(userId) {
+    return Notification.updateMany({ user: String(userId), read: false }, {
+        read: true,
+        readAt: new Date()
+    }).exec().then(function (result) {
+        return result.nModified;
+    });
+}
+
+module.exports = {
+    setTransport: setTransport,
+    parseLeadTimes: parseLeadTimes,
+    scan: scan,
+    startScheduler: startScheduler,
+    setRead: setRead,
+    markAllRead: markAllRead
+};
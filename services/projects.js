@@ -0,0 +1,314 @@
+/*
+ * Projects group users (Project.members) and tasks (Task.project). A task in
+ * a project may only be assigned to one of its members, so removing members
+ * unassigns their tasks in the project, and deleting a project takes its
+ * tasks out of it. Task changes run in a transaction and are audited like
+ * any other. Members only read the tasks of projects they belong to, plus
+ * tasks outside of any project; admins and managers read every task.
+ */
+
+// Load required packages
+var Project = require('../models/project');
+var Task = require('../models/task');
+var User = require('../models/user');
+var assignments = require('./assignments');
+var audit = require('./audit');
+var inTransaction = require('./transaction').inTransaction;
+var validation = require('../utils/validation');
+var createError = require('../utils/errors').createError;
+var permissions = require('../middleware/permissions');
+
+var MISSING_MESSAGE = 'Project must have a name';
+var INVALID_MESSAGE = 'Project validation failed';
+var TASK_READERS = [permissions.ADMIN, permissions.MANAGER];
+var TASK_READ_FORBIDDEN = 'Members may only view tasks of projects they belong to';
+
+var PROJECT_SCHEMA = {
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    members: { type: 'objectIdList' }
+};
+
+function toIdList(value) {
+    var ids = [].concat(value || []).map(String);
+    return ids.filter(function (id, index) {
+        return ids.indexOf(id) === index;
+    });
+}
+
+// Validate a request body into project fields; members stay undefined when omitted so a replace keeps them
+function normalizeProject(body) {
+    validation.assertValid(validation.validate(body, PROJECT_SCHEMA), MISSING_MESSAGE, INVALID_MESSAGE);
+    return {
+        name: body.name,
+        description: body.description || "",
+        members: body.members === undefined ? undefined : toIdList(body.members)
+    };
+}
+
+function duplicateName(err) {
+    if (err.code === 11000) {
+        throw createError(400, 'Project with this name already exists');
+    }
+    throw err;
+}
+
+function loadProject(id, ctx) {
+    if (!validation.isObjectId(String(id))) {
+        return Promise.reject(createError(404, 'Project not found'));
+    }
+    return Project.findById(id).session(ctx ? ctx.session : null).exec().then(function (project) {
+        if (!project) {
+            throw createError(404, 'Project not found');
+        }
+        return project;
+    });
+}
+
+// Reject member ids that are not users
+function checkMembers(ids, ctx) {
+    if (ids.length === 0) {
+        return Promise.resolve();
+    }
+    return User.find({ _id: { $in: ids } }, '_id').session(ctx.session).exec().then(function (users) {
+        var found = users.map(function (user) {
+            return user._id.toString();
+        });
+        var unknown = ids.filter(function (id) {
+            return found.indexOf(id) === -1;
+        });
+        if (unknown.length > 0) {
+            throw validation.invalidReference(INVALID_MESSAGE, 'members', 'No users with ids ' + unknown.join(', '));
+        }
+    });
+}
+
+// Unassign the project's tasks held by users who are no longer members
+function unassignFormerMembers(project, removed, ctx) {
+    if (removed.length === 0) {
+        return Promise.resolve();
+    }
+    return Task.find({ project: project._id.toString(), assignedUser: { $in: removed } }).session(ctx.session).exec().then(function (tasks) {
+        return tasks.reduce(function (done, task) {
+            return done.then(function () {
+                var before = audit.snapshot(task);
+                var previousUser = task.assignedUser;
+                assignments.applyAssignee(task, null);
+                return assignments.saveWithAudit('task', task, before, ctx).then(function () {
+                    return assignments.removePendingTask(previousUser, task._id.toString(), ctx);
+                });
+            });
+        }, Promise.resolve());
+    });
+}
+
+// Set a project's members, unassigning the project's tasks of anyone removed
+function setMembers(project, members, ctx) {
+    var current = project.members.map(String);
+    var removed = current.filter(function (id) {
+        return members.indexOf(id) === -1;
+    });
+    // Only new members have to exist; members in the trash stay until they are purged
+    var added = members.filter(function (id) {
+        return current.indexOf(id) === -1;
+    });
+    return checkMembers(added, ctx).then(function () {
+        project.members = members;
+        return unassignFormerMembers(project, removed, ctx);
+    });
+}
+
+function createProject(body, options) {
+    var fields;
+    try {
+        fields = normalizeProject(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return inTransaction(options, function (ctx) {
+        var project = new Project({
+            name: fields.name,
+            description: fields.description,
+            createdBy: ctx.actor ? ctx.actor._id.toString() : ""
+        });
+        return setMembers(project, fields.members || [], ctx).then(function () {
+            return project.save({ session: ctx.session });
+        });
+    }).catch(duplicateName);
+}
+
+// Replace a project's name and description, and its members if given
+function updateProject(id, body, options) {
+    var fields;
+    try {
+        fields = normalizeProject(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return inTransaction(options, function (ctx) {
+        return loadProject(id, ctx).then(function (project) {
+            project.name = fields.name;
+            project.description = fields.description;
+            var members = fields.members === undefined ? project.members.map(String) : fields.members;
+            return setMembers(project, members, ctx).then(function () {
+                return project.save({ session: ctx.session });
+            });
+        });
+    }).catch(duplicateName);
+}
+
+// Delete a project; its tasks stay, outside of any project
+function deleteProject(id, options) {
+    return inTransaction(options, function (ctx) {
+        return loadProject(id, ctx).then(function (project) {
+            return Task.find({ project: project._id.toString() }).session(ctx.session).exec().then(function (tasks) {
+                return tasks.reduce(function (done, task) {
+                    return done.then(function () {
+                        var before = audit.snapshot(task);
+                        task.project = "";
+                        return assignments.saveWithAudit('task', task, before, ctx);
+                    });
+                }, Promise.resolve());
+            }).then(function () {
+                return Project.deleteOne({ _id: project._id }).session(ctx.session).exec();
+            }).then(function () {
+                return project;
+            });
+        });
+    });
+}
+
+function addMember(id, userId, options) {
+    return inTransaction(options, function (ctx) {
+        return loadProject(id, ctx).then(function (project) {
+            if (!userId || !validation.isObjectId(String(userId))) {
+                throw validation.invalidReference(INVALID_MESSAGE, 'user', 'user must be a valid id');
+            }
+            var members = project.members.map(String);
+            if (members.indexOf(String(userId)) === -1) {
+                members.push(String(userId));
+            }
+            return setMembers(project, members, ctx).then(function () {
+                return project.save({ session: ctx.session });
+            });
+        });
+    });
+}
+
+function removeMember(id, userId, options) {
+    return inTransaction(options, function (ctx) {
+        return loadProject(id, ctx).then(function (project) {
+            var members = project.members.map(String);
+            if (members.indexOf(String(userId)) === -1) {
+                throw createError(404, 'User is not a member of this project');
+            }
+            return setMembers(project, members.filter(function (member) {
+                return member !== String(userId);
+            }), ctx).then(function () {
+                return project.save({ session: ctx.session });
+            });
+        });
+    });
+}
+
+// The project `projectId`, or null if there is none
+function findProject(projectId, ctx) {
+    if (!projectId || !validation.isObjectId(String(projectId))) {
+        return Promise.resolve(null);
+    }
+    return Project.findById(projectId).session(ctx.session).exec();
+}
+
+/*
+ * Check that a task may be in `projectId` with `userId` as its assignee:
+ * the project must exist and the user must be a member. `invalidMessage`
+ * is the caller's message for 422 responses.
+ */
+function checkAssignment(projectId, userId, invalidMessage, ctx) {
+    if (!projectId) {
+        return Promise.resolve(null);
+    }
+    return findProject(projectId, ctx).then(function (found) {
+        if (!found) {
+            throw validation.invalidReference(invalidMessage, 'project', 'No project with id ' + projectId);
+        }
+        if (userId && found.members.map(String).indexOf(userId) === -1) {
+            throw validation.invalidReference(invalidMessage, 'assignedUser',
+                'User ' + userId + ' is not a member of project ' + found.name);
+        }
+        return found;
+    });
+}
+
+// The members of a project, for scoping user lists and auto-assignment
+function membersOf(projectId, ctx) {
+    return loadProject(projectId, ctx).then(function (project) {
+        return project.members.map(String);
+    });
+}
+
+/*
+ * Task filter limiting `user` to the tasks they may read, or null when they
+ * may read every task. Tasks saved before projects existed have no project.
+ */
+function taskScope(user) {
+    if (permissions.hasRole(user, TASK_READERS)) {
+        return Promise.resolve(null);
+    }
+    return Project.find({ members: user._id.toString() }, '_id').exec().then(function (projects) {
+        return {
+            project: {
+                $in: [null, ''].concat(projects.map(function (project) {
+                    return project._id.toString();
+                }))
+            }
+        };
+    });
+}
+
+// Whether a task (or task snapshot) falls within a scope from taskScope
+function inScope(scope, task) {
+    return !scope || scope.project.$in.indexOf(task.project || '') !== -1;
+}
+
+/*
+ * Check that `user` may read task `taskId`, rejecting with a 403 if it is in
+ * a project they are not a member of (or a 404 if it does not exist). Resolves
+ * to their scope from taskScope.
+ */
+function checkTaskAccess(user, taskId) {
+    return taskScope(user).then(function (scope) {
+        if (!scope) {
+            return null;
+        }
+        if (!validation.isObjectId(String(taskId))) {
+            throw createError(404, 'Task not found');
+        }
+        return Task.findById(taskId, 'project').exec().then(function (task) {
+            if (!task) {
+                throw createError(404, 'Task not found');
+            }
+            if (!inScope(scope, task)) {
+                throw permissions.forbidden(user, 'tasks:read', TASK_READ_FORBIDDEN);
+            }
+            return scope;
+        });
+    });
+}
+
+module.exports = {
+    loadProject: loadProject,
+    findProject: findProject,
+    createProject: createProject,
+    updateProject: updateProject,
+    deleteProject: deleteProject,
+    addMember: addMember,
+    removeMember: removeMember,
+    checkAssignment: checkAssignment,
+    membersOf: membersOf,
+    taskScope: taskScope,
+    inScope: inScope,
+    checkTaskAccess: checkTaskAccess
+};
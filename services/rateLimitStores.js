@@ -0,0 +1,94 @@
+/*
+ * Where rate limit counters live. A store is any object with
+ * `increment(key, windowMs)` resolving to { count, resetAt } for the current
+ * fixed window of `key`; pick a built-in one with RATE_LIMIT_STORE or pass
+ * your own to the rate limit middleware.
+ */
+
+// Load required packages
+var RateLimit = require('../models/rateLimit');
+
+var SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Counters in this process's memory (the default; each server instance counts on its own)
+function memoryStore() {
+    var windows = new Map();
+
+    // Forget windows that are over so idle clients don't pile up
+    var timer = setInterval(function () {
+        var now = Date.now();
+        windows.forEach(function (window, key) {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        });
+    }, SWEEP_INTERVAL_MS);
+    timer.unref();
+
+    return {
+        name: 'memory',
+        increment: function (key, windowMs) {
+            var now = Date.now();
+            var window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count++;
+            return Promise.resolve({ count: window.count, resetAt: new Date(window.resetAt) });
+        }
+    };
+}
+
+/*
+ * Counters in the API's MongoDB database, shared by every server instance.
+ * Expired windows are removed by a TTL index.
+ */
+function mongoStore() {
+    function increment(key, windowMs) {
+        var now = new Date();
+        return RateLimit.findOneAndUpdate({ key: key, resetAt: { $gt: now } }, { $inc: { count: 1 } }, {
+            new: true
+        }).exec().then(function (current) {
+            if (current) {
+                return current;
+            }
+            // No window yet, or it is over: start a new one
+            return RateLimit.findOneAndUpdate({ key: key, resetAt: { $lte: now } }, {
+                $set: { count: 1, resetAt: new Date(now.getTime() + windowMs) }
+            }, { new: true, upsert: true }).exec();
+        }).then(function (window) {
+            return { count: window.count, resetAt: window.resetAt };
+        }).catch(function (err) {
+            // Another instance started the window first; count in it instead
+            if (err.code === 11000) {
+                return increment(key, windowMs);
+            }
+            throw err;
+        });
+    }
+
+    return {
+        name: 'mongo',
+        increment: increment
+    };
+}
+
+var STORES = {
+    memory: memoryStore,
+    mongo: mongoStore
+};
+
+function createStore(name) {
+    var factory = STORES[name || 'memory'];
+    if (!factory) {
+        throw new Error('Unknown rate limit store "' + name + '". Must be one of: ' + Object.keys(STORES).join(', '));
+    }
+    return factory();
+}
+
+module.exports = {
+    createStore: createStore,
+    memoryStore: memoryStore,
+    mongoStore: mongoStore
+};
@@ -0,0 +1,193 @@
+/*
+ * Cross-checks Task.assignedUser/assignedUserName against User.pendingTasks.
+ * When repairing, the task side is treated as the source of truth: a user's
+ * pendingTasks become exactly the open tasks assigned to them.
+ */
+
+// Load required packages
+var Task = require('../models/task');
+var User = require('../models/user');
+var audit = require('./audit');
+var UNASSIGNED_NAME = require('./assignments').UNASSIGNED_NAME;
+var inTransaction = require('./transaction').inTransaction;
+
+// Find every inconsistency between the two collections
+function findMismatches(tasks, users) {
+    var mismatches = [];
+    var tasksById = {};
+    var usersById = {};
+
+    tasks.forEach(function (task) {
+        tasksById[task._id.toString()] = task;
+    });
+    users.forEach(function (user) {
+        usersById[user._id.toString()] = user;
+    });
+
+    users.forEach(function (user) {
+        var userId = user._id.toString();
+        var seen = {};
+
+        (user.pendingTasks || []).forEach(function (taskId) {
+            var task = tasksById[taskId];
+            if (seen[taskId]) {
+                mismatches.push({ type: 'duplicate_pending_task', user: userId, task: taskId });
+                return;
+            }
+            seen[taskId] = true;
+
+            if (!task) {
+                mismatches.push({ type: 'dangling_task_id', user: userId, task: taskId });
+            } else if (task.completed) {
+                mismatches.push({ type: 'completed_task_pending', user: userId, task: taskId });
+            } else if (task.assignedUser !== userId) {
+                mismatches.push({
+                    type: 'task_assigned_elsewhere',
+                    user: userId,
+                    task: taskId,
+                    assignedUser: task.assignedUser
+                });
+            }
+        });
+    });
+
+    tasks.forEach(function (task) {
+        var taskId = task._id.toString();
+        if (!task.assignedUser) {
+            if (task.assignedUserName !== UNASSIGNED_NAME) {
+                mismatches.push({
+                    type: 'wrong_assigned_user_name',
+                    task: taskId,
+                    expected: UNASSIGNED_NAME,
+                    actual: task.assignedUserName
+                });
+            }
+            return;
+        }
+
+        var user = usersById[task.assignedUser];
+        if (!user) {
+            mismatches.push({ type: 'dangling_assigned_user', task: taskId, user: task.assignedUser });
+            return;
+        }
+        if (task.assignedUserName !== user.name) {
+            mismatches.push({
+                type: 'wrong_assigned_user_name',
+                task: taskId,
+                expected: user.name,
+                actual: task.assignedUserName
+            });
+        }
+        if (!task.completed && (user.pendingTasks || []).indexOf(taskId) === -1) {
+            mismatches.push({ type: 'missing_pending_task', user: task.assignedUser, task: taskId });
+        }
+    });
+
+    return mismatches;
+}
+
+// Rewrite both collections so they agree with the task assignments
+function repair(tasks, users, ctx) {
+    var usersById = {};
+    var pendingByUser = {};
+    var taskOps = [];
+    var userOps = [];
+    var auditEntries = [];
+
+    users.forEach(function (user) {
+        usersById[user._id.toString()] = user;
+        pendingByUser[user._id.toString()] = [];
+    });
+
+    tasks.forEach(function (task) {
+        var user = task.assignedUser ? usersById[task.assignedUser] : null;
+        var assignedUser = user ? task.assignedUser : "";
+        var assignedUserName = user ? user.name : UNASSIGNED_NAME;
+
+        if (assignedUser !== task.assignedUser || assignedUserName !== task.assignedUserName) {
+            taskOps.push({
+                updateOne: {
+                    filter: { _id: task._id },
+                    update: { assignedUser: assignedUser, assignedUserName: assignedUserName, $inc: { __v: 1 } }
+                }
+            });
+            auditEntries.push(['task', task._id, {
+                assignedUser: task.assignedUser,
+                assignedUserName: task.assignedUserName
+            }, {
+                assignedUser: assignedUser,
+                assignedUserName: assignedUserName
+            }]);
+        }
+        if (user && !task.completed) {
+            pendingByUser[assignedUser].push(task._id.toString());
+        }
+    });
+
+    users.forEach(function (user) {
+        var expected = pendingByUser[user._id.toString()];
+        var actual = user.pendingTasks || [];
+        var unchanged = expected.length === actual.length && expected.every(function (taskId) {
+            return actual.indexOf(taskId) !== -1;
+        });
+        if (!unchanged) {
+            userOps.push({
+                updateOne: {
+                    filter: { _id: user._id },
+                    update: { pendingTasks: expected, $inc: { __v: 1 } }
+                }
+            });
+            auditEntries.push(['user', user._id, { pendingTasks: actual }, { pendingTasks: expected }]);
+        }
+    });
+
+    return Promise.resolve(taskOps.length && Task.bulkWrite(taskOps, { session: ctx.session })).then(function () {
+        return userOps.length && User.bulkWrite(userOps, { session: ctx.session });
+    }).then(function () {
+        return auditEntries.reduce(function (done, entry) {
+            return done.then(function () {
+                return audit.record(entry[0], entry[1], entry[2], entry[3], ctx);
+            });
+        }, Promise.resolve());
+    }).then(function () {
+        return { tasksUpdated: taskOps.length, usersUpdated: userOps.length };
+    });
+}
+
+/*
+ * Report (and with `options.repair` fix) every mismatch. Resolves to
+ * { mismatches, repaired, tasksUpdated, usersUpdated }.
+ */
+function reconcile(options) {
+    var shouldRepair = !!(options && options.repair);
+
+    return inTransaction(options, function (ctx) {
+        return Promise.all([
+            Task.find({}, 'assignedUser assignedUserName completed').session(ctx.session).lean().exec(),
+            User.find({}, 'name pendingTasks').session(ctx.session).lean().exec()
+        ]).then(function (results) {
+            var tasks = results[0];
+            var users = results[1];
+            var report = {
+                mismatches: findMismatches(tasks, users),
+                repaired: false,
+                tasksUpdated: 0,
+                usersUpdated: 0
+            };
+
+            if (!shouldRepair || report.mismatches.length === 0) {
+                return report;
+            }
+            return repair(tasks, users, ctx).then(function (counts) {
+                report.repaired = true;
+                report.tasksUpdated = counts.tasksUpdated;
+                report.usersUpdated = counts.usersUpdated;
+                return report;
+            });
+        });
+    });
+}
+
+module.exports = {
+    reconcile: reconcile
+};
@@ -0,0 +1,233 @@
+/*
+ * Recurrence rules for repeating tasks. A rule is stored on Task.recurrence as
+ * { frequency, interval, byDay, dayOfMonth, until, count } and can be given
+ * either in that shape or as an RRULE-style string such as
+ * "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10".
+ */
+
+// Load required packages
+var createError = require('../utils/errors').createError;
+
+var FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+var WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+var DAY_MS = 24 * 60 * 60 * 1000;
+
+function invalid(reason) {
+    return createError(400, 'Invalid recurrence: ' + reason);
+}
+
+// "FREQ=WEEKLY;COUNT=3" -> { frequency: 'weekly', count: '3' }
+function parseRule(rule) {
+    var parsed = {};
+    String(rule).replace(/^RRULE:/i, '').split(';').forEach(function (part) {
+        if (!part.trim()) {
+            return;
+        }
+        var pair = part.split('=');
+        if (pair.length !== 2) {
+            throw invalid('"' + part + '" is not a KEY=VALUE pair');
+        }
+        var key = pair[0].trim().toUpperCase();
+        var value = pair[1].trim();
+        if (key === 'FREQ') {
+            parsed.frequency = value.toLowerCase();
+        } else if (key === 'INTERVAL') {
+            parsed.interval = value;
+        } else if (key === 'COUNT') {
+            parsed.count = value;
+        } else if (key === 'UNTIL') {
+            // Accept the compact RRULE form 20251231 / 20251231T235959Z as well as ISO dates
+            parsed.until = value.replace(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/, function (m, y, mo, d, h, mi, s) {
+                return y + '-' + mo + '-' + d + (h ? 'T' + h + ':' + mi + ':' + s + 'Z' : '');
+            });
+        } else if (key === 'BYDAY') {
+            parsed.byDay = value.split(',');
+        } else if (key === 'BYMONTHDAY') {
+            parsed.dayOfMonth = value;
+        } else {
+            throw invalid(key + ' is not supported');
+        }
+    });
+    return parsed;
+}
+
+function positiveInteger(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    var number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw invalid(name + ' must be a positive whole number');
+    }
+    return number;
+}
+
+/*
+ * Validate a recurrence from a request body. Returns undefined when the body
+ * did not mention one, null when it clears it, or the normalized rule.
+ */
+function parseRecurrence(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value === null || value === '' || value === 'null' || value === false) {
+        return null;
+    }
+
+    var rule = typeof value === 'string' ? parseRule(value) : value;
+    if (typeof rule !== 'object') {
+        throw invalid('must be an object or an RRULE string');
+    }
+
+    var frequency = String(rule.frequency || '').toLowerCase();
+    if (FREQUENCIES.indexOf(frequency) === -1) {
+        throw invalid('frequency must be one of ' + FREQUENCIES.join(', '));
+    }
+
+    var byDay;
+    if (rule.byDay !== undefined && rule.byDay !== null && rule.byDay !== '') {
+        if (frequency !== 'weekly') {
+            throw invalid('byDay is only supported for weekly recurrences');
+        }
+        byDay = [].concat(rule.byDay).map(function (day) {
+            return String(day).trim().toUpperCase();
+        });
+        if (byDay.length === 0 || byDay.some(function (day) {
+            return WEEKDAYS.indexOf(day) === -1;
+        })) {
+            throw invalid('byDay must list weekdays from ' + WEEKDAYS.join(', '));
+        }
+    }
+
+    var dayOfMonth = positiveInteger(rule.dayOfMonth, 'dayOfMonth');
+    if (dayOfMonth && (dayOfMonth > 31 || (frequency !== 'monthly' && frequency !== 'yearly'))) {
+        throw invalid('dayOfMonth must be 1 to 31, for monthly and yearly recurrences');
+    }
+
+    var until;
+    if (rule.until !== undefined && rule.until !== null && rule.until !== '') {
+        until = new Date(rule.until);
+        if (isNaN(until.getTime())) {
+            throw invalid('until must be a date');
+        }
+    }
+
+    var normalized = {
+        frequency: frequency,
+        interval: positiveInteger(rule.interval, 'interval') || 1
+    };
+    if (byDay) {
+        normalized.byDay = byDay;
+    }
+    if (dayOfMonth) {
+        normalized.dayOfMonth = dayOfMonth;
+    }
+    if (until) {
+        normalized.until = until;
+    }
+    var count = positiveInteger(rule.count, 'count');
+    if (count) {
+        normalized.count = count;
+    }
+    return normalized;
+}
+
+function daysInMonth(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+}
+
+/*
+ * Add months in UTC, landing on `day` (by default the day of `date`) and
+ * clamping to the end of shorter months: Jan 31 + 1 month = Feb 28/29, and
+ * with day 31, Feb 28 + 1 month = Mar 31.
+ */
+function addMonths(date, months, day) {
+    var result = new Date(date.getTime());
+    day = day || result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    result.setUTCDate(Math.min(day, daysInMonth(result)));
+    return result;
+}
+
+/*
+ * Give a monthly or yearly `rule` the day of the month its occurrences fall
+ * on, so a series started on the 31st does not drift to the 28th after
+ * February. Unless the rule names one, it is the day of `deadline`, or the
+ * day `previousRule` kept if `deadline` is that day clamped to its month.
+ */
+function anchorDay(rule, previousRule, deadline) {
+    if (!rule || rule.dayOfMonth || (rule.frequency !== 'monthly' && rule.frequency !== 'yearly')) {
+        return rule;
+    }
+    var date = new Date(deadline);
+    var day = date.getUTCDate();
+    var kept = previousRule && previousRule.dayOfMonth;
+    if (kept && Math.min(kept, daysInMonth(date)) === day) {
+        day = kept;
+    }
+    return Object.assign({}, rule, { dayOfMonth: day });
+}
+
+// Monday-based week number, used to honor INTERVAL together with BYDAY
+function weekIndex(date) {
+    var daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return Math.floor((date.getTime() / DAY_MS - daysSinceMonday + 3) / 7);
+}
+
+function nextWeekday(date, rule) {
+    var startWeek = weekIndex(date);
+    for (var i = 1; i <= 7 * (rule.interval + 1); i++) {
+        var candidate = new Date(date.getTime() + i * DAY_MS);
+        var weeksApart = weekIndex(candidate) - startWeek;
+        if (rule.byDay.indexOf(WEEKDAYS[candidate.getUTCDay()]) !== -1 && weeksApart % rule.interval === 0) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+// Deadline of the occurrence after one due at `deadline`
+function nextDeadline(deadline, rule) {
+    var date = new Date(deadline);
+    switch (rule.frequency) {
+        case 'daily':
+            return new Date(date.getTime() + rule.interval * DAY_MS);
+        case 'weekly':
+            return rule.byDay && rule.byDay.length ?
+                nextWeekday(date, rule) :
+                new Date(date.getTime() + rule.interval * 7 * DAY_MS);
+        case 'monthly':
+            return addMonths(date, rule.interval, rule.dayOfMonth);
+        case 'yearly':
+            return addMonths(date, rule.interval * 12, rule.dayOfMonth);
+    }
+    return null;
+}
+
+/*
+ * Deadline for the occurrence following `task`, or null when the series is
+ * over (its count is used up or the next deadline is past `until`).
+ */
+function followingDeadline(task) {
+    var rule = task.recurrence;
+    if (!rule || !rule.frequency) {
+        return null;
+    }
+    if (rule.count && task.occurrence >= rule.count) {
+        return null;
+    }
+    var deadline = nextDeadline(task.deadline, rule);
+    if (!deadline || (rule.until && deadline > rule.until)) {
+        return null;
+    }
+    return deadline;
+}
+
+module.exports = {
+    FREQUENCIES: FREQUENCIES,
+    parseRecurrence: parseRecurrence,
+    anchorDay: anchorDay,
+    nextDeadline: nextDeadline,
+    followingDeadline: followingDeadline
+};
@@ -0,0 +1,135 @@
+/*
+ * Full-text search over the text indexes on Task and User: builds $text
+ * filters and decorates results with their relevance score and highlighted
+ * snippets of the fields that matched.
+ */
+
+// Load required packages
+var Task = require('../models/task');
+var User = require('../models/user');
+
+// Fields covered by each model's text index
+var SEARCH_FIELDS = {
+    Task: ['name', 'description', 'assignedUserName'],
+    User: ['name', 'email']
+};
+
+// Characters of context kept on each side of the first match in a snippet
+var SNIPPET_CONTEXT = 40;
+
+var scoreProjection = { score: { $meta: 'textScore' } };
+
+function isSearchable(modelName) {
+    return !!SEARCH_FIELDS[modelName];
+}
+
+function textFilter(q) {
+    return { $text: { $search: String(q) } };
+}
+
+// Words and phrases the client searched for, minus negated terms
+function searchTerms(q) {
+    var terms = [];
+    String(q).replace(/"([^"]+)"|(\S+)/g, function (match, phrase, word) {
+        var term = phrase || word;
+        if (term.charAt(0) !== '-') {
+            terms.push(term.toLowerCase());
+        }
+    });
+    return terms;
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Snippet of `text` around the first term it contains, with every term wrapped in <mark>
+function highlight(text, terms) {
+    if (!text || terms.length === 0) {
+        return null;
+    }
+    var pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    var first = String(text).search(pattern);
+    if (first === -1) {
+        return null;
+    }
+
+    var start = Math.max(0, first - SNIPPET_CONTEXT);
+    var end = Math.min(text.length, first + SNIPPET_CONTEXT * 2);
+    var snippet = escapeHtml(text.slice(start, end));
+    var marked = snippet.replace(new RegExp(terms.map(function (term) {
+        return escapeRegExp(escapeHtml(term));
+    }).join('|'), 'gi'), function (match) {
+        return '<mark>' + match + '</mark>';
+    });
+    return (start > 0 ? '…' : '') + marked + (end < text.length ? '…' : '');
+}
+
+/*
+ * Plain copy of a search result with `score` and `highlights`
+ * ({ field: snippet } for every indexed field that matched).
+ */
+function decorate(doc, modelName, q) {
+    var result = typeof doc.toJSON === 'function' ? doc.toJSON() : Object.assign({}, doc);
+    var terms = searchTerms(q);
+    var highlights = {};
+
+    (SEARCH_FIELDS[modelName] || []).forEach(function (field) {
+        var snippet = highlight(result[field] === undefined ? null : String(result[field]), terms);
+        if (snippet) {
+            highlights[field] = snippet;
+        }
+    });
+
+    result.score = result.score || 0;
+    result.highlights = highlights;
+    return result;
+}
+
+/*
+ * Search tasks and users together. `options.types` limits the collections
+ * searched, and `options.filter` and `options.select` (already validated,
+ * see utils/query.js) narrow and project the results of each, and
+ * `options.scopes` adds a reader's scope per type; resolves to results
+ * ranked by score, at most `options.limit`.
+ */
+function searchAll(q, options) {
+    var models = { task: Task, user: User };
+    var types = options.types || Object.keys(models);
+    var limit = options.limit;
+    var filter = options.filter && Object.keys(options.filter).length > 0 ?
+        { $and: [textFilter(q), options.filter] } : textFilter(q);
+    var projection = Object.assign({}, options.select, scoreProjection);
+
+    return Promise.all(types.map(function (type) {
+        var Model = models[type];
+        var scope = options.scopes && options.scopes[type];
+        return Model.find(scope ? { $and: [filter, scope] } : filter, projection).sort(scoreProjection).limit(limit).exec().then(function (docs) {
+            return docs.map(function (doc) {
+                var result = decorate(doc, Model.modelName, q);
+                return { type: type, score: result.score, highlights: result.highlights, document: result };
+            });
+        });
+    })).then(function (groups) {
+        var results = [].concat.apply([], groups);
+        results.forEach(function (result) {
+            delete result.document.score;
+            delete result.document.highlights;
+        });
+        return results.sort(function (a, b) {
+            return b.score - a.score;
+        }).slice(0, limit);
+    });
+}
+
+module.exports = {
+    scoreProjection: scoreProjection,
+    isSearchable: isSearchable,
+    textFilter: textFilter,
+    decorate: decorate,
+    searchAll: searchAll
+};
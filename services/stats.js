@@ -0,0 +1,208 @@
+/*
+ * Workload analytics computed with aggregation pipelines: open, completed
+ * and overdue counts, completion rates, average time to complete, tasks due
+ * per ISO week and the unassigned backlog. Every report is scoped by a task
+ * filter (the `where` syntax of the list endpoints) and a date range.
+ */
+
+// Load required packages
+var Task = require('../models/task');
+var User = require('../models/user');
+var isObjectId = require('../utils/validation').isObjectId;
+var createError = require('../utils/errors').createError;
+
+var DATE_FIELDS = ['deadline', 'dateCreated', 'completedAt'];
+var HOUR_MS = 60 * 60 * 1000;
+
+// Dates may be ISO strings or milliseconds since the epoch, as elsewhere in the API
+function parseDate(value, name) {
+    var date = /^-?\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+    if (isNaN(date.getTime())) {
+        throw createError(400, 'Invalid ' + name + ' parameter. Must be a date.');
+    }
+    return date;
+}
+
+/*
+ * Build the $match of a report from an already validated task filter and
+ * the `from`/`to`/`dateField` query parameters. The filter is cast the way
+ * find() would, since aggregation pipelines are not.
+ */
+function scope(filter, params) {
+    var dateField = params.dateField || 'deadline';
+    if (DATE_FIELDS.indexOf(dateField) === -1) {
+        throw createError(400, 'Invalid dateField parameter. Must be one of: ' + DATE_FIELDS.join(', '));
+    }
+    var conditions = [Task.find(filter).cast(Task)];
+    var range = {};
+    if (params.from) {
+        range.$gte = parseDate(params.from, 'from');
+    }
+    if (params.to) {
+        range.$lt = parseDate(params.to, 'to');
+    }
+    if (range.$gte || range.$lt) {
+        var dated = {};
+        dated[dateField] = range;
+        conditions.push(dated);
+    }
+    return { $and: conditions };
+}
+
+// Accumulators shared by the overall and per-user groups
+function counters(now) {
+    var open = { $not: ['$completed'] };
+    return {
+        tasks: { $sum: 1 },
+        completed: { $sum: { $cond: ['$completed', 1, 0] } },
+        overdue: { $sum: { $cond: [{ $and: [open, { $lt: ['$deadline', now] }] }, 1, 0] } },
+        unassigned: { $sum: { $cond: [{ $and: [open, { $in: ['$assignedUser', ['', null]] }] }, 1, 0] } },
+        // Tasks completed before completedAt was recorded have no duration and are left out
+        completionMs: {
+            $avg: { $cond: [{ $and: ['$completed', '$completedAt'] }, { $subtract: ['$completedAt', '$dateCreated'] }, null] }
+        }
+    };
+}
+
+// Round the raw group into the shape clients see
+function summarize(group) {
+    group = group || { tasks: 0, completed: 0, overdue: 0, unassigned: 0, completionMs: null };
+    return {
+        tasks: group.tasks,
+        open: group.tasks - group.completed,
+        completed: group.completed,
+        overdue: group.overdue,
+        completionRate: group.tasks ? Math.round(group.completed / group.tasks * 1000) / 1000 : null,
+        averageHoursToComplete: group.completionMs === null || group.completionMs === undefined ?
+            null : Math.round(group.completionMs / HOUR_MS * 10) / 10
+    };
+}
+
+function dueByWeek(now) {
+    var open = { $not: ['$completed'] };
+    return [
+        {
+            $group: {
+                _id: { year: { $isoWeekYear: '$deadline' }, week: { $isoWeek: '$deadline' } },
+                due: { $sum: 1 },
+                completed: { $sum: { $cond: ['$completed', 1, 0] } },
+                overdue: { $sum: { $cond: [{ $and: [open, { $lt: ['$deadline', now] }] }, 1, 0] } }
+            }
+        },
+        { $sort: { '_id.year': 1, '_id.week': 1 } },
+        {
+            $project: {
+                _id: 0,
+                year: '$_id.year',
+                week: '$_id.week',
+                weekStart: { $dateFromParts: { isoWeekYear: '$_id.year', isoWeek: '$_id.week', isoDayOfWeek: 1 } },
+                due: 1,
+                completed: 1,
+                overdue: 1
+            }
+        }
+    ];
+}
+
+function weeksOf(rows) {
+    return rows.map(function (row) {
+        return {
+            week: row.year + '-W' + (row.week < 10 ? '0' : '') + row.week,
+            weekStart: row.weekStart,
+            due: row.due,
+            open: row.due - row.completed,
+            completed: row.completed,
+            overdue: row.overdue
+        };
+    });
+}
+
+/*
+ * Team-wide report: overall totals, the unassigned backlog, a row per
+ * assignee (most open tasks first) and tasks due per week.
+ */
+function overview(filter, params) {
+    var match;
+    try {
+        match = scope(filter, params);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    var now = new Date();
+
+    return Task.aggregate([
+        { $match: match },
+        {
+            $facet: {
+                totals: [{ $group: Object.assign({ _id: null }, counters(now)) }],
+                byUser: [
+                    { $match: { assignedUser: { $nin: ['', null] } } },
+                    { $group: Object.assign({ _id: '$assignedUser', name: { $last: '$assignedUserName' } }, counters(now)) }
+                ],
+                dueByWeek: dueByWeek(now)
+            }
+        }
+    ]).exec().then(function (results) {
+        var result = results[0];
+        var ids = result.byUser.map(function (row) {
+            return row._id;
+        });
+        return User.find({ _id: { $in: ids.filter(isObjectId) } }, 'name email').exec().then(function (users) {
+            var byId = {};
+            users.forEach(function (user) {
+                byId[user._id.toString()] = user;
+            });
+            var totals = result.totals[0];
+
+            return {
+                totals: Object.assign(summarize(totals), { unassigned: totals ? totals.unassigned : 0 }),
+                byUser: result.byUser.map(function (row) {
+                    var user = byId[row._id];
+                    return Object.assign({
+                        user: row._id,
+                        name: user ? user.name : row.name,
+                        email: user ? user.email : null
+                    }, summarize(row));
+                }).sort(function (a, b) {
+                    return b.open - a.open || b.overdue - a.overdue;
+                }),
+                dueByWeek: weeksOf(result.dueByWeek)
+            };
+        });
+    });
+}
+
+// One user's report: totals and tasks due per week over the tasks assigned to them
+function forUser(userId, filter, params) {
+    return User.findById(userId, 'name email').exec().then(function (user) {
+        if (!user) {
+            throw createError(404, 'User not found');
+        }
+        var match = scope({ $and: [filter, { assignedUser: user._id.toString() }] }, params);
+        var now = new Date();
+
+        return Task.aggregate([
+            { $match: match },
+            {
+                $facet: {
+                    totals: [{ $group: Object.assign({ _id: null }, counters(now)) }],
+                    dueByWeek: dueByWeek(now)
+                }
+            }
+        ]).exec().then(function (results) {
+            return {
+                user: user._id.toString(),
+                name: user.name,
+                email: user.email,
+                totals: summarize(results[0].totals[0]),
+                dueByWeek: weeksOf(results[0].dueByWeek)
+            };
+        });
+    });
+}
+
+module.exports = {
+    DATE_FIELDS: DATE_FIELDS,
+    overview: overview,
+    forUser: forUser
+};
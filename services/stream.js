@@ -0,0 +1,58 @@
+/*
+ * Fan-out of committed task and user changes to live subscribers (the
+ * /api/stream endpoint). The most recent events are kept in memory so a
+ * client that reconnects with Last-Event-ID can catch up on what it missed.
+ *
+ * Both live in this process only, which makes single-instance deployment a
+ * hard limit of the stream: with several instances a subscriber only hears
+ * the changes committed by the instance it is connected to, and a reconnect
+ * that lands on another instance gets a reset instead of a replay.
+ */
+
+// Load required packages
+var events = require('./events');
+
+var BUFFER_SIZE = Number(process.env.STREAM_BUFFER_SIZE) || 1000;
+
+var recent = [];
+var subscribers = [];
+
+events.afterCommit(function (event) {
+    recent.push(event);
+    if (recent.length > BUFFER_SIZE) {
+        recent.splice(0, recent.length - BUFFER_SIZE);
+    }
+    subscribers.slice().forEach(function (listener) {
+        listener(event);
+    });
+});
+
+// Call listener(event) for every committed change; returns a function that unsubscribes
+function subscribe(listener) {
+    subscribers.push(listener);
+    return function unsubscribe() {
+        var index = subscribers.indexOf(listener);
+        if (index !== -1) {
+            subscribers.splice(index, 1);
+        }
+    };
+}
+
+/*
+ * The events published after the one with id `lastId`, oldest first, or null
+ * when that event is no longer (or was never) in the buffer, e.g. after a
+ * server restart.
+ */
+function since(lastId) {
+    for (var i = recent.length - 1; i >= 0; i--) {
+        if (recent[i].id === lastId) {
+            return recent.slice(i + 1);
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    subscribe: subscribe,
+    since: since
+};
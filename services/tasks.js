@@ -0,0 +1,546 @@
+/*
+ * Task writes that also have to keep User.pendingTasks in sync. Each function
+ * runs in a single transaction, so either both sides change or neither does.
+ * `options.actor` is the user making the change, recorded in the audit log.
+ */
+
+// Load required packages
+var Task = require('../models/task');
+var assignments = require('./assignments');
+var audit = require('./audit');
+var recurrence = require('./recurrence');
+var dependencies = require('./dependencies');
+var autoAssign = require('./autoAssign');
+var projects = require('./projects');
+var comments = require('./comments');
+var labels = require('./labels');
+var customFields = require('./customFields');
+var inTransaction = require('./transaction').inTransaction;
+var validation = require('../utils/validation');
+var etag = require('../utils/etag');
+var patches = require('../utils/patch');
+var createError = require('../utils/errors').createError;
+
+var MISSING_MESSAGE = 'Task must have a name and deadline';
+var INVALID_MESSAGE = 'Task validation failed';
+
+var TASK_SCHEMA = {
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    deadline: { type: 'date', required: true },
+    completed: { type: 'boolean' },
+    assignedUser: { type: 'objectId' },
+    parentTask: { type: 'objectId' },
+    blockedBy: { type: 'objectIdList' },
+    project: { type: 'objectId' },
+    priority: { type: 'string', enum: Task.schema.path('priority').enumValues },
+    labels: { type: 'stringList' },
+    customFields: { type: 'object' }
+};
+
+function parseBoolean(value) {
+    return value === true || value === 'true';
+}
+
+function toLabels(value) {
+    var names = [].concat(value || []).map(function (name) {
+        return name.trim();
+    });
+    return names.filter(function (name, index) {
+        return names.indexOf(name) === index;
+    });
+}
+
+// Validate a request body and turn it into the fields of a full task
+function normalizeTask(body) {
+    validation.assertValid(validation.validate(body, TASK_SCHEMA), MISSING_MESSAGE, INVALID_MESSAGE);
+    var relations = dependencies.parseRelations(body);
+    return {
+        name: body.name,
+        description: body.description || "",
+        deadline: body.deadline,
+        completed: parseBoolean(body.completed),
+        assignedUser: body.assignedUser || "",
+        // Left undefined when omitted so a replace keeps the task's series going
+        recurrence: recurrence.parseRecurrence(body.recurrence),
+        // Likewise undefined when omitted, keeping the task's subtask/dependency links
+        parentTask: relations.parentTask,
+        blockedBy: relations.blockedBy,
+        // And undefined when omitted, keeping the task in its project ("" or null takes it out)
+        project: body.project === undefined ? undefined : String(body.project || ""),
+        // The same goes for these; null resets them
+        priority: body.priority === undefined ? undefined : body.priority || 'medium',
+        labels: body.labels === undefined ? undefined : toLabels(body.labels),
+        customFields: body.customFields === undefined ? undefined : body.customFields || {}
+    };
+}
+
+// The current fields of a task, in the shape saveTask expects
+function fieldsOf(task) {
+    return {
+        name: task.name,
+        description: task.description,
+        deadline: task.deadline,
+        completed: task.completed,
+        assignedUser: task.assignedUser
+    };
+}
+
+// The fields a PATCH can change, as the JSON document the patch is applied to
+function patchableOf(task) {
+    return JSON.parse(JSON.stringify({
+        name: task.name,
+        description: task.description,
+        deadline: task.deadline,
+        completed: task.completed,
+        assignedUser: task.assignedUser,
+        recurrence: task.recurrence,
+        parentTask: task.parentTask,
+        blockedBy: task.blockedBy,
+        project: task.project,
+        priority: task.priority,
+        labels: task.labels,
+        customFields: task.customFields
+    }));
+}
+
+function loadTask(id, ctx) {
+    return Task.findById(id).session(ctx.session).exec().then(function (task) {
+        if (!task) {
+            throw createError(404, 'Task not found');
+        }
+        return task;
+    });
+}
+
+/*
+ * Copy `fields` onto `task`, resolve its assignee, save it and update
+ * pendingTasks. Completing an occurrence of a recurring task also creates the
+ * next one.
+ */
+function saveTask(task, fields, ctx) {
+    var previousUser = task.assignedUser || "";
+    var previousParent = task.parentTask || "";
+    var wasCompleted = !task.isNew && task.completed;
+    var before = task.isNew ? null : audit.snapshot(task);
+    var previousRule = task.recurrence ? task.recurrence.toObject() : null;
+    var relations = { parentTask: fields.parentTask, blockedBy: fields.blockedBy };
+    var project = fields.project === undefined ? task.project || "" : fields.project;
+
+    return dependencies.validate(task, relations, fields.completed && !wasCompleted, ctx).then(function () {
+        if (fields.labels !== undefined) {
+            return labels.checkLabels(fields.labels, INVALID_MESSAGE, ctx);
+        }
+    }).then(function () {
+        // Required custom fields are only enforced when a client sends custom fields
+        if (fields.customFields !== undefined) {
+            return customFields.validateValues(fields.customFields, INVALID_MESSAGE, ctx).then(function (values) {
+                fields.customFields = values;
+            });
+        }
+    }).then(function () {
+        // A task in a project may only be assigned to its members
+        if (project !== (task.project || "") || fields.assignedUser !== previousUser) {
+            return projects.checkAssignment(project, fields.assignedUser, INVALID_MESSAGE, ctx);
+        }
+    }).then(function () {
+        return assignments.findAssignee(fields.assignedUser, ctx);
+    }).then(function (user) {
+        // Only a new assignee has to exist; a dangling one is left for reconcile to repair
+        if (!user && fields.assignedUser && fields.assignedUser !== previousUser) {
+            throw validation.invalidReference(INVALID_MESSAGE, 'assignedUser', 'No user with id ' + fields.assignedUser);
+        }
+        task.name = fields.name;
+        task.description = fields.description;
+        task.deadline = fields.deadline;
+        task.completed = fields.completed;
+        if (task.completed && !wasCompleted) {
+            task.completedAt = new Date();
+        } else if (!task.completed) {
+            task.completedAt = null;
+        }
+        assignments.applyAssignee(task, user);
+        task.project = project;
+        ['priority', 'labels', 'customFields'].forEach(function (field) {
+            if (fields[field] !== undefined) {
+                task[field] = fields[field];
+            }
+        });
+        if (fields.recurrence !== undefined) {
+            task.recurrence = recurrence.anchorDay(fields.recurrence, previousRule, task.deadline);
+        } else if (previousRule && task.isModified('deadline')) {
+            // A moved deadline moves the day of the month the series falls on
+            task.recurrence = recurrence.anchorDay(Object.assign({}, previousRule, { dayOfMonth: undefined }),
+                previousRule, task.deadline);
+        }
+        // A task that starts recurring becomes the first occurrence of its own series
+        if (task.recurrence && !task.series) {
+            task.series = task._id.toString();
+            task.occurrence = 1;
+        }
+        // Don't update dateCreated
+
+        return dependencies.progressOf(task, ctx);
+    }).then(function (progress) {
+        task.progress = progress;
+        return assignments.saveWithAudit('task', task, before, ctx);
+    }).then(function (savedTask) {
+        return assignments.syncPendingTask(savedTask, previousUser, ctx).then(function () {
+            if (previousParent !== savedTask.parentTask) {
+                return dependencies.rollUp(previousParent, ctx);
+            }
+        }).then(function () {
+            return dependencies.rollUp(savedTask.parentTask, ctx);
+        }).then(function () {
+            if (savedTask.completed && !wasCompleted) {
+                return createNextOccurrence(savedTask, ctx);
+            }
+        }).then(function () {
+            return savedTask;
+        });
+    });
+}
+
+// Create the occurrence after `task` unless the series is over or it already exists
+function createNextOccurrence(task, ctx) {
+    var deadline = recurrence.followingDeadline(task);
+    if (!deadline) {
+        return Promise.resolve(null);
+    }
+
+    return Task.findOne({ series: task.series, occurrence: task.occurrence + 1 }).session(ctx.session).exec().then(function (existing) {
+        if (existing) {
+            return null;
+        }
+        var next = new Task();
+        next.series = task.series;
+        next.occurrence = task.occurrence + 1;
+        // Copied as they are, even if a custom field has become required since
+        next.priority = task.priority;
+        next.labels = task.labels;
+        next.customFields = task.customFields;
+        return saveTask(next, {
+            name: task.name,
+            description: task.description,
+            deadline: deadline,
+            completed: false,
+            assignedUser: task.assignedUser,
+            recurrence: task.recurrence.toObject(),
+            project: task.project
+        }, ctx);
+    });
+}
+
+// Every occurrence in the series of task `id`, in order
+function loadSeries(id, ctx) {
+    return loadTask(id, ctx).then(function (task) {
+        if (!task.series) {
+            throw createError(400, 'Task is not part of a recurring series');
+        }
+        return Task.find({ series: task.series }).sort({ occurrence: 1 }).session(ctx.session).exec();
+    });
+}
+
+// Re-save the open occurrences of a series with `change(fields)` applied, then return the whole series
+function updateOpenOccurrences(id, change, options) {
+    return inTransaction(options, function (ctx) {
+        return loadSeries(id, ctx).then(function (tasks) {
+            return tasks.filter(function (task) {
+                return !task.completed;
+            }).reduce(function (done, task) {
+                return done.then(function () {
+                    return saveTask(task, change(fieldsOf(task)), ctx);
+                });
+            }, Promise.resolve()).then(function () {
+                return tasks;
+            });
+        });
+    });
+}
+
+/*
+ * Give `task` the assignee autoAssign picks with `assignOptions` and save it
+ * like any other assignment. Tasks in a project are given to one of its
+ * members unless candidates are listed. The choice ({ user, strategy, reason,
+ * candidates }) is left on task.$locals.assignment for the response.
+ */
+function assignAutomatically(task, fields, assignOptions, ctx) {
+    var project = fields.project === undefined ? task.project : fields.project;
+    var candidates = assignOptions.candidates || !project ?
+        Promise.resolve(assignOptions.candidates) :
+        projects.checkAssignment(project, "", INVALID_MESSAGE, ctx).then(function (found) {
+            return found.members.map(String);
+        });
+
+    return candidates.then(function (ids) {
+        return autoAssign.choose({ strategy: assignOptions.strategy, candidates: ids }, ctx);
+    }).then(function (choice) {
+        fields.assignedUser = choice.user._id.toString();
+        return saveTask(task, fields, ctx).then(function (savedTask) {
+            savedTask.$locals.assignment = {
+                user: fields.assignedUser,
+                name: choice.user.name,
+                strategy: choice.strategy,
+                reason: choice.reason,
+                candidates: choice.candidates
+            };
+            return savedTask;
+        });
+    });
+}
+
+/*
+ * Create a task. With `autoAssign` (true or { strategy, candidates }) and no
+ * assignedUser in `body`, the assignee is picked automatically.
+ */
+function createTask(body, options) {
+    var fields;
+    var assignOptions = null;
+    try {
+        fields = normalizeTask(body);
+        // New tasks must have every required custom field
+        fields.customFields = fields.customFields || {};
+        if (body.autoAssign && body.autoAssign !== 'false') {
+            if (fields.assignedUser) {
+                throw createError(400, 'Give either assignedUser or autoAssign, not both');
+            }
+            assignOptions = autoAssign.parseOptions(body.autoAssign);
+        }
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return inTransaction(options, function (ctx) {
+        if (assignOptions) {
+            return assignAutomatically(new Task(), fields, assignOptions, ctx);
+        }
+        return saveTask(new Task(), fields, ctx);
+    });
+}
+
+/*
+ * Assign an open, unassigned task automatically; `body` is { strategy,
+ * candidates } for autoAssign.parseOptions.
+ */
+function autoAssignTask(id, body, options) {
+    var assignOptions;
+    try {
+        assignOptions = autoAssign.parseOptions(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return inTransaction(options, function (ctx) {
+        return loadTask(id, ctx).then(function (task) {
+            if (task.completed) {
+                throw createError(409, 'Completed tasks cannot be assigned automatically');
+            }
+            if (task.assignedUser) {
+                throw createError(409, 'Task is already assigned to ' + task.assignedUserName, { assignedUser: task.assignedUser });
+            }
+            return assignAutomatically(task, fieldsOf(task), assignOptions, ctx);
+        });
+    });
+}
+
+/*
+ * Replace a task. `options.check(task, fields)` runs against the current
+ * document before anything is written and may throw to reject the update;
+ * `options.ifMatch` (see utils/etag) rejects it with 412 if the task changed.
+ */
+function updateTask(id, body, options) {
+    var fields;
+    try {
+        fields = normalizeTask(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    options = options || {};
+
+    return inTransaction(options, function (ctx) {
+        return loadTask(id, ctx).then(function (task) {
+            etag.assertMatch(task, options.ifMatch, 'task');
+            if (options.check) {
+                options.check(task, fields);
+            }
+            return saveTask(task, fields, ctx);
+        });
+    });
+}
+
+/*
+ * Change only some fields of a task. `patch` is a merge patch or, with
+ * `options.patchType` 'json', a JSON Patch (see utils/patch); the patched
+ * task is then validated and saved exactly like a PUT, including
+ * `options.check` and `options.ifMatch`.
+ */
+function patchTask(id, patch, options) {
+    options = options || {};
+
+    return inTransaction(options, function (ctx) {
+        return loadTask(id, ctx).then(function (task) {
+            etag.assertMatch(task, options.ifMatch, 'task');
+            var current = patchableOf(task);
+            var body = patches.apply(current, patch, options.patchType);
+            // Removed links and rules are cleared; untouched ones are kept rather than validated again
+            ['recurrence', 'parentTask', 'blockedBy', 'project', 'priority', 'labels', 'customFields'].forEach(function (field) {
+                if (!body.hasOwnProperty(field)) {
+                    body[field] = null;
+                } else if (JSON.stringify(body[field]) === JSON.stringify(current[field])) {
+                    delete body[field];
+                }
+            });
+            var fields = normalizeTask(body);
+            if (options.check) {
+                options.check(task, fields);
+            }
+            return saveTask(task, fields, ctx);
+        });
+    });
+}
+
+/*
+ * Move a task to the trash, with its comments. It leaves its assignee's
+ * pendingTasks but keeps its assignedUser, so restoreTask can hand it back;
+ * links from other tasks (subtasks, blockedBy) are removed for good.
+ */
+function deleteTask(id, options) {
+    return inTransaction(options, function (ctx) {
+        return loadTask(id, ctx).then(function (task) {
+            etag.assertMatch(task, options && options.ifMatch, 'task');
+            var before = audit.snapshot(task);
+            var removePending = task.assignedUser ?
+                assignments.removePendingTask(task.assignedUser, task._id.toString(), ctx) :
+                Promise.resolve();
+
+            return removePending.then(function () {
+                task.deletedAt = new Date();
+                return task.save({ session: ctx.session });
+            }).then(function () {
+                return comments.trashFor(task, ctx);
+            }).then(function () {
+                return dependencies.detach(task, ctx);
+            }).then(function () {
+                return audit.record('task', task._id, before, null, ctx);
+            }).then(function () {
+                return task;
+            });
+        });
+    });
+}
+
+/*
+ * Bring a task back from the trash. It goes back to its assignee's
+ * pendingTasks if that user still exists and is still in the task's project
+ * (otherwise it is left unassigned), and keeps only the parent, blockers and
+ * project that still exist.
+ */
+function restoreTask(id, options) {
+    return inTransaction(options, function (ctx) {
+        return Task.findOne({ _id: id, deletedAt: { $ne: null } }).session(ctx.session).exec().then(function (task) {
+            if (!task) {
+                throw createError(404, 'Task not found in the trash');
+            }
+            var before = audit.snapshot(task);
+            var linked = [task.parentTask].concat(task.blockedBy).filter(function (taskId) {
+                return taskId && assignments.isValidId(taskId);
+            });
+
+            return Task.find({ _id: { $in: linked } }, '_id').session(ctx.session).exec().then(function (existing) {
+                var ids = existing.map(function (other) {
+                    return other._id.toString();
+                });
+                if (ids.indexOf(task.parentTask) === -1) {
+                    task.parentTask = "";
+                }
+                task.blockedBy = task.blockedBy.filter(function (taskId) {
+                    return ids.indexOf(String(taskId)) !== -1;
+                });
+                return projects.findProject(task.project, ctx);
+            }).then(function (project) {
+                // The project may have been deleted while the task was in the trash
+                if (!project) {
+                    task.project = "";
+                }
+                return assignments.findAssignee(task.assignedUser, ctx).then(function (user) {
+                    // Nor does an assignee who has left the project get it back
+                    return project && user && project.members.map(String).indexOf(user._id.toString()) === -1 ? null : user;
+                });
+            }).then(function (user) {
+                assignments.applyAssignee(task, user);
+                task.deletedAt = null;
+                return dependencies.progressOf(task, ctx);
+            }).then(function (progress) {
+                task.progress = progress;
+                return task.save({ session: ctx.session });
+            }).then(function (savedTask) {
+                return audit.record('task', savedTask._id, before, audit.snapshot(savedTask), ctx, 'restore').then(function () {
+                    return comments.restoreFor(savedTask, ctx);
+                }).then(function () {
+                    return assignments.syncPendingTask(savedTask, "", ctx);
+                }).then(function () {
+                    return dependencies.rollUp(savedTask.parentTask, ctx);
+                }).then(function () {
+                    return savedTask;
+                });
+            });
+        });
+    });
+}
+
+function getSeries(id) {
+    return loadSeries(id, { session: null });
+}
+
+/*
+ * Change the rule and/or the name, description and assignee of every open
+ * occurrence in a series. Fields missing from `body` are left alone.
+ */
+function updateSeries(id, body, options) {
+    var changes = {};
+    try {
+        ['name', 'description', 'assignedUser'].forEach(function (field) {
+            if (body[field] !== undefined) {
+                changes[field] = body[field] || "";
+            }
+        });
+        if (changes.name === "") {
+            throw createError(400, MISSING_MESSAGE);
+        }
+        validation.assertValid(validation.validate(changes, {
+            name: TASK_SCHEMA.name,
+            description: TASK_SCHEMA.description,
+            assignedUser: TASK_SCHEMA.assignedUser
+        }), MISSING_MESSAGE, INVALID_MESSAGE);
+        changes.recurrence = recurrence.parseRecurrence(body.recurrence);
+        if (changes.recurrence === null) {
+            throw createError(400, 'Use DELETE to stop a series');
+        }
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return updateOpenOccurrences(id, function (fields) {
+        return Object.assign(fields, changes);
+    }, options);
+}
+
+// Stop a series: open occurrences lose their rule, so completing them creates nothing new
+function stopSeries(id, options) {
+    return updateOpenOccurrences(id, function (fields) {
+        fields.recurrence = null;
+        return fields;
+    }, options);
+}
+
+module.exports = {
+    createTask: createTask,
+    autoAssignTask: autoAssignTask,
+    updateTask: updateTask,
+    patchTask: patchTask,
+    deleteTask: deleteTask,
+    restoreTask: restoreTask,
+    getSeries: getSeries,
+    updateSeries: updateSeries,
+    stopSeries: stopSeries
+};
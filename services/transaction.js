@@ -0,0 +1,72 @@
+// Load required packages
+var mongoose = require('mongoose');
+var events = require('./events');
+
+// Standalone mongod servers cannot run transactions; remember once we find out
+var transactionsSupported = true;
+
+function isTransactionUnsupported(err) {
+    return err && (err.code === 20 || /Transaction numbers are only allowed/.test(err.message));
+}
+
+/*
+ * Runs `work(session)` inside a MongoDB transaction so every write it makes is
+ * committed or rolled back together. `work` may be retried on transient errors,
+ * so it must (re)load the documents it changes. Falls back to running without a
+ * session when the server does not support transactions.
+ */
+function withTransaction(work) {
+    if (!transactionsSupported) {
+        return work(null);
+    }
+
+    return mongoose.startSession().then(function (session) {
+        var result;
+        return session.withTransaction(function () {
+            return work(session).then(function (value) {
+                result = value;
+            });
+        }).then(function () {
+            return result;
+        }).finally(function () {
+            session.endSession();
+        });
+    }).catch(function (err) {
+        if (!isTransactionUnsupported(err)) {
+            throw err;
+        }
+        transactionsSupported = false;
+        console.warn('MongoDB server does not support transactions; task/user updates will not be atomic');
+        return work(null);
+    });
+}
+
+/*
+ * Like withTransaction, but hands `work` the { session, actor, events }
+ * context the task and user services pass down to their helpers. Change
+ * events collected along the way are flushed inside the transaction and
+ * published once it has committed. With `options.ctx`, `work` joins that
+ * caller's transaction instead, and the caller flushes its events.
+ */
+function inTransaction(options, work) {
+    if (options && options.ctx) {
+        return work(options.ctx);
+    }
+    var ctx;
+    return withTransaction(function (session) {
+        ctx = { session: session, actor: options && options.actor, events: [] };
+        return work(ctx).then(function (result) {
+            return events.flush(ctx).then(function () {
+                return result;
+            });
+        });
+    }).then(function (result) {
+        events.publish(ctx.events);
+        return result;
+    });
+}
+
+module.exports = {
+    withTransaction: withTransaction,
+    inTransaction: inTransaction
+};
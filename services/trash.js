@@ -0,0 +1,115 @@
+/*
+ * The trash: tasks and users deleted through the API stay restorable for
+ * TRASH_RETENTION_DAYS, after which a background job purges them for good.
+ */
+
+// Load required packages
+var Task = require('../models/task');
+var User = require('../models/user');
+var Notification = require('../models/notification');
+var Project = require('../models/project');
+var audit = require('./audit');
+var comments = require('./comments');
+var inTransaction = require('./transaction').inTransaction;
+
+var DAY_MS = 24 * 60 * 60 * 1000;
+var HOUR_MS = 60 * 60 * 1000;
+var DEFAULT_RETENTION_DAYS = 30;
+var PURGE_BATCH_SIZE = 500;
+
+var MODELS = { task: Task, user: User };
+var TYPES = Object.keys(MODELS);
+
+function retentionDays() {
+    var days = Number(process.env.TRASH_RETENTION_DAYS);
+    return days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/*
+ * Deleted documents of each of `types`, most recently deleted first. Resolves
+ * to { tasks, users } with only the requested keys.
+ */
+function list(types, skip, limit) {
+    var result = {};
+    return Promise.all(types.map(function (type) {
+        return MODELS[type].find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 }).skip(skip).limit(limit).exec().then(function (docs) {
+            result[type + 's'] = docs;
+        });
+    })).then(function () {
+        return result;
+    });
+}
+
+// Permanently delete one trashed document, recording the purge in the audit log
+function purgeOne(type, doc) {
+    return inTransaction({}, function (ctx) {
+        return MODELS[type].deleteOne({ _id: doc._id, deletedAt: { $ne: null } }).session(ctx.session).exec().then(function (result) {
+            if (!result.deletedCount) {
+                // Restored in the meantime
+                return;
+            }
+            var cleanup = type === 'user' ? Promise.all([
+                Notification.deleteMany({ user: doc._id.toString() }).session(ctx.session).exec(),
+                Project.updateMany({ members: doc._id.toString() }, { $pull: { members: doc._id.toString() } }).session(ctx.session).exec()
+            ]) : comments.purgeFor(doc, ctx);
+            return cleanup.then(function () {
+                return audit.record(type, doc._id, audit.snapshot(doc), null, ctx, 'purge');
+            });
+        });
+    });
+}
+
+/*
+ * Purge everything that has been in the trash longer than the retention
+ * period, a batch per type at a time. Resolves to { tasks, users } counts.
+ */
+function purgeExpired() {
+    var cutoff = new Date(Date.now() - retentionDays() * DAY_MS);
+    var counts = {};
+
+    return TYPES.reduce(function (done, type) {
+        return done.then(function () {
+            return MODELS[type].find({ deletedAt: { $ne: null, $lte: cutoff } }).limit(PURGE_BATCH_SIZE).exec();
+        }).then(function (docs) {
+            counts[type + 's'] = docs.length;
+            return docs.reduce(function (purged, doc) {
+                return purged.then(function () {
+                    return purgeOne(type, doc);
+                });
+            }, Promise.resolve());
+        });
+    }, Promise.resolve()).then(function () {
+        return counts;
+    });
+}
+
+/*
+ * Purge expired documents every `intervalMs` milliseconds (hourly by default).
+ * Returns a function that stops the job.
+ */
+function startPurger(intervalMs) {
+    var running = false;
+    var timer = setInterval(function () {
+        if (running) {
+            return;
+        }
+        running = true;
+        purgeExpired().catch(function (err) {
+            console.error('Error purging the trash:', err);
+        }).then(function () {
+            running = false;
+        });
+    }, Number(intervalMs) || HOUR_MS);
+    timer.unref();
+
+    return function stop() {
+        clearInterval(timer);
+    };
+}
+
+module.exports = {
+    TYPES: TYPES,
+    list: list,
+    purgeExpired: purgeExpired,
+    startPurger: startPurger
+};
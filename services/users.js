@@ -0,0 +1,335 @@
+/*
+ * User writes that also have to keep Task.assignedUser/assignedUserName in
+ * sync. Each function runs in a single transaction, so either both sides
+ * change or neither does. `options.actor` is the user making the change,
+ * recorded in the audit log.
+ */
+
+// Load required packages
+var User = require('../models/user');
+var assignments = require('./assignments');
+var audit = require('./audit');
+var notifications = require('./notifications');
+var inTransaction = require('./transaction').inTransaction;
+var validation = require('../utils/validation');
+var etag = require('../utils/etag');
+var patches = require('../utils/patch');
+var createError = require('../utils/errors').createError;
+var ROLES = require('../middleware/permissions').ROLES;
+var ADMIN = require('../middleware/permissions').ADMIN;
+
+var MISSING_MESSAGE = 'User must have a name and email';
+var INVALID_MESSAGE = 'User validation failed';
+var MIN_PASSWORD_LENGTH = 8;
+var TRASHED_EMAIL_MESSAGE = 'A user in the trash still has this email; restore or purge them first';
+
+var USER_SCHEMA = {
+    name: { type: 'string', required: true },
+    email: { type: 'email', required: true },
+    role: { type: 'string', enum: ROLES },
+    password: { type: 'string', minLength: MIN_PASSWORD_LENGTH },
+    pendingTasks: { type: 'objectIdList' }
+};
+
+// Accepts a JSON array or the repeated/single value urlencoded forms produce
+function toIdList(value) {
+    var ids = [].concat(value || []).map(String);
+    return ids.filter(function (id, index) {
+        return ids.indexOf(id) === index;
+    });
+}
+
+// Field-level problems with a user body, as { field, message, code } (see utils/validation)
+function fieldErrors(body) {
+    return validation.validate(body, USER_SCHEMA);
+}
+
+// Validate a request body and turn it into the fields of a full user
+function normalizeUser(body) {
+    validation.assertValid(fieldErrors(body), MISSING_MESSAGE, INVALID_MESSAGE);
+    return {
+        name: body.name,
+        email: body.email,
+        role: body.role || undefined,
+        password: body.password ? String(body.password) : undefined,
+        pendingTasks: toIdList(body.pendingTasks),
+        // Left undefined when omitted so a replace keeps the user's reminder settings
+        reminderLeadTimes: notifications.parseLeadTimes(body.reminderLeadTimes)
+    };
+}
+
+function duplicateEmail(err) {
+    if (err.code === 11000) {
+        throw createError(400, 'User with this email already exists');
+    }
+    throw err;
+}
+
+// Trashed users keep their email until they are purged, so name them instead of failing on the unique index
+function checkTrashedEmail(email, ctx) {
+    return User.findOne({ email: email, deletedAt: { $ne: null } }, '_id').session(ctx.session).exec().then(function (trashed) {
+        if (trashed) {
+            throw createError(409, TRASHED_EMAIL_MESSAGE, { trashedUser: trashed._id.toString() });
+        }
+    });
+}
+
+// The fields a PATCH can change, as the JSON document the patch is applied to
+function patchableOf(user) {
+    return JSON.parse(JSON.stringify({
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        pendingTasks: user.pendingTasks,
+        reminderLeadTimes: user.reminderLeadTimes
+    }));
+}
+
+function loadUser(id, ctx) {
+    return User.findById(id).session(ctx.session).exec().then(function (user) {
+        if (!user) {
+            throw createError(404, 'User not found');
+        }
+        return user;
+    });
+}
+
+// Reject pending task ids that do not exist, except ones the user already had
+function checkPendingTasks(ids, tasks, previousIds) {
+    var found = tasks.map(function (task) {
+        return task._id.toString();
+    });
+    var unknown = ids.filter(function (id) {
+        return found.indexOf(id) === -1 && previousIds.indexOf(id) === -1;
+    });
+    if (unknown.length > 0) {
+        throw validation.invalidReference(INVALID_MESSAGE, 'pendingTasks', 'No tasks with ids ' + unknown.join(', '));
+    }
+}
+
+// Only tasks that exist and are still open count as pending
+function pendingIds(tasks) {
+    return tasks.filter(function (task) {
+        return !task.completed;
+    }).map(function (task) {
+        return task._id.toString();
+    });
+}
+
+// Whether there is an admin, counting admins in the trash since they can still be restored
+function adminExists(ctx) {
+    return Promise.all([
+        User.countDocuments({ role: ADMIN }).session(ctx.session).exec(),
+        User.countDocuments({ role: ADMIN, deletedAt: { $ne: null } }).session(ctx.session).exec()
+    ]).then(function (counts) {
+        return counts[0] + counts[1] > 0;
+    });
+}
+
+/*
+ * Create a user. `options.check(user, ctx)` runs inside the transaction
+ * before anything is saved; it may change `user`, or throw or reject to
+ * refuse the creation.
+ */
+function createUser(body, options) {
+    var fields;
+    try {
+        fields = normalizeUser(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return inTransaction(options, function (ctx) {
+        var user = new User();
+        user.name = fields.name;
+        user.email = fields.email;
+        user.role = fields.role || 'member';
+        if (fields.password) {
+            user.password = fields.password;
+        }
+        if (fields.reminderLeadTimes !== undefined) {
+            user.reminderLeadTimes = fields.reminderLeadTimes;
+        }
+
+        return Promise.resolve(options && options.check ? options.check(user, ctx) : null).then(function () {
+            return checkTrashedEmail(fields.email, ctx);
+        }).then(function () {
+            return assignments.findTasks(fields.pendingTasks, ctx);
+        }).then(function (tasks) {
+            checkPendingTasks(fields.pendingTasks, tasks, []);
+            user.pendingTasks = pendingIds(tasks);
+            return assignments.saveWithAudit('user', user, null, ctx).then(function (savedUser) {
+                return assignments.assignTasks(savedUser, tasks, ctx).then(function () {
+                    return savedUser;
+                });
+            });
+        });
+    }).catch(duplicateEmail);
+}
+
+/*
+ * Copy `fields` onto `user`, save it and move the tasks it gained or lost in
+ * pendingTasks. `options.check(user, fields)` runs first and may throw to
+ * reject the update.
+ */
+function saveUser(user, fields, options, ctx) {
+    var userId = user._id.toString();
+    var before = audit.snapshot(user);
+    var oldPendingTasks = user.pendingTasks.map(String);
+    fields.role = fields.role || user.role;
+
+    if (options.check) {
+        options.check(user, fields);
+    }
+
+    return (fields.email === user.email ? Promise.resolve() : checkTrashedEmail(fields.email, ctx)).then(function () {
+        return assignments.findTasks(fields.pendingTasks, ctx);
+    }).then(function (tasks) {
+        checkPendingTasks(fields.pendingTasks, tasks, oldPendingTasks);
+        var newPendingTasks = pendingIds(tasks);
+        var renamed = user.name !== fields.name;
+
+        user.name = fields.name;
+        user.email = fields.email;
+        user.role = fields.role;
+        user.pendingTasks = newPendingTasks;
+        // Keep the existing password unless a new one is supplied
+        if (fields.password) {
+            user.password = fields.password;
+        }
+        if (fields.reminderLeadTimes !== undefined) {
+            user.reminderLeadTimes = fields.reminderLeadTimes;
+        }
+        // Don't update dateCreated
+
+        return assignments.saveWithAudit('user', user, before, ctx).then(function (updatedUser) {
+            // Tasks dropped from pendingTasks no longer belong to this user
+            var removedTasks = oldPendingTasks.filter(function (taskId) {
+                return newPendingTasks.indexOf(taskId) === -1;
+            });
+            var addedTasks = tasks.filter(function (task) {
+                return oldPendingTasks.indexOf(task._id.toString()) === -1;
+            });
+
+            return assignments.unassignTasks({
+                _id: { $in: removedTasks.filter(assignments.isValidId) },
+                assignedUser: userId
+            }, ctx).then(function () {
+                return assignments.assignTasks(updatedUser, addedTasks, ctx);
+            }).then(function () {
+                if (renamed) {
+                    return assignments.renameAssignee(updatedUser, ctx);
+                }
+            }).then(function () {
+                return updatedUser;
+            });
+        });
+    });
+}
+
+/*
+ * Replace a user. `options.check(user, fields)` runs against the current
+ * document before anything is written and may throw to reject the update;
+ * `options.ifMatch` (see utils/etag) rejects it with 412 if the user changed.
+ */
+function updateUser(id, body, options) {
+    var fields;
+    try {
+        fields = normalizeUser(body);
+    } catch (err) {
+        return Promise.reject(err);
+    }
+    options = options || {};
+
+    return inTransaction(options, function (ctx) {
+        return loadUser(id, ctx).then(function (user) {
+            etag.assertMatch(user, options.ifMatch, 'user');
+            return saveUser(user, fields, options, ctx);
+        });
+    }).catch(duplicateEmail);
+}
+
+/*
+ * Change only some fields of a user. `patch` is a merge patch or, with
+ * `options.patchType` 'json', a JSON Patch (see utils/patch) of the user's
+ * name, email, role, pendingTasks and reminderLeadTimes; a new password can
+ * be added as `password`. The result is validated and saved like a PUT.
+ */
+function patchUser(id, patch, options) {
+    options = options || {};
+
+    return inTransaction(options, function (ctx) {
+        return loadUser(id, ctx).then(function (user) {
+            etag.assertMatch(user, options.ifMatch, 'user');
+            var body = patches.apply(patchableOf(user), patch, options.patchType);
+            // Removing the list turns reminders off rather than keeping it
+            if (!body.hasOwnProperty('reminderLeadTimes')) {
+                body.reminderLeadTimes = [];
+            }
+            return saveUser(user, normalizeUser(body), options, ctx);
+        });
+    }).catch(duplicateEmail);
+}
+
+/*
+ * Move a user to the trash. Their tasks are unassigned, but the user keeps
+ * its pendingTasks so restoreUser can hand them back.
+ */
+function deleteUser(id, options) {
+    return inTransaction(options, function (ctx) {
+        return loadUser(id, ctx).then(function (user) {
+            etag.assertMatch(user, options && options.ifMatch, 'user');
+            var before = audit.snapshot(user);
+            return assignments.unassignTasks({ assignedUser: user._id.toString() }, ctx).then(function () {
+                user.deletedAt = new Date();
+                return user.save({ session: ctx.session });
+            }).then(function () {
+                return audit.record('user', user._id, before, null, ctx);
+            }).then(function () {
+                return user;
+            });
+        });
+    });
+}
+
+/*
+ * Bring a user back from the trash, reassigning the open tasks from their
+ * pendingTasks that nobody has taken over in the meantime.
+ */
+function restoreUser(id, options) {
+    return inTransaction(options, function (ctx) {
+        return User.findOne({ _id: id, deletedAt: { $ne: null } }).session(ctx.session).exec().then(function (user) {
+            if (!user) {
+                throw createError(404, 'User not found in the trash');
+            }
+            var before = audit.snapshot(user);
+
+            return assignments.findTasks(user.pendingTasks.map(String), ctx).then(function (tasks) {
+                var unclaimed = tasks.filter(function (task) {
+                    return !task.completed && !task.assignedUser;
+                });
+                user.pendingTasks = pendingIds(unclaimed);
+                user.deletedAt = null;
+
+                return user.save({ session: ctx.session }).then(function (savedUser) {
+                    return audit.record('user', savedUser._id, before, audit.snapshot(savedUser), ctx, 'restore').then(function () {
+                        return assignments.assignTasks(savedUser, unclaimed, ctx);
+                    }).then(function () {
+                        return savedUser;
+                    });
+                });
+            });
+        });
+    });
+}
+
+module.exports = {
+    TRASHED_EMAIL_MESSAGE: TRASHED_EMAIL_MESSAGE,
+    fieldErrors: fieldErrors,
+    adminExists: adminExists,
+    createUser: createUser,
+    updateUser: updateUser,
+    patchUser: patchUser,
+    deleteUser: deleteUser,
+    restoreUser: restoreUser
+};
@@ -0,0 +1,261 @@
+/*
+ * Outgoing webhooks. Task and user change events are written to the
+ * WebhookDelivery queue in the same transaction as the change, then a worker
+ * POSTs them as HMAC-signed JSON, retrying failures with exponential backoff.
+ * Handled deliveries stay in the collection as the per-webhook delivery log.
+ */
+
+// Load required packages
+var crypto = require('crypto');
+var http = require('http');
+var https = require('https');
+var Webhook = require('../models/webhook');
+var WebhookDelivery = require('../models/webhookDelivery');
+var events = require('./events');
+var createError = require('../utils/errors').createError;
+
+var EVENT_TYPES = [
+    'task.created', 'task.updated', 'task.reassigned', 'task.completed', 'task.deleted', 'task.restored', 'task.purged',
+    'user.created', 'user.updated', 'user.deleted', 'user.restored', 'user.purged'
+];
+
+var MAX_ATTEMPTS = 8;
+var BASE_RETRY_DELAY_MS = 30 * 1000;
+var MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+var REQUEST_TIMEOUT_MS = 10 * 1000;
+var LOCK_MS = 60 * 1000;
+var BATCH_SIZE = 20;
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function sign(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+// Validate the url/events/description/active fields of a request body
+function normalizeWebhook(body) {
+    var url;
+    try {
+        url = new URL(String(body.url || ''));
+    } catch (e) {
+        throw createError(400, 'Webhook must have a valid url');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw createError(400, 'Webhook url must use http or https');
+    }
+
+    var eventFilter = [].concat(body.events || []).map(String);
+    var unknown = eventFilter.filter(function (type) {
+        return EVENT_TYPES.indexOf(type) === -1;
+    });
+    if (unknown.length > 0) {
+        throw createError(400, 'Unknown event types: ' + unknown.join(', '), { eventTypes: EVENT_TYPES });
+    }
+
+    return {
+        url: url.toString(),
+        events: eventFilter,
+        description: body.description || "",
+        active: body.active === undefined ? true : (body.active === true || body.active === 'true')
+    };
+}
+
+// Delay before retry number `attempts` (1-based): 30s, 1m, 2m, ... capped at 6h
+function retryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/*
+ * Queue a delivery of `event` for every active webhook subscribed to one of
+ * its types. Registered with services/events, so it runs in the transaction
+ * that made the change.
+ */
+function enqueue(event, ctx) {
+    return Webhook.find({ active: true }).session(ctx.session).exec().then(function (webhooks) {
+        var deliveries = [];
+        webhooks.forEach(function (webhook) {
+            var matching = event.types.filter(function (type) {
+                return webhook.events.length === 0 || webhook.events.indexOf(type) !== -1;
+            });
+            if (matching.length === 0) {
+                return;
+            }
+            // The most specific type (e.g. task.completed rather than task.updated) names the delivery
+            var type = matching[matching.length - 1];
+            deliveries.push({
+                webhook: webhook._id.toString(),
+                event: type,
+                payload: {
+                    id: event.id,
+                    type: type,
+                    types: event.types,
+                    occurredAt: event.occurredAt,
+                    actor: event.actor,
+                    data: {
+                        entityType: event.entityType,
+                        entityId: event.entityId,
+                        action: event.action,
+                        before: event.before,
+                        after: event.after,
+                        changes: event.changes
+                    }
+                }
+            });
+        });
+        if (deliveries.length === 0) {
+            return;
+        }
+        return WebhookDelivery.insertMany(deliveries, { session: ctx.session });
+    });
+}
+
+events.beforeCommit(enqueue);
+
+// POST `body` to `url`, resolving with the response status code
+function postJson(url, body, headers) {
+    return new Promise(function (resolve, reject) {
+        var target = new URL(url);
+        var client = target.protocol === 'https:' ? https : http;
+        var request = client.request(target, {
+            method: 'POST',
+            headers: Object.assign({
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body)
+            }, headers),
+            timeout: REQUEST_TIMEOUT_MS
+        }, function (response) {
+            response.resume();
+            response.on('end', function () {
+                resolve(response.statusCode);
+            });
+        });
+        request.on('timeout', function () {
+            request.destroy(new Error('Request timed out after ' + REQUEST_TIMEOUT_MS + 'ms'));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// Send one claimed delivery and record the outcome
+function attempt(delivery) {
+    return Webhook.findById(delivery.webhook).select('+secret').exec().then(function (webhook) {
+        var attempts = delivery.attempts + 1;
+        var update = { attempts: attempts, lockedUntil: null };
+
+        if (!webhook || !webhook.active) {
+            update.status = 'failed';
+            update.lastError = 'Webhook was deleted or deactivated';
+            return WebhookDelivery.updateOne({ _id: delivery._id }, update).exec();
+        }
+
+        var body = JSON.stringify(delivery.payload);
+        return postJson(webhook.url, body, {
+            'X-Webhook-Id': webhook._id.toString(),
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': delivery._id.toString(),
+            'X-Webhook-Signature': sign(webhook.secret, body)
+        }).then(function (status) {
+            update.responseStatus = status;
+            if (status >= 200 && status < 300) {
+                update.status = 'succeeded';
+                update.deliveredAt = new Date();
+                update.lastError = "";
+                return;
+            }
+            throw new Error('Endpoint responded with HTTP ' + status);
+        }).catch(function (err) {
+            update.lastError = err.message;
+            if (attempts >= MAX_ATTEMPTS) {
+                update.status = 'failed';
+            } else {
+                update.nextAttemptAt = new Date(Date.now() + retryDelay(attempts));
+            }
+        }).then(function () {
+            return WebhookDelivery.updateOne({ _id: delivery._id }, update).exec();
+        });
+    });
+}
+
+// Lock the next due delivery so concurrent workers (or server instances) skip it
+function claimNext() {
+    var now = new Date();
+    return WebhookDelivery.findOneAndUpdate({
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+    }, {
+        lockedUntil: new Date(now.getTime() + LOCK_MS)
+    }, { new: true, sort: { nextAttemptAt: 1 } }).exec();
+}
+
+// Send up to BATCH_SIZE due deliveries; resolves to how many were attempted
+function processDue() {
+    var processed = 0;
+
+    function next() {
+        if (processed >= BATCH_SIZE) {
+            return Promise.resolve(processed);
+        }
+        return claimNext().then(function (delivery) {
+            if (!delivery) {
+                return processed;
+            }
+            processed++;
+            return attempt(delivery).then(next);
+        });
+    }
+    return next();
+}
+
+/*
+ * Poll the queue every `intervalMs` milliseconds. Returns a function that
+ * stops the worker.
+ */
+function startWorker(intervalMs) {
+    var running = false;
+    var timer = setInterval(function () {
+        if (running) {
+            return;
+        }
+        running = true;
+        processDue().catch(function (err) {
+            console.error('Error delivering webhooks:', err);
+        }).then(function () {
+            running = false;
+        });
+    }, Number(intervalMs) || 5000);
+    timer.unref();
+
+    return function stop() {
+        clearInterval(timer);
+    };
+}
+
+// Put a delivery back on the queue to be sent again as soon as possible
+function replay(webhookId, deliveryId) {
+    return WebhookDelivery.findOneAndUpdate({ _id: deliveryId, webhook: String(webhookId) }, {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        lockedUntil: null,
+        lastError: ""
+    }, { new: true }).exec().then(function (delivery) {
+        if (!delivery) {
+            throw createError(404, 'Delivery not found');
+        }
+        return delivery;
+    });
+}
+
+module.exports = {
+    EVENT_TYPES: EVENT_TYPES,
+    generateSecret: generateSecret,
+    sign: sign,
+    normalizeWebhook: normalizeWebhook,
+    processDue: processDue,
+    startWorker: startWorker,
+    replay: replay
+};
@@ -0,0 +1,71 @@
+// Load required packages
+var test = require('node:test');
+var assert = require('assert');
+var User = require('../models/user');
+var comments = require('../services/comments');
+var helpers = require('./helpers');
+
+test('mentions by email, one-word name and quoted name are lowercased and deduplicated', function () {
+    assert.deepStrictEqual(comments.parseMentions('@Ada and @"Grace Hopper", cc @ada@Example.com and @ADA.'), {
+        emails: ['ada@example.com'],
+        names: ['ada', 'grace hopper']
+    });
+});
+
+test('emails in the text are not mentions', function () {
+    assert.deepStrictEqual(comments.parseMentions('Mail ada@example.com or write to me@home'), {
+        emails: [],
+        names: []
+    });
+});
+
+test('a comment may mention at most 20 users', function () {
+    var body = [];
+    for (var i = 0; i < 21; i++) {
+        body.push('@user' + i);
+    }
+    assert.throws(function () {
+        comments.parseMentions(body.join(' '));
+    }, function (err) {
+        return err.status === 422 && /at most 20/.test(JSON.stringify(err.data));
+    });
+});
+
+test('mentions match users by their keys, or ignoring case before the keys were backfilled', function () {
+    var ada = new User({ name: 'Ada Lovelace', email: 'ada@example.com' });
+    var alan = new User({ name: 'Alan', email: 'alan@example.com' });
+    ada.nameKey = 'ada lovelace';
+    ada.emailKey = 'ada@example.com';
+    alan.nameKey = 'alan';
+    alan.emailKey = 'alan@example.com';
+    // Saved before the keys existed
+    var grace = new User({ name: 'Grace Hopper', email: 'Grace@Example.com' });
+
+    // Enough of MongoDB's matching for the conditions resolveMentions uses
+    function matches(user, conditions) {
+        return Object.keys(conditions).every(function (field) {
+            var value = user.get(field);
+            var condition = conditions[field];
+            if (condition === null) {
+                return value === null || value === undefined;
+            }
+            return condition.$in.some(function (wanted) {
+                return wanted instanceof RegExp ? wanted.test(value) : wanted === value;
+            });
+        });
+    }
+
+    return helpers.stubQueries(User, {
+        find: function (conditions) {
+            return [ada, alan, grace].filter(function (user) {
+                return conditions.$or.some(function (branch) {
+                    return matches(user, branch);
+                });
+            });
+        }
+    }, function () {
+        return comments.resolveMentions('@"Ada Lovelace" and @grace@example.com, not @"Grace Hopper." or @al');
+    }).then(function (ids) {
+        assert.deepStrictEqual(ids, [ada._id.toString(), grace._id.toString()]);
+    });
+});
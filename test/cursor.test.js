@@ -0,0 +1,74 @@
+// Load required packages
+var test = require('node:test');
+var assert = require('assert');
+var mongoose = require('mongoose');
+var cursors = require('../utils/cursor');
+
+function cursorOf(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString('base64');
+}
+
+test('cursors round-trip dates and ObjectIds', function () {
+    var id = new mongoose.Types.ObjectId();
+    var deadline = new Date('2025-11-04T12:00:00Z');
+    var keys = cursors.sortKeys({ deadline: -1 });
+    var decoded = cursors.decodeCursor(cursors.encodeCursor({ deadline: deadline, _id: id }, keys));
+
+    assert.deepStrictEqual(decoded.keys, [['deadline', -1], ['_id', 1]]);
+    assert.strictEqual(decoded.values[0].getTime(), deadline.getTime());
+    assert.ok(decoded.values[1].equals(id));
+});
+
+test('strings that are not cursors decode to null', function () {
+    assert.strictEqual(cursors.decodeCursor('not a cursor'), null);
+    assert.strictEqual(cursors.decodeCursor(Buffer.from('{"s":[["name",1]],"v":[]}').toString('base64')), null);
+});
+
+test('sort keys end with _id and compare by key order', function () {
+    var keys = cursors.sortKeys({ name: 'asc', deadline: 'desc' });
+    assert.deepStrictEqual(keys, [['name', 1], ['deadline', -1], ['_id', 1]]);
+    assert.deepStrictEqual(cursors.keysToSort(keys), { name: 1, deadline: -1, _id: 1 });
+    assert.ok(cursors.sameKeys(keys, cursors.sortKeys({ name: 1, deadline: -1 })));
+    assert.ok(!cursors.sameKeys(keys, cursors.sortKeys({ deadline: -1, name: 1 })));
+});
+
+test('cursors with operator objects or unknown tags are rejected', function () {
+    var keys = [['name', 1], ['_id', 1]];
+    assert.strictEqual(cursors.decodeCursor(cursorOf({ s: keys, v: [{ $regex: '.*' }, null] })), null);
+    assert.strictEqual(cursors.decodeCursor(cursorOf({ s: keys, v: [{ $where: 'sleep(1000)' }, null] })), null);
+    assert.strictEqual(cursors.decodeCursor(cursorOf({ s: keys, v: [{ $date: 'x', $ne: 1 }, null] })), null);
+    assert.strictEqual(cursors.decodeCursor(cursorOf({ s: keys, v: [['a'], null] })), null);
+    assert.strictEqual(cursors.decodeCursor(cursorOf({ s: [['$where', 1]], v: ['a'] })), null);
+});
+
+test('after a non-null value comes the next value of the sort key', function () {
+    assert.deepStrictEqual(cursors.afterFilter([['name', 1], ['_id', 1]], ['b', 'id1']), {
+        $or: [
+            { name: { $gt: 'b' } },
+            { $and: [{ name: 'b' }, { _id: { $gt: 'id1' } }] }
+        ]
+    });
+});
+
+test('ascending, a null sort key is followed by every non-null value', function () {
+    assert.deepStrictEqual(cursors.afterFilter([['assignedUser', 1], ['_id', 1]], [null, 'id1']), {
+        $or: [
+            { assignedUser: { $ne: null } },
+            { $and: [{ assignedUser: null }, { _id: { $gt: 'id1' } }] }
+        ]
+    });
+});
+
+test('descending, nulls come after every value and only other nulls follow a null', function () {
+    assert.deepStrictEqual(cursors.afterFilter([['deadline', -1], ['_id', 1]], ['d', 'id1']), {
+        $or: [
+            { $or: [{ deadline: { $lt: 'd' } }, { deadline: null }] },
+            { $and: [{ deadline: 'd' }, { _id: { $gt: 'id1' } }] }
+        ]
+    });
+    assert.deepStrictEqual(cursors.afterFilter([['deadline', -1], ['_id', 1]], [null, 'id1']), {
+        $or: [
+            { $and: [{ deadline: null }, { _id: { $gt: 'id1' } }] }
+        ]
+    });
+});
@@ -0,0 +1,64 @@
+// Load required packages
+var test = require('node:test');
+var assert = require('assert');
+var CustomField = require('../models/customField');
+var customFields = require('../services/customFields');
+var helpers = require('./helpers');
+
+var FIELDS = [
+    new CustomField({ key: 'estimate', name: 'Estimate', type: 'number' }),
+    new CustomField({ key: 'due', name: 'Due', type: 'date' }),
+    new CustomField({ key: 'team', name: 'Team', type: 'select', options: ['backend', 'frontend'], required: true }),
+    new CustomField({ key: 'notes', name: 'Notes', type: 'text' })
+];
+
+// Validate `values` against FIELDS instead of the database
+function validate(values) {
+    return helpers.stubQueries(CustomField, {
+        find: function () {
+            return FIELDS;
+        }
+    }, function () {
+        return customFields.validateValues(values, 'Task validation failed', {});
+    });
+}
+
+// The field paths of a rejected validation
+function rejectedFields(values) {
+    return validate(values).then(function () {
+        assert.fail('expected a 422');
+    }, function (err) {
+        assert.strictEqual(err.status, 422);
+        return err.data.errors.map(function (error) {
+            return error.field;
+        });
+    });
+}
+
+test('values are converted to their stored types', function () {
+    return validate({ team: 'backend', estimate: '3.5', due: '2025-11-04', notes: '' }).then(function (values) {
+        assert.deepStrictEqual(values, { due: '2025-11-04T00:00:00.000Z', estimate: 3.5, team: 'backend' });
+    });
+});
+
+test('values of the wrong type are rejected', function () {
+    return rejectedFields({ team: 'design', estimate: 'lots', due: 'someday', notes: 5 }).then(function (fields) {
+        assert.deepStrictEqual(fields, ['customFields.due', 'customFields.estimate', 'customFields.notes',
+            'customFields.team']);
+    });
+});
+
+test('dates outside the years 0 to 9999 are rejected', function () {
+    return Promise.all([
+        rejectedFields({ team: 'backend', due: '+010000-01-01T00:00:00Z' }),
+        rejectedFields({ team: 'backend', due: -62198755200001 })
+    ]).then(function (results) {
+        assert.deepStrictEqual(results, [['customFields.due'], ['customFields.due']]);
+    });
+});
+
+test('required fields must have a value and unknown keys are rejected', function () {
+    return rejectedFields({ estimate: 1, colour: 'red' }).then(function (fields) {
+        assert.deepStrictEqual(fields, ['customFields.colour', 'customFields.team']);
+    });
+});
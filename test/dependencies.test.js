@@ -0,0 +1,116 @@
+// Load required packages
+var test = require('node:test');
+var assert = require('assert');
+var mongoose = require('mongoose');
+var Task = require('../models/task');
+var dependencies = require('../services/dependencies');
+var helpers = require('./helpers');
+
+// Whether `task` matches the conditions the dependency service queries with
+function matches(task, conditions) {
+    if (conditions.$or) {
+        return conditions.$or.some(function (branch) {
+            return matches(task, branch);
+        });
+    }
+    if (conditions._id) {
+        return conditions._id.$in.indexOf(task._id.toString()) !== -1;
+    }
+    return task.blockedBy.some(function (id) {
+        return conditions.blockedBy.$in.indexOf(id) !== -1;
+    });
+}
+
+// Serve Task.find/findById from `tasks` for the duration of `run`
+function withTasks(tasks, run) {
+    return helpers.stubQueries(Task, {
+        find: function (conditions) {
+            return tasks.filter(function (task) {
+                return matches(task, conditions);
+            });
+        },
+        findById: function (id) {
+            return tasks.filter(function (task) {
+                return task._id.toString() === String(id);
+            })[0] || null;
+        }
+    }, run);
+}
+
+function task(name, blockedBy) {
+    return new Task({ name: name, deadline: new Date(), blockedBy: (blockedBy || []).map(String) });
+}
+
+test('the dependency graph follows dependents through several levels', function () {
+    var a = task('A');
+    var b = task('B', [a._id]);
+    var c = task('C', [b._id]);
+    var d = task('D', [c._id]);
+    return withTasks([a, b, c, d], function () {
+        return dependencies.dependencyGraph(a._id.toString()).then(function (graph) {
+            assert.deepStrictEqual(graph.nodes.map(function (node) {
+                return node.name;
+            }).sort(), ['A', 'B', 'C', 'D']);
+            assert.deepStrictEqual(graph.edges.map(function (edge) {
+                return edge.from + '>' + edge.to;
+            }).sort(), [a._id + '>' + b._id, b._id + '>' + c._id, c._id + '>' + d._id].sort());
+        });
+    });
+});
+
+test('the dependency graph follows blockers from the middle of a chain', function () {
+    var a = task('A');
+    var b = task('B', [a._id]);
+    var c = task('C', [b._id]);
+    var other = task('Other');
+    return withTasks([a, b, c, other], function () {
+        return dependencies.dependencyGraph(c._id.toString()).then(function (graph) {
+            assert.deepStrictEqual(graph.nodes.map(function (node) {
+                return node.name;
+            }).sort(), ['A', 'B', 'C']);
+        });
+    });
+});
+
+test('blockers that lead back to the task are rejected as a cycle', function () {
+    var a = task('A');
+    var b = task('B', [a._id]);
+    var c = task('C', [b._id]);
+    return withTasks([a, b, c], function () {
+        return assert.rejects(dependencies.validate(a, { blockedBy: [c._id.toString()] }, false, {}), function (err) {
+            return err.status === 400 && /cycle/.test(err.message);
+        });
+    });
+});
+
+test('a task cannot be a subtask of its own subtask', function () {
+    var a = task('A');
+    var b = task('B');
+    b.parentTask = a._id.toString();
+    return withTasks([a, b], function () {
+        return assert.rejects(dependencies.validate(a, { parentTask: b._id.toString() }, false, {}), function (err) {
+            return err.status === 400 && /subtask of itself/.test(err.message);
+        });
+    });
+});
+
+test('blockers without a cycle are accepted', function () {
+    var a = task('A');
+    var b = task('B', [a._id]);
+    var c = task('C');
+    return withTasks([a, b, c], function () {
+        return dependencies.validate(c, { blockedBy: [b._id.toString()] }, false, {}).then(function () {
+            assert.strictEqual(c.blockedBy.join(','), b._id.toString());
+        });
+    });
+});
+
+test('referenced tasks must exist', function () {
+    var a = task('A');
+    var missing = new mongoose.Types.ObjectId().toString();
+    return withTasks([a], function () {
+        return assert.rejects(dependencies.validate(a, { blockedBy: [missing] }, false, {}), function (err) {
+            return err.status === 400 && err.data.missing[0] === missing;
+        });
+    });
+});
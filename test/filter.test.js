@@ -0,0 +1,47 @@
+// Load required packages
+var test = require('node:test');
+var assert = require('assert');
+var filters = require('../utils/filter');
+
+var TASK_FIELDS = filters.fieldsFor({ modelName: 'Task' });
+
+test('regexes that repeat a group with a quantifier or alternation inside are rejected', function () {
+    ['(a+)+', '(a|a)*', '((a+))+', '(?:(a|a)*)*', '(?:a*b)*', '((a+)?)+', '(a+) {2,}', '(x(?:y|z))+', '\\1'].forEach(function (pattern) {
+        assert.ok(filters.regexProblem(pattern), pattern);
+    });
+});
+
+test('ordinary regexes are accepted', function () {
+    ['^report', 'a+b*', '(?:ab)+', '(abc)?', '[(a+)]+', '\\(a+\\)+', '(?<year>\\d{4})-\\d\\d', 'jo|jane'].forEach(function (pattern) {
+        assert.strictEqual(filters.regexProblem(pattern), null, pattern);
+    });
+});
+
+test('regex options and lengths are limited', function () {
+    assert.ok(filters.regexProblem('a', 'g'));
+    assert.ok(filters.regexProblem(new Array(102).join('a')));
+    assert.ok(filters.regexProblem('(unclosed'));
+    assert.strictEqual(filters.regexProblem('a', 'i'), null);
+});
+
+test('filters may only use allowlisted fields and operators', function () {
+    assert.strictEqual(filters.validate({ completed: false, deadline: { $lt: '2025-12-01' } }, TASK_FIELDS), null);
+    assert.strictEqual(filters.validate({
+        $or: [{ name: { $regex: '^a', $options: 'i' } }, { assignedUserName: { $in: ['x'] } }]
+    }, TASK_FIELDS), null);
+    assert.match(filters.validate({ password: 'x' }, TASK_FIELDS), /Field password cannot be queried/);
+    assert.match(filters.validate({ $where: 'sleep(1000)' }, TASK_FIELDS), /Operator \$where is not allowed/);
+    assert.match(filters.validate({ name: { $elemMatch: {} } }, TASK_FIELDS), /not allowed/);
+    assert.match(filters.validate({ name: { $eq: { $gt: '' } } }, TASK_FIELDS), /must be compared with/);
+    assert.match(filters.validate({ name: { $regex: '(a+)+' } }, TASK_FIELDS), /\$regex may not repeat a group/);
+});
+
+test('sort and select values are limited to directions and flags', function () {
+    assert.strictEqual(filters.validateKeys({ deadline: -1, name: 'asc' }, TASK_FIELDS, filters.SORT_VALUES), null);
+    assert.match(filters.validateKeys({ name: { $meta: 'textScore' } }, TASK_FIELDS, filters.SORT_VALUES),
+        /Field name must be one of/);
+    assert.match(filters.validateKeys({ password: 1 }, TASK_FIELDS, filters.SORT_VALUES), /Field password is not allowed/);
+    assert.strictEqual(filters.validateKeys({ name: 1, _id: 0 }, TASK_FIELDS, filters.SELECT_VALUES), null);
+    assert.match(filters.validateKeys({ blockedBy: { $slice: 1 } }, TASK_FIELDS, filters.SELECT_VALUES), /must be one of/);
+    assert.match(filters.validateKeys('name', TASK_FIELDS, filters.SORT_VALUES), /Must be an object/);
+});
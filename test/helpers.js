@@ -0,0 +1,33 @@
+// Shared fixtures for the tests
+
+/*
+ * Serve `Model`'s queries from `results` while `run` resolves. Each key of
+ * `results` names a static query method (find, findById, ...) and maps to a
+ * function from the query's conditions to the documents it resolves with.
+ */
+function stubQueries(Model, results, run) {
+    var originals = {};
+    Object.keys(results).forEach(function (method) {
+        originals[method] = Model[method];
+        Model[method] = function (conditions) {
+            var result = results[method](conditions);
+            return {
+                session: function () {
+                    return this;
+                },
+                exec: function () {
+                    return Promise.resolve(result);
+                }
+            };
+        };
+    });
+    return Promise.resolve().then(run).finally(function () {
+        Object.keys(originals).forEach(function (method) {
+            Model[method] = originals[method];
+        });
+    });
+}
+
+module.exports = {
+    stubQueries: stubQueries
+};
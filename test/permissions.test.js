@@ -0,0 +1,35 @@
+// Load required packages
+var test = require('node:test');
+var assert = require('assert');
+var mongoose = require('mongoose');
+var permissions = require('../middleware/permissions');
+
+function user(role) {
+    return { _id: new mongoose.Types.ObjectId(), role: role, name: role, email: role + '@example.com' };
+}
+
+test('managers may update members and themselves, passwords included', function () {
+    var manager = user(permissions.MANAGER);
+    var member = user(permissions.MEMBER);
+    assert.strictEqual(permissions.userUpdateViolation(manager, member, { name: 'New name', password: 'new password' }), null);
+    assert.strictEqual(permissions.userUpdateViolation(manager, manager, { password: 'new password' }), null);
+    assert.match(permissions.userUpdateViolation(manager, member, { role: permissions.MANAGER }), /Only admins/);
+});
+
+test('managers may not update other managers or admins', function () {
+    var manager = user(permissions.MANAGER);
+    [user(permissions.MANAGER), user(permissions.ADMIN)].forEach(function (target) {
+        assert.match(permissions.userUpdateViolation(manager, target, { password: 'new password' }),
+            /Managers may only update members and their own account/);
+        assert.match(permissions.userUpdateViolation(manager, target, { email: 'taken@example.com' }),
+            /Managers may only update members and their own account/);
+    });
+});
+
+test('members may only change their own name, email and password', function () {
+    var member = user(permissions.MEMBER);
+    assert.strictEqual(permissions.userUpdateViolation(member, member, { password: 'new password' }), null);
+    assert.match(permissions.userUpdateViolation(member, user(permissions.MEMBER), { password: 'new password' }),
+        /Members may only update their own account/);
+    assert.match(permissions.userUpdateViolation(member, member, { pendingTasks: ['x'] }), /pendingTasks/);
+});
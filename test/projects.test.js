@@ -0,0 +1,76 @@
+// Load required packages
+var test = require('node:test');
+var assert = require('assert');
+var mongoose = require('mongoose');
+var Project = require('../models/project');
+var Task = require('../models/task');
+var permissions = require('../middleware/permissions');
+var projects = require('../services/projects');
+var helpers = require('./helpers');
+
+var member = { _id: new mongoose.Types.ObjectId(), role: permissions.MEMBER };
+var manager = { _id: new mongoose.Types.ObjectId(), role: permissions.MANAGER };
+var own = new Project({ name: 'Own', members: [member._id.toString()] });
+var other = new Project({ name: 'Other', members: [manager._id.toString()] });
+
+// Serve Project.find from the two projects and Task.findById from `tasks` while `run` resolves
+function withData(tasks, run) {
+    return helpers.stubQueries(Project, {
+        find: function (conditions) {
+            return [own, other].filter(function (project) {
+                return project.members.indexOf(conditions.members) !== -1;
+            });
+        }
+    }, function () {
+        return helpers.stubQueries(Task, {
+            findById: function (id) {
+                return tasks.filter(function (task) {
+                    return task._id.toString() === String(id);
+                })[0] || null;
+            }
+        }, run);
+    });
+}
+
+function task(project) {
+    return new Task({ name: 'Task', deadline: new Date(), project: project ? project._id.toString() : '' });
+}
+
+test('members are scoped to their projects and tasks outside of any project', function () {
+    return withData([], function () {
+        return projects.taskScope(member).then(function (scope) {
+            assert.deepStrictEqual(scope, { project: { $in: [null, '', own._id.toString()] } });
+            assert.ok(projects.inScope(scope, task(own)));
+            assert.ok(projects.inScope(scope, task(null)));
+            assert.ok(projects.inScope(scope, { name: 'Saved before projects' }));
+            assert.ok(!projects.inScope(scope, task(other)));
+        });
+    });
+});
+
+test('admins and managers are not scoped', function () {
+    return withData([], function () {
+        return projects.taskScope(manager).then(function (scope) {
+            assert.strictEqual(scope, null);
+            assert.ok(projects.inScope(scope, task(other)));
+        });
+    });
+});
+
+test('members may not read a task of a project they are not in', function () {
+    var mine = task(own);
+    var theirs = task(other);
+    return withData([mine, theirs], function () {
+        return projects.checkTaskAccess(member, mine._id.toString()).then(function (scope) {
+            assert.ok(scope);
+            return assert.rejects(projects.checkTaskAccess(member, theirs._id.toString()), function (err) {
+                return err.status === 403 && err.data.action === 'tasks:read';
+            });
+        }).then(function () {
+            return assert.rejects(projects.checkTaskAccess(member, new mongoose.Types.ObjectId().toString()),
+                function (err) {
+                    return err.status === 404;
+                });
+        });
+    });
+});
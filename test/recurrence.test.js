@@ -0,0 +1,66 @@
+// Load required packages
+var test = require('node:test');
+var assert = require('assert');
+var recurrence = require('../services/recurrence');
+
+// Follow a series from `deadline` for `count` occurrences
+function series(deadline, rule, count) {
+    var dates = [new Date(deadline)];
+    while (dates.length < count) {
+        dates.push(recurrence.nextDeadline(dates[dates.length - 1], rule));
+    }
+    return dates.map(function (date) {
+        return date.toISOString().slice(0, 10);
+    });
+}
+
+test('RRULE strings parse into the stored shape', function () {
+    assert.deepStrictEqual(recurrence.parseRecurrence('RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=mo,th;COUNT=10'), {
+        frequency: 'weekly', interval: 2, byDay: ['MO', 'TH'], count: 10
+    });
+    assert.deepStrictEqual(recurrence.parseRecurrence('FREQ=MONTHLY;BYMONTHDAY=31;UNTIL=20261231'), {
+        frequency: 'monthly', interval: 1, dayOfMonth: 31, until: new Date('2026-12-31')
+    });
+    assert.strictEqual(recurrence.parseRecurrence(null), null);
+    assert.strictEqual(recurrence.parseRecurrence(undefined), undefined);
+});
+
+test('invalid rules are rejected with a 400', function () {
+    ['FREQ=HOURLY', 'FREQ=DAILY;BYDAY=MO', 'FREQ=WEEKLY;COUNT=0', 'FREQ=WEEKLY;BYSETPOS=1',
+        'FREQ=WEEKLY;BYMONTHDAY=3', 'FREQ=MONTHLY;BYMONTHDAY=32', 'FREQ'].forEach(function (rule) {
+        assert.throws(function () {
+            recurrence.parseRecurrence(rule);
+        }, function (err) {
+            return err.status === 400 && /^Invalid recurrence/.test(err.message);
+        }, rule);
+    });
+});
+
+test('a monthly series anchored on the 31st does not drift after short months', function () {
+    var rule = recurrence.anchorDay({ frequency: 'monthly', interval: 1 }, null, '2025-01-31T09:00:00Z');
+    assert.strictEqual(rule.dayOfMonth, 31);
+    assert.deepStrictEqual(series('2025-01-31T09:00:00Z', rule, 5),
+        ['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30', '2025-05-31']);
+});
+
+test('a yearly series on February 29 returns to it in leap years', function () {
+    var rule = recurrence.anchorDay({ frequency: 'yearly', interval: 1 }, null, '2024-02-29T00:00:00Z');
+    assert.deepStrictEqual(series('2024-02-29T00:00:00Z', rule, 5),
+        ['2024-02-29', '2025-02-28', '2026-02-28', '2027-02-28', '2028-02-29']);
+});
+
+test('the anchor day survives a rule re-sent on a clamped occurrence', function () {
+    var previous = { frequency: 'monthly', interval: 1, dayOfMonth: 31 };
+    var rule = { frequency: 'monthly', interval: 1 };
+    assert.strictEqual(recurrence.anchorDay(rule, previous, '2025-02-28T09:00:00Z').dayOfMonth, 31);
+    assert.strictEqual(recurrence.anchorDay(rule, previous, '2025-02-15T09:00:00Z').dayOfMonth, 15);
+    assert.strictEqual(recurrence.anchorDay({ frequency: 'weekly', interval: 1 }, previous, '2025-02-28').dayOfMonth,
+        undefined);
+});
+
+test('weekly rules with byDay step to the next listed weekday', function () {
+    var rule = recurrence.parseRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH');
+    // 2025-01-06 is a Monday
+    assert.deepStrictEqual(series('2025-01-06T09:00:00Z', rule, 4),
+        ['2025-01-06', '2025-01-09', '2025-01-20', '2025-01-23']);
+});
@@ -0,0 +1,216 @@
+/*
+ * CSV (RFC 4180) output for the list endpoints, and parsing for imports.
+ * Output rows are streamed from a MongoDB cursor, so exports of any size
+ * never sit in memory all at once.
+ */
+
+// Load required packages
+var Transform = require('stream').Transform;
+var response = require('./response');
+var sendError = response.sendError;
+var handleError = response.handleError;
+var applyQueryOptions = require('./query').applyQueryOptions;
+var withSearch = require('./pagination').withSearch;
+
+// Whether the client asked for CSV with ?format=csv or an Accept header preferring text/csv
+function wantsCsv(req) {
+    if (req.query.format) {
+        return req.query.format === 'csv';
+    }
+    return req.accepts(['json', 'csv']) === 'csv';
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(formatValue).join(';');
+    }
+    if (typeof value === 'object') {
+        // ObjectIds print as their hex string; other objects (e.g. recurrence) as JSON
+        return /^ObjectI[dD]$/.test(value._bsontype) ? value.toString() : JSON.stringify(value);
+    }
+    return String(value);
+}
+
+function escapeCell(value) {
+    var text = formatValue(value);
+    // Keep spreadsheets from evaluating user-entered text as a formula
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = "'" + text;
+    }
+    if (/[",\r\n]/.test(text)) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+function toRow(values) {
+    return values.map(escapeCell).join(',') + '\r\n';
+}
+
+// The columns to export: the fields of an inclusive select, or `defaults` minus an exclusive one
+function columnsFor(select, defaults) {
+    var fields = Object.keys(select || {}).filter(function (field) {
+        return typeof select[field] !== 'object'; // skips the text score projection
+    });
+    var included = fields.filter(function (field) {
+        return Number(select[field]) === 1;
+    });
+    if (included.length > 0) {
+        return (select._id === undefined || Number(select._id) === 1) && included.indexOf('_id') === -1 ?
+            ['_id'].concat(included) :
+            included;
+    }
+    return defaults.filter(function (field) {
+        return fields.indexOf(field) === -1;
+    });
+}
+
+/*
+ * Stream the documents of `Model` matching a parseQueryParams result as a CSV
+ * attachment named `filename`, with `defaultColumns` unless select picks
+ * others. `noun` names the documents in error messages.
+ */
+function sendCsv(req, res, Model, parsed, defaultColumns, filename, noun) {
+    var options = parsed.options;
+    if (options.paginate === 'cursor') {
+        return sendError(res, 400, 'The cursor parameter cannot be used with CSV export.');
+    }
+    var columns = columnsFor(options.select, defaultColumns);
+    var query = withSearch(parsed.query, options);
+    var docs = applyQueryOptions(Model.find(query), options).lean().cursor();
+
+    /*
+     * The CSV headers and header row wait for the first document (or the end
+     * of an empty result), so a query that fails up front still gets a plain
+     * JSON error response.
+     */
+    var started = false;
+    function header(stream) {
+        if (!started) {
+            started = true;
+            res.status(200).set({
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': 'attachment; filename="' + filename + '"'
+            });
+            stream.push(toRow(columns));
+        }
+    }
+
+    var rows = new Transform({
+        writableObjectMode: true,
+        transform: function (doc, encoding, callback) {
+            header(this);
+            callback(null, toRow(columns.map(function (column) {
+                return column.split('.').reduce(function (value, key) {
+                    return value === null || value === undefined ? undefined : value[key];
+                }, doc);
+            })));
+        },
+        flush: function (callback) {
+            header(this);
+            callback();
+        }
+    });
+
+    docs.on('error', function (err) {
+        if (!started) {
+            return handleError(res, err, 'Error exporting ' + noun);
+        }
+        // Too late for an error response; cut the download short so it is not mistaken for complete
+        res.destroy(err);
+    });
+    // Stop reading from the database if the client goes away mid-download
+    res.on('close', function () {
+        docs.close().catch(function () {}); // already exhausted
+    });
+
+    res.set('Vary', 'Accept');
+    docs.pipe(rows).pipe(res);
+}
+
+/*
+ * Parse CSV text into one object per data row, keyed by the header row.
+ * Throws an Error describing the first malformed line.
+ */
+function parse(text) {
+    var rows = [];
+    var row = [];
+    var cell = '';
+    var quoted = false;
+    var line = 1;
+    text = String(text).replace(/^\uFEFF/, '');
+
+    for (var i = 0; i < text.length; i++) {
+        var character = text.charAt(i);
+        if (quoted) {
+            if (character === '"' && text.charAt(i + 1) === '"') {
+                cell += '"';
+                i++;
+            } else if (character === '"') {
+                quoted = false;
+            } else {
+                if (character === '\n') {
+                    line++;
+                }
+                cell += character;
+            }
+        } else if (character === '"' && cell === '') {
+            quoted = true;
+        } else if (character === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (character === '\n' || character === '\r') {
+            if (character === '\r' && text.charAt(i + 1) === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+            line++;
+        } else {
+            cell += character;
+        }
+    }
+    if (quoted) {
+        throw new Error('Unterminated quoted field on line ' + line);
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    rows = rows.filter(function (cells) {
+        return cells.length > 1 || cells[0] !== '';
+    });
+    if (rows.length === 0) {
+        return [];
+    }
+    var header = rows[0].map(function (name) {
+        return name.trim();
+    });
+    return rows.slice(1).map(function (cells, index) {
+        if (cells.length > header.length) {
+            throw new Error('Row ' + (index + 1) + ' has more fields than the header');
+        }
+        var record = {};
+        header.forEach(function (name, column) {
+            record[name] = cells[column] === undefined ? '' : cells[column];
+        });
+        return record;
+    });
+}
+
+module.exports = {
+    wantsCsv: wantsCsv,
+    toRow: toRow,
+    sendCsv: sendCsv,
+    parse: parse
+};
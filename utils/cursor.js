@@ -0,0 +1,154 @@
+/*
+ * Opaque cursors for keyset pagination. A cursor records the sort order it
+ * was created for and the sort key values of the last document on a page, so
+ * the next page starts strictly after that document no matter what was
+ * inserted in between.
+ */
+
+// Load required packages
+var mongoose = require('mongoose');
+
+// Turn a parsed sort spec into [[field, 1|-1], ...], always ending with _id as a tie-breaker
+function sortKeys(sort) {
+    var keys = Object.keys(sort || {}).map(function (field) {
+        var direction = String(sort[field]).toLowerCase();
+        var descending = direction === '-1' || direction === 'desc' || direction === 'descending';
+        return [field, descending ? -1 : 1];
+    });
+    var hasId = keys.some(function (key) {
+        return key[0] === '_id';
+    });
+    return hasId ? keys : keys.concat([['_id', 1]]);
+}
+
+function keysToSort(keys) {
+    var sort = {};
+    keys.forEach(function (key) {
+        sort[key[0]] = key[1];
+    });
+    return sort;
+}
+
+// Dates and ObjectIds do not survive JSON, so tag them
+function encodeValue(value) {
+    if (value instanceof Date) {
+        return { $date: value.toISOString() };
+    }
+    if (value instanceof mongoose.Types.ObjectId) {
+        return { $oid: value.toString() };
+    }
+    return value === undefined ? null : value;
+}
+
+/*
+ * Cursors come back from clients, so only the values encodeValue produces
+ * are accepted: anything else (e.g. an object smuggling in $regex or $where)
+ * throws rather than reaching the filter.
+ */
+function decodeValue(value) {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean' ||
+        (typeof value === 'number' && isFinite(value))) {
+        return value;
+    }
+    var tags = value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+    if (tags.length === 1 && tags[0] === '$date' && typeof value.$date === 'string' && !isNaN(new Date(value.$date).getTime())) {
+        return new Date(value.$date);
+    }
+    if (tags.length === 1 && tags[0] === '$oid' && typeof value.$oid === 'string' && /^[0-9a-fA-F]{24}$/.test(value.$oid)) {
+        return mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new Error('Invalid cursor value');
+}
+
+function isSortKey(key) {
+    return Array.isArray(key) && key.length === 2 && typeof key[0] === 'string' && key[0].charAt(0) !== '$' &&
+        (key[1] === 1 || key[1] === -1);
+}
+
+// Cursor pointing just past `doc` for the given sort keys
+function encodeCursor(doc, keys) {
+    var payload = {
+        s: keys,
+        v: keys.map(function (key) {
+            return encodeValue(doc.get ? doc.get(key[0]) : doc[key[0]]);
+        })
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Returns { keys, values }, or null if the string is not a cursor we issued
+function decodeCursor(cursor) {
+    try {
+        var json = Buffer.from(String(cursor).replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString();
+        var payload = JSON.parse(json);
+        if (!Array.isArray(payload.s) || !Array.isArray(payload.v) || payload.s.length !== payload.v.length ||
+            !payload.s.every(isSortKey)) {
+            return null;
+        }
+        return { keys: payload.s, values: payload.v.map(decodeValue) };
+    } catch (e) {
+        return null;
+    }
+}
+
+function sameKeys(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/*
+ * Condition for `field` sorting strictly after `value` in `direction`.
+ * MongoDB sorts null (and missing) before every other value, so after a null
+ * come all non-null values when ascending and nothing when descending, and
+ * the nulls still come after any value when descending. Returns null when
+ * nothing can follow.
+ */
+function pastValue(field, direction, value) {
+    var condition = {};
+    if (value === null) {
+        if (direction === -1) {
+            return null;
+        }
+        condition[field] = { $ne: null };
+        return condition;
+    }
+    if (direction === -1) {
+        var lower = {};
+        var missing = {};
+        lower[field] = { $lt: value };
+        missing[field] = null;
+        return { $or: [lower, missing] };
+    }
+    condition[field] = { $gt: value };
+    return condition;
+}
+
+/*
+ * Filter matching documents that sort strictly after the cursor position:
+ * (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...
+ */
+function afterFilter(keys, values) {
+    return {
+        $or: keys.map(function (key, i) {
+            var past = pastValue(key[0], key[1], values[i]);
+            if (!past) {
+                return null;
+            }
+            var equal = {};
+            for (var j = 0; j < i; j++) {
+                // { field: null } also matches documents without the field, as the sort treats them
+                equal[keys[j][0]] = values[j];
+            }
+            return i === 0 ? past : { $and: [equal, past] };
+        }).filter(Boolean)
+    };
+}
+
+module.exports = {
+    sortKeys: sortKeys,
+    keysToSort: keysToSort,
+    encodeCursor: encodeCursor,
+    decodeCursor: decodeCursor,
+    sameKeys: sameKeys,
+    afterFilter: afterFilter
+};
@@ -0,0 +1,14 @@
+/*
+ * Errors thrown by services carry the HTTP status and envelope fields the
+ * routes should respond with.
+ */
+function createError(status, message, data) {
+    var err = new Error(message);
+    err.status = status;
+    err.data = data || null;
+    return err;
+}
+
+module.exports = {
+    createError: createError
+};
@@ -0,0 +1,66 @@
+/*
+ * ETags for single tasks and users, built from the document id and its
+ * version (__v, bumped by every save). GETs answer If-None-Match with 304;
+ * writes pass If-Match down to the services, which reject stale ones with 412.
+ */
+
+// Load required packages
+var createError = require('./errors').createError;
+
+// "<id>-<version>", or null when the version was not selected
+function etagOf(doc) {
+    if (!doc || doc.__v === undefined || doc.__v === null) {
+        return null;
+    }
+    return '"' + doc._id + '-' + doc.__v + '"';
+}
+
+// The entity tags listed in an If-Match/If-None-Match header value ("*" included as is)
+function parseTags(header) {
+    return String(header).split(',').map(function (tag) {
+        return tag.trim().replace(/^W\//, '');
+    }).filter(Boolean);
+}
+
+function setETag(res, doc) {
+    var etag = etagOf(doc);
+    if (etag) {
+        res.set('ETag', etag);
+    }
+}
+
+// Whether a GET can be answered with 304 because the client already has this version
+function notModified(req, doc) {
+    var header = req.get('If-None-Match');
+    var etag = etagOf(doc);
+    if (!header || !etag) {
+        return false;
+    }
+    var tags = parseTags(header);
+    return tags.indexOf('*') !== -1 || tags.indexOf(etag) !== -1;
+}
+
+// The tags of a request's If-Match header, or undefined when there is none
+function ifMatchFrom(req) {
+    var header = req.get('If-Match');
+    return header ? parseTags(header) : undefined;
+}
+
+// Throw a 412 unless `doc` is the version `ifMatch` (from ifMatchFrom) asks for
+function assertMatch(doc, ifMatch, noun) {
+    if (!ifMatch || ifMatch.indexOf('*') !== -1) {
+        return;
+    }
+    var etag = etagOf(doc);
+    if (ifMatch.indexOf(etag) === -1) {
+        throw createError(412, 'Precondition failed: the ' + noun + ' has changed since you fetched it', { etag: etag });
+    }
+}
+
+module.exports = {
+    etagOf: etagOf,
+    setETag: setETag,
+    notModified: notModified,
+    ifMatchFrom: ifMatchFrom,
+    assertMatch: assertMatch
+};
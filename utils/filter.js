@@ -0,0 +1,329 @@
+/*
+ * The safe query layer behind the `where`/`filter` parameters (and `sort` and
+ * `select`). Clients may only use the fields listed for each model and a
+ * small set of operators, with limits on nesting, list sizes and regexes.
+ * The bracket syntax (?deadline[lt]=2025-12-01&completed=false) compiles to
+ * the same filters.
+ */
+
+// Fields clients may filter, sort and select on, per model. "prefix.*" allows any subfield.
+var FIELDS = {
+    Task: ['_id', 'name', 'description', 'deadline', 'completed', 'completedAt', 'assignedUser', 'assignedUserName',
+        'dateCreated', 'recurrence', 'recurrence.frequency', 'recurrence.interval', 'recurrence.byDay',
+        'recurrence.dayOfMonth', 'recurrence.until', 'recurrence.count', 'series', 'occurrence', 'parentTask',
+        'blockedBy', 'progress', 'project', 'priority', 'priorityRank', 'labels', 'customFields', 'customFields.*'],
+    User: ['_id', 'name', 'email', 'role', 'pendingTasks', 'reminderLeadTimes', 'dateCreated'],
+    Audit: ['_id', 'entityType', 'entityId', 'action', 'changes', 'changes.*', 'actor', 'actor.id', 'actor.name',
+        'timestamp'],
+    Webhook: ['_id', 'url', 'events', 'description', 'active', 'createdBy', 'dateCreated'],
+    WebhookDelivery: ['_id', 'webhook', 'event', 'payload', 'status', 'attempts', 'nextAttemptAt', 'responseStatus',
+        'lastError', 'deliveredAt', 'dateCreated'],
+    Notification: ['_id', 'user', 'task', 'type', 'leadTime', 'deadline', 'message', 'read', 'readAt', 'delivered',
+        'deliveryError', 'dateCreated'],
+    Project: ['_id', 'name', 'description', 'members', 'createdBy', 'dateCreated'],
+    Comment: ['_id', 'task', 'author', 'authorName', 'body', 'mentions', 'dateCreated', 'dateEdited'],
+    Label: ['_id', 'name', 'color', 'description', 'dateCreated'],
+    CustomField: ['_id', 'key', 'name', 'type', 'options', 'required', 'dateCreated']
+};
+
+var COMPARISON_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$all', '$exists', '$size',
+    '$regex', '$options'];
+var LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+var LIST_OPERATORS = ['$in', '$nin', '$all'];
+var BRACKET_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'all', 'exists', 'size', 'regex'];
+
+var MAX_DEPTH = 4;
+var MAX_CONDITIONS = 50;
+var MAX_LIST_LENGTH = 100;
+var MAX_REGEX_LENGTH = 100;
+var SORT_VALUES = [1, -1, '1', '-1', 'asc', 'desc', 'ascending', 'descending'];
+var SELECT_VALUES = [0, 1, '0', '1', true, false];
+
+function fieldsFor(Model) {
+    return FIELDS[Model.modelName] || ['_id'];
+}
+
+function isAllowed(path, fields) {
+    return fields.some(function (field) {
+        if (field.slice(-2) === '.*') {
+            return path.indexOf(field.slice(0, -1)) === 0;
+        }
+        return field === path;
+    });
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPrimitive(value) {
+    return value === null || ['string', 'number', 'boolean'].indexOf(typeof value) !== -1;
+}
+
+/*
+ * Whether `pattern` repeats (with *, + or {n,m}) a group that contains a
+ * quantifier or alternation at any depth, e.g. (a+)+, ((a+))+ or (?:(a|a)*)*.
+ */
+function repeatsComplexGroup(pattern) {
+    // One entry per open group: whether it contains a quantifier or alternation so far
+    var groups = [false];
+    for (var i = 0; i < pattern.length; i++) {
+        var character = pattern.charAt(i);
+        if (character === '\\') {
+            i++;
+        } else if (character === '[') {
+            // Skip the character class; nothing inside it is a group or quantifier
+            for (i++; i < pattern.length && pattern.charAt(i) !== ']'; i++) {
+                if (pattern.charAt(i) === '\\') {
+                    i++;
+                }
+            }
+        } else if (character === '(') {
+            // Step over (?:, (?=, (?<name> and the like so their ? does not count as a quantifier
+            var prefix = /^\?(?::|=|!|<=|<!|<[^>]*>)/.exec(pattern.slice(i + 1));
+            i += prefix ? prefix[0].length : 0;
+            groups.push(false);
+        } else if (character === ')' && groups.length > 1) {
+            var complex = groups.pop();
+            var next = pattern.slice(i + 1).replace(/^\s+/, '').charAt(0);
+            var repeated = next === '*' || next === '+' || next === '{';
+            if (complex && repeated) {
+                return true;
+            }
+            groups[groups.length - 1] = groups[groups.length - 1] || complex || repeated || next === '?';
+        } else if ('*+?{|'.indexOf(character) !== -1) {
+            groups[groups.length - 1] = true;
+        }
+    }
+    return false;
+}
+
+// Reject patterns that could backtrack catastrophically, e.g. (a+)+ or (a|a)*, and backreferences
+function regexProblem(pattern, flags) {
+    if (typeof pattern !== 'string') {
+        return 'must be a string';
+    }
+    if (pattern.length > MAX_REGEX_LENGTH) {
+        return 'may be at most ' + MAX_REGEX_LENGTH + ' characters';
+    }
+    if (repeatsComplexGroup(pattern)) {
+        return 'may not repeat a group that contains a quantifier or alternation';
+    }
+    if (/\\[1-9]/.test(pattern)) {
+        return 'may not use backreferences';
+    }
+    if (flags !== undefined && !/^[imsx]*$/.test(flags)) {
+        return 'options may only contain i, m, s and x';
+    }
+    try {
+        new RegExp(pattern, (flags || '').replace('x', ''));
+    } catch (e) {
+        return 'is not a valid regular expression';
+    }
+    return null;
+}
+
+/*
+ * Check a filter against the allowlists and limits. Returns a message naming
+ * the first rejected part (with its path in the filter), or null.
+ */
+function validate(filter, fields) {
+    var conditions = 0;
+
+    function check(node, path, depth) {
+        if (!isPlainObject(node)) {
+            return (path || 'filter') + ' must be an object';
+        }
+        if (depth > MAX_DEPTH) {
+            return 'Filters may nest $and/$or/$nor at most ' + MAX_DEPTH + ' levels deep';
+        }
+        var keys = Object.keys(node);
+        for (var i = 0; i < keys.length; i++) {
+            var key = keys[i];
+            var at = path ? path + '.' + key : key;
+            var error;
+            if (LOGICAL_OPERATORS.indexOf(key) !== -1) {
+                if (!Array.isArray(node[key]) || node[key].length === 0) {
+                    return key + ' must be a non-empty array (at ' + at + ')';
+                }
+                for (var j = 0; j < node[key].length; j++) {
+                    error = check(node[key][j], at + '.' + j, depth + 1);
+                    if (error) {
+                        return error;
+                    }
+                }
+            } else if (key.charAt(0) === '$') {
+                return 'Operator ' + key + ' is not allowed (at ' + at + ')';
+            } else if (!isAllowed(key, fields)) {
+                return 'Field ' + key + ' cannot be queried (at ' + at + ')';
+            } else {
+                conditions++;
+                error = checkCondition(node[key], at);
+                if (error) {
+                    return error;
+                }
+            }
+        }
+        if (conditions > MAX_CONDITIONS) {
+            return 'Filters may have at most ' + MAX_CONDITIONS + ' conditions';
+        }
+        return null;
+    }
+
+    function checkCondition(condition, at) {
+        if (isPrimitive(condition)) {
+            return null;
+        }
+        if (Array.isArray(condition)) {
+            return checkList(condition, at);
+        }
+        var operators = Object.keys(condition);
+        if (operators.length === 0 || operators.some(function (operator) { return operator.charAt(0) !== '$'; })) {
+            return 'Conditions must be a value or an object of operators (at ' + at + ')';
+        }
+        for (var i = 0; i < operators.length; i++) {
+            var operator = operators[i];
+            var value = condition[operator];
+            var error = null;
+            if (COMPARISON_OPERATORS.indexOf(operator) === -1) {
+                return 'Operator ' + operator + ' is not allowed (at ' + at + ')';
+            }
+            if (LIST_OPERATORS.indexOf(operator) !== -1) {
+                error = Array.isArray(value) ? checkList(value, at + '.' + operator) :
+                    operator + ' must be an array (at ' + at + ')';
+            } else if (operator === '$regex') {
+                var problem = regexProblem(value, condition.$options);
+                error = problem ? '$regex ' + problem + ' (at ' + at + ')' : null;
+            } else if (operator === '$options') {
+                error = condition.$regex === undefined ? '$options requires $regex (at ' + at + ')' : null;
+            } else if (operator === '$exists') {
+                error = typeof value === 'boolean' ? null : '$exists must be true or false (at ' + at + ')';
+            } else if (operator === '$size') {
+                error = Number.isInteger(value) && value >= 0 ? null : '$size must be a non-negative integer (at ' + at + ')';
+            } else if (!isPrimitive(value)) {
+                error = operator + ' must be compared with a string, number, boolean or null (at ' + at + ')';
+            }
+            if (error) {
+                return error;
+            }
+        }
+        return null;
+    }
+
+    function checkList(list, at) {
+        if (list.length > MAX_LIST_LENGTH) {
+            return 'Lists may have at most ' + MAX_LIST_LENGTH + ' values (at ' + at + ')';
+        }
+        return list.every(isPrimitive) ? null : 'Lists may only contain strings, numbers, booleans or null (at ' + at + ')';
+    }
+
+    return check(filter, '', 0);
+}
+
+/*
+ * Check the field names of a sort or select object and, when `values` is
+ * given, that each field maps to one of them (so no $meta, $slice, ...).
+ */
+function validateKeys(object, fields, values) {
+    if (object !== undefined && !isPlainObject(object)) {
+        return 'Must be an object of field names';
+    }
+    var keys = Object.keys(object || {});
+    for (var i = 0; i < keys.length; i++) {
+        if (!isAllowed(keys[i], fields)) {
+            return 'Field ' + keys[i] + ' is not allowed';
+        }
+        if (values && values.indexOf(object[keys[i]]) === -1) {
+            return 'Field ' + keys[i] + ' must be one of ' + values.map(JSON.stringify).join(', ');
+        }
+    }
+    return null;
+}
+
+// Turn a bracket-syntax string into the type of `field` in `Model`'s schema
+function coerce(value, field, Model) {
+    var schemaType = Model.schema.path(field);
+    var instance = schemaType && (schemaType.caster ? schemaType.caster.instance : schemaType.instance);
+    if (value === 'null') {
+        return null;
+    }
+    if (instance === 'Boolean') {
+        if (value !== 'true' && value !== 'false') {
+            throw new Error(field + ' must be true or false');
+        }
+        return value === 'true';
+    }
+    if (instance === 'Number') {
+        if (value === '' || isNaN(Number(value))) {
+            throw new Error(field + ' must be a number');
+        }
+        return Number(value);
+    }
+    if (instance === 'Date') {
+        // Dates may be given as milliseconds since the epoch, like deadlines elsewhere in the API
+        var date = /^-?\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(field + ' must be a date');
+        }
+        return date.toISOString();
+    }
+    return value;
+}
+
+/*
+ * Compile bracket-syntax query parameters for `Model` into a filter. Only
+ * parameters named after a queryable field are used; `reserved` names (the
+ * endpoint's own parameters) are skipped. Throws an Error describing the
+ * first invalid parameter.
+ */
+function compileBrackets(query, Model, reserved) {
+    var fields = fieldsFor(Model);
+    var filter = {};
+
+    Object.keys(query).forEach(function (field) {
+        if (reserved.indexOf(field) !== -1 || field.charAt(0) === '$' || !isAllowed(field, fields)) {
+            return;
+        }
+        var value = query[field];
+        if (!isPlainObject(value)) {
+            if (Array.isArray(value)) {
+                throw new Error(field + ' was given more than once; use ' + field + '[in]=a,b');
+            }
+            filter[field] = coerce(String(value), field, Model);
+            return;
+        }
+
+        var condition = {};
+        Object.keys(value).forEach(function (name) {
+            if (BRACKET_OPERATORS.indexOf(name) === -1) {
+                throw new Error('Unknown operator ' + field + '[' + name + ']. Must be one of: ' + BRACKET_OPERATORS.join(', '));
+            }
+            var raw = String(value[name]);
+            if (name === 'in' || name === 'nin' || name === 'all') {
+                condition['$' + name] = raw === '' ? [] : raw.split(',').map(function (item) {
+                    return coerce(item, field, Model);
+                });
+            } else if (name === 'exists') {
+                condition.$exists = raw !== 'false';
+            } else if (name === 'size') {
+                condition.$size = Number(raw);
+            } else if (name === 'regex') {
+                condition.$regex = raw;
+            } else {
+                condition['$' + name] = coerce(raw, field, Model);
+            }
+        });
+        filter[field] = condition;
+    });
+    return filter;
+}
+
+module.exports = {
+    fieldsFor: fieldsFor,
+    validate: validate,
+    validateKeys: validateKeys,
+    regexProblem: regexProblem,
+    SORT_VALUES: SORT_VALUES,
+    SELECT_VALUES: SELECT_VALUES,
+    compileBrackets: compileBrackets
+};
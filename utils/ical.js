@@ -0,0 +1,87 @@
+/*
+ * Minimal iCalendar (RFC 5545) writer for task feeds: one VEVENT or VTODO
+ * per task, due at its deadline.
+ */
+
+var PRODUCT_ID = '-//Llama.io//Task API//EN';
+var UID_DOMAIN = 'llama.io';
+
+// 20251104T235900Z
+function formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a single space
+function fold(line) {
+    var parts = [];
+    var current = '';
+    var size = 0;
+    Array.from(line).forEach(function (character) {
+        var bytes = Buffer.byteLength(character);
+        if (size + bytes > 75) {
+            parts.push(current);
+            current = ' ';
+            size = 1;
+        }
+        current += character;
+        size += bytes;
+    });
+    parts.push(current);
+    return parts.join('\r\n');
+}
+
+// Calendar components for one task; `component` is 'event' or 'todo'
+function taskComponent(task, component, now) {
+    var lines = component === 'todo' ? [
+        'BEGIN:VTODO',
+        'UID:' + task._id + '@' + UID_DOMAIN,
+        'DTSTAMP:' + formatDate(now),
+        'DUE:' + formatDate(task.deadline),
+        'STATUS:' + (task.completed ? 'COMPLETED' : 'NEEDS-ACTION'),
+        'PERCENT-COMPLETE:' + (task.progress || 0)
+    ] : [
+        'BEGIN:VEVENT',
+        'UID:' + task._id + '@' + UID_DOMAIN,
+        'DTSTAMP:' + formatDate(now),
+        // No DTEND: the event is the moment of the deadline
+        'DTSTART:' + formatDate(task.deadline),
+        'TRANSP:TRANSPARENT'
+    ];
+    lines.push('SUMMARY:' + escapeText(task.name));
+    if (task.description) {
+        lines.push('DESCRIPTION:' + escapeText(task.description));
+    }
+    lines.push('CREATED:' + formatDate(task.dateCreated));
+    lines.push(component === 'todo' ? 'END:VTODO' : 'END:VEVENT');
+    return lines;
+}
+
+// A complete VCALENDAR named `name` with one component per task
+function buildCalendar(name, tasks, component) {
+    var now = new Date();
+    var lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:' + PRODUCT_ID,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:' + escapeText(name)
+    ];
+    tasks.forEach(function (task) {
+        lines = lines.concat(taskComponent(task, component, now));
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar: buildCalendar
+};
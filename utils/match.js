@@ -0,0 +1,157 @@
+/*
+ * Evaluate a MongoDB-style `where` filter against a plain (JSON) document,
+ * for filters that have to run in memory rather than in a query. Supports
+ * field equality, $eq/$ne/$gt/$gte/$lt/$lte/$in/$nin/$exists/$regex and
+ * $and/$or/$nor; `validate` rejects anything else up front.
+ */
+
+var FIELD_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$regex', '$options'];
+var LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOperatorObject(value) {
+    return isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(function (key) {
+        return key.charAt(0) === '$';
+    });
+}
+
+// Return an error message for the first unsupported part of `query`, or null
+function validate(query) {
+    if (!isPlainObject(query)) {
+        return 'Filter must be a JSON object';
+    }
+    var keys = Object.keys(query);
+    for (var i = 0; i < keys.length; i++) {
+        var key = keys[i];
+        var value = query[key];
+        var error = null;
+        if (LOGICAL_OPERATORS.indexOf(key) !== -1) {
+            if (!Array.isArray(value) || value.length === 0) {
+                return key + ' must be a non-empty array';
+            }
+            for (var j = 0; j < value.length && !error; j++) {
+                error = validate(value[j]);
+            }
+        } else if (key.charAt(0) === '$') {
+            error = 'Unsupported operator ' + key;
+        } else if (isOperatorObject(value)) {
+            Object.keys(value).some(function (operator) {
+                if (FIELD_OPERATORS.indexOf(operator) === -1) {
+                    error = 'Unsupported operator ' + operator;
+                } else if ((operator === '$in' || operator === '$nin') && !Array.isArray(value[operator])) {
+                    error = operator + ' must be an array';
+                }
+                return error;
+            });
+            if (!error && value.$regex !== undefined) {
+                try {
+                    new RegExp(value.$regex, value.$options || '');
+                } catch (e) {
+                    error = 'Invalid $regex for ' + key;
+                }
+            }
+        }
+        if (error) {
+            return error;
+        }
+    }
+    return null;
+}
+
+// Value of a dotted `path` in `doc`, or undefined
+function valueAt(doc, path) {
+    return path.split('.').reduce(function (value, key) {
+        return value === null || value === undefined ? undefined : value[key];
+    }, doc);
+}
+
+// Dates arrive as ISO strings in JSON documents; compare them as timestamps against numbers
+function comparable(value, other) {
+    if (typeof other === 'number' && typeof value === 'string' && !isNaN(Date.parse(value))) {
+        return Date.parse(value);
+    }
+    return value;
+}
+
+function equals(value, expected) {
+    if (Array.isArray(value) && !Array.isArray(expected)) {
+        return value.some(function (item) {
+            return equals(item, expected);
+        });
+    }
+    if (value === undefined) {
+        value = null;
+    }
+    if (isPlainObject(value) || Array.isArray(value)) {
+        return JSON.stringify(value) === JSON.stringify(expected);
+    }
+    return comparable(value, expected) === comparable(expected, value);
+}
+
+function compare(value, expected, test) {
+    var values = Array.isArray(value) ? value : [value];
+    return values.some(function (item) {
+        var a = comparable(item, expected);
+        var b = comparable(expected, item);
+        return a !== null && a !== undefined && typeof a === typeof b && test(a, b);
+    });
+}
+
+function matchesOperators(value, conditions) {
+    return Object.keys(conditions).every(function (operator) {
+        var expected = conditions[operator];
+        switch (operator) {
+        case '$eq':
+            return equals(value, expected);
+        case '$ne':
+            return !equals(value, expected);
+        case '$gt':
+            return compare(value, expected, function (a, b) { return a > b; });
+        case '$gte':
+            return compare(value, expected, function (a, b) { return a >= b; });
+        case '$lt':
+            return compare(value, expected, function (a, b) { return a < b; });
+        case '$lte':
+            return compare(value, expected, function (a, b) { return a <= b; });
+        case '$in':
+            return expected.some(function (item) { return equals(value, item); });
+        case '$nin':
+            return !expected.some(function (item) { return equals(value, item); });
+        case '$exists':
+            return (value !== undefined) === Boolean(expected);
+        case '$regex':
+            var pattern = new RegExp(expected, conditions.$options || '');
+            return [].concat(value).some(function (item) {
+                return typeof item === 'string' && pattern.test(item);
+            });
+        default: // $options is read by $regex
+            return true;
+        }
+    });
+}
+
+// Whether `doc` matches `query` (assumed to have passed validate)
+function matches(doc, query) {
+    return Object.keys(query).every(function (key) {
+        var condition = query[key];
+        if (key === '$and') {
+            return condition.every(function (part) { return matches(doc, part); });
+        }
+        if (key === '$or') {
+            return condition.some(function (part) { return matches(doc, part); });
+        }
+        if (key === '$nor') {
+            return !condition.some(function (part) { return matches(doc, part); });
+        }
+        var value = valueAt(doc, key);
+        return isOperatorObject(condition) ? matchesOperators(value, condition) : equals(value, condition);
+    });
+}
+
+module.exports = {
+    validate: validate,
+    matches: matches
+};
@@ -0,0 +1,176 @@
+/*
+ * Responds to the list endpoints. Besides the usual {message, data} envelope,
+ * list responses carry `total`, `hasMore` and `nextCursor`, and an RFC 5988
+ * Link header pointing at neighbouring pages.
+ */
+
+// Load required packages
+var response = require('./response');
+var sendSuccess = response.sendSuccess;
+var sendError = response.sendError;
+var handleError = response.handleError;
+var applyQueryOptions = require('./query').applyQueryOptions;
+var cursors = require('./cursor');
+var search = require('../services/search');
+
+// Page size for cursor pagination when neither the client nor the endpoint sets one
+var DEFAULT_CURSOR_LIMIT = 100;
+
+// URL of the current request with some query string parameters replaced
+function pageUrl(req, params) {
+    var url = new URL(req.originalUrl, req.protocol + '://' + req.get('host'));
+    Object.keys(params).forEach(function (name) {
+        url.searchParams.set(name, params[name]);
+    });
+    return url.toString();
+}
+
+function setLinks(res, req, links) {
+    var header = Object.keys(links).filter(function (rel) {
+        return links[rel];
+    }).map(function (rel) {
+        return '<' + pageUrl(req, links[rel]) + '>; rel="' + rel + '"';
+    }).join(', ');
+    if (header) {
+        res.set('Link', header);
+    }
+}
+
+// Make sure an inclusive select still returns the fields the cursor is built from
+function selectWithKeys(select, keys) {
+    if (!select) {
+        return select;
+    }
+    var fields = Object.assign({}, select);
+    var inclusive = Object.keys(fields).some(function (field) {
+        return field !== '_id' && Number(fields[field]) === 1;
+    });
+    keys.forEach(function (key) {
+        if (inclusive) {
+            fields[key[0]] = 1;
+        } else {
+            delete fields[key[0]];
+        }
+    });
+    return fields;
+}
+
+// Add relevance scores and highlights to the results of a search
+function decorate(docs, Model, options) {
+    if (!options.search) {
+        return docs;
+    }
+    return docs.map(function (doc) {
+        return search.decorate(doc, Model.modelName, options.search);
+    });
+}
+
+/*
+ * Narrow a query to a full-text search, returning the text score with each
+ * document and ranking by it unless the client chose a sort.
+ */
+function withSearch(query, options) {
+    if (!options.search) {
+        return query;
+    }
+    options.select = Object.assign({}, options.select, search.scoreProjection);
+    if (!options.sort && options.paginate !== 'cursor') {
+        options.sort = search.scoreProjection;
+    }
+    return { $and: [query, search.textFilter(options.search)] };
+}
+
+function sendOffsetPage(req, res, Model, query, options, noun) {
+    return Promise.all([
+        applyQueryOptions(Model.find(query), options).exec(),
+        Model.countDocuments(query).exec()
+    ]).then(function (results) {
+        var docs = results[0];
+        var total = results[1];
+        var skip = options.skip || 0;
+        var limit = options.limit;
+        var hasMore = skip + docs.length < total;
+
+        if (limit) {
+            setLinks(res, req, {
+                first: { skip: 0 },
+                prev: skip > 0 ? { skip: Math.max(0, skip - limit) } : null,
+                next: hasMore ? { skip: skip + limit } : null,
+                last: { skip: total > 0 ? Math.floor((total - 1) / limit) * limit : 0 }
+            });
+        }
+        sendSuccess(res, 200, 'OK', decorate(docs, Model, options), { total: total, hasMore: hasMore, nextCursor: null });
+    }).catch(function (err) {
+        handleError(res, err, 'Error retrieving ' + noun);
+    });
+}
+
+function sendCursorPage(req, res, Model, query, options, noun) {
+    var keys = cursors.sortKeys(options.sort);
+    var limit = options.limit || DEFAULT_CURSOR_LIMIT;
+
+    if (options.after && !cursors.sameKeys(options.after.keys, keys)) {
+        return sendError(res, 400, 'Cursor does not match the sort parameter. Start again without a cursor.');
+    }
+
+    var filter = options.after ? { $and: [query, cursors.afterFilter(keys, options.after.values)] } : query;
+    var mongooseQuery = Model.find(filter).sort(cursors.keysToSort(keys)).limit(limit + 1);
+    var select = selectWithKeys(options.select, keys);
+    if (select) {
+        mongooseQuery.select(select);
+    }
+
+    return Promise.all([
+        mongooseQuery.exec(),
+        Model.countDocuments(query).exec()
+    ]).then(function (results) {
+        var docs = results[0];
+        var hasMore = docs.length > limit;
+        if (hasMore) {
+            docs = docs.slice(0, limit);
+        }
+        var nextCursor = hasMore ? cursors.encodeCursor(docs[docs.length - 1], keys) : null;
+
+        setLinks(res, req, {
+            first: { cursor: '' },
+            next: nextCursor ? { cursor: nextCursor } : null
+        });
+        sendSuccess(res, 200, 'OK', decorate(docs, Model, options), {
+            total: results[1],
+            hasMore: hasMore,
+            nextCursor: nextCursor
+        });
+    }).catch(function (err) {
+        handleError(res, err, 'Error retrieving ' + noun);
+    });
+}
+
+/*
+ * Respond with the documents of `Model` matching a parseQueryParams result:
+ * their count, an offset (skip/limit) page, or a cursor page. `noun` names
+ * the documents in error messages.
+ */
+function sendList(req, res, Model, parsed, noun) {
+    var options = parsed.options;
+    if (options.search && !search.isSearchable(Model.modelName)) {
+        return sendError(res, 400, 'Full-text search is not supported for ' + noun);
+    }
+    var query = withSearch(parsed.query, options);
+
+    if (parsed.count) {
+        return applyQueryOptions(Model.find(query), options).countDocuments().then(function (count) {
+            sendSuccess(res, 200, 'OK', count);
+        }).catch(function (err) {
+            handleError(res, err, 'Error counting ' + noun);
+        });
+    }
+    if (options.paginate === 'cursor') {
+        return sendCursorPage(req, res, Model, query, options, noun);
+    }
+    return sendOffsetPage(req, res, Model, query, options, noun);
+}
+
+module.exports = {
+    sendList: sendList,
+    withSearch: withSearch
+};
@@ -0,0 +1,216 @@
+/*
+ * Partial updates. A PATCH body is either a JSON Merge Patch (RFC 7396, also
+ * used for plain JSON and urlencoded bodies) or a JSON Patch (RFC 6902) list
+ * of operations. Both are applied to the editable fields of the current
+ * document, and the result goes through the same validation as a PUT.
+ */
+
+// Load required packages
+var createError = require('./errors').createError;
+
+var MERGE_PATCH = 'application/merge-patch+json';
+var JSON_PATCH = 'application/json-patch+json';
+var OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+var MAX_OPERATIONS = 100;
+// Members that would reach Object.prototype instead of the document
+var FORBIDDEN_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Which kind of patch a request carries: 'json' for JSON Patch, otherwise 'merge'
+function typeOf(req) {
+    return req.is(JSON_PATCH) ? 'json' : 'merge';
+}
+
+// RFC 7396: objects are merged recursively, null removes a member, anything else replaces it
+function mergePatch(target, patch) {
+    if (!isPlainObject(patch)) {
+        return clone(patch);
+    }
+    var result = isPlainObject(target) ? clone(target) : {};
+    Object.keys(patch).forEach(function (key) {
+        if (FORBIDDEN_KEYS.indexOf(key) !== -1) {
+            return;
+        }
+        if (patch[key] === null) {
+            delete result[key];
+        } else {
+            result[key] = mergePatch(result[key], patch[key]);
+        }
+    });
+    return result;
+}
+
+// "/a/b~1c" -> ['a', 'b/c']
+function parsePointer(pointer, at) {
+    if (typeof pointer !== 'string' || (pointer !== '' && pointer.charAt(0) !== '/')) {
+        throw createError(400, 'Invalid JSON Patch: ' + at + ' must be a JSON Pointer such as /name');
+    }
+    var tokens = pointer === '' ? [] : pointer.slice(1).split('/').map(function (token) {
+        return token.replace(/~1/g, '/').replace(/~0/g, '~');
+    });
+    if (tokens.some(function (token) { return FORBIDDEN_KEYS.indexOf(token) !== -1; })) {
+        throw createError(400, 'Invalid JSON Patch: ' + at + ' may not refer to ' + FORBIDDEN_KEYS.join(', '));
+    }
+    return tokens;
+}
+
+function failed(index, message) {
+    return createError(422, 'JSON Patch operation ' + index + ' failed: ' + message);
+}
+
+// The container holding the last token of `tokens`, or a 422 if part of the path is missing
+function parentOf(doc, tokens, index, pointer) {
+    var node = doc;
+    for (var i = 0; i < tokens.length - 1; i++) {
+        node = node !== null && typeof node === 'object' ? node[tokens[i]] : undefined;
+        if (node === undefined) {
+            throw failed(index, 'path ' + pointer + ' does not exist');
+        }
+    }
+    if (node === null || typeof node !== 'object') {
+        throw failed(index, 'path ' + pointer + ' does not exist');
+    }
+    return node;
+}
+
+// An array index for `token`, where "-" (one past the end) is only allowed when adding
+function arrayIndex(array, token, adding, index, pointer) {
+    if (adding && token === '-') {
+        return array.length;
+    }
+    var position = /^(0|[1-9]\d*)$/.test(token) ? Number(token) : -1;
+    if (position < 0 || position > array.length || (!adding && position === array.length)) {
+        throw failed(index, 'path ' + pointer + ' does not exist');
+    }
+    return position;
+}
+
+function getValue(doc, pointer, index) {
+    var tokens = parsePointer(pointer, 'operation ' + index + ' path');
+    if (tokens.length === 0) {
+        return doc;
+    }
+    var parent = parentOf(doc, tokens, index, pointer);
+    var token = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        return parent[arrayIndex(parent, token, false, index, pointer)];
+    }
+    if (!Object.prototype.hasOwnProperty.call(parent, token)) {
+        throw failed(index, 'path ' + pointer + ' does not exist');
+    }
+    return parent[token];
+}
+
+function addValue(doc, pointer, value, index) {
+    var tokens = parsePointer(pointer, 'operation ' + index + ' path');
+    if (tokens.length === 0) {
+        return clone(value);
+    }
+    var parent = parentOf(doc, tokens, index, pointer);
+    var token = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, token, true, index, pointer), 0, clone(value));
+    } else {
+        parent[token] = clone(value);
+    }
+    return doc;
+}
+
+function removeValue(doc, pointer, index) {
+    var tokens = parsePointer(pointer, 'operation ' + index + ' path');
+    if (tokens.length === 0) {
+        throw failed(index, 'the whole document cannot be removed');
+    }
+    var parent = parentOf(doc, tokens, index, pointer);
+    var token = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(arrayIndex(parent, token, false, index, pointer), 1);
+    } else if (Object.prototype.hasOwnProperty.call(parent, token)) {
+        delete parent[token];
+    } else {
+        throw failed(index, 'path ' + pointer + ' does not exist');
+    }
+    return doc;
+}
+
+/*
+ * RFC 6902: apply `operations` in order to a copy of `doc`. A malformed patch
+ * is a 400, an operation on a missing path a 422 and a failed `test` a 409;
+ * in every case nothing is applied.
+ */
+function jsonPatch(doc, operations) {
+    if (!Array.isArray(operations)) {
+        throw createError(400, 'Invalid JSON Patch: the body must be an array of operations');
+    }
+    if (operations.length > MAX_OPERATIONS) {
+        throw createError(400, 'Invalid JSON Patch: at most ' + MAX_OPERATIONS + ' operations are allowed');
+    }
+
+    return operations.reduce(function (result, operation, index) {
+        if (!isPlainObject(operation) || OPERATIONS.indexOf(operation.op) === -1) {
+            throw createError(400, 'Invalid JSON Patch: operation ' + index + ' must have an op of ' + OPERATIONS.join(', '));
+        }
+        if (['add', 'replace', 'test'].indexOf(operation.op) !== -1 && operation.value === undefined) {
+            throw createError(400, 'Invalid JSON Patch: operation ' + index + ' (' + operation.op + ') must have a value');
+        }
+
+        switch (operation.op) {
+        case 'add':
+            return addValue(result, operation.path, operation.value, index);
+        case 'remove':
+            return removeValue(result, operation.path, index);
+        case 'replace':
+            if (parsePointer(operation.path, 'operation ' + index + ' path').length === 0) {
+                return clone(operation.value);
+            }
+            getValue(result, operation.path, index);
+            return addValue(removeValue(result, operation.path, index), operation.path, operation.value, index);
+        case 'move':
+            parsePointer(operation.path, 'operation ' + index + ' path');
+            if (parsePointer(operation.from, 'operation ' + index + ' from').length > 0 &&
+                    operation.path.indexOf(operation.from + '/') === 0) {
+                throw failed(index, 'a value cannot be moved into itself');
+            }
+            var moved = getValue(result, operation.from, index);
+            return addValue(removeValue(result, operation.from, index), operation.path, moved, index);
+        case 'copy':
+            return addValue(result, operation.path, getValue(result, operation.from, index), index);
+        default:
+            if (JSON.stringify(getValue(result, operation.path, index)) !== JSON.stringify(operation.value)) {
+                throw createError(409, 'JSON Patch test failed at ' + operation.path, { operation: index });
+            }
+            return result;
+        }
+    }, clone(doc));
+}
+
+// Apply a patch of `type` (see typeOf) to `doc`, returning the patched copy
+function apply(doc, patch, type) {
+    if (type === 'json') {
+        var result = jsonPatch(doc, patch);
+        if (!isPlainObject(result)) {
+            throw createError(422, 'JSON Patch failed: the patched document must be an object');
+        }
+        return result;
+    }
+    if (!isPlainObject(patch)) {
+        throw createError(400, 'A merge patch must be a JSON object');
+    }
+    return mergePatch(doc, patch);
+}
+
+module.exports = {
+    MERGE_PATCH: MERGE_PATCH,
+    JSON_PATCH: JSON_PATCH,
+    typeOf: typeOf,
+    mergePatch: mergePatch,
+    jsonPatch: jsonPatch,
+    apply: apply
+};
@@ -0,0 +1,175 @@
+/*
+ * Shared parsing of the where/filter, sort, select, skip, limit, cursor, q
+ * and count query string parameters accepted by the list endpoints, plus
+ * bracket-syntax filters such as ?deadline[lt]=2025-12-01. Filters, sorts and
+ * selects are checked against `Model`'s allowlists (see utils/filter.js).
+ */
+
+// Load required packages
+var decodeCursor = require('./cursor').decodeCursor;
+var filters = require('./filter');
+
+// Parameters of the list endpoints themselves, never read as bracket-syntax filters
+var RESERVED_PARAMS = ['where', 'filter', 'sort', 'select', 'skip', 'limit', 'count', 'cursor', 'q', 'format',
+    'access_token'];
+
+function parseQueryParams(req, defaultLimit, Model) {
+    var query = {};
+    var options = {};
+
+    // Parse 'where' or 'filter' parameter
+    if (req.query.where) {
+        try {
+            var whereParam = typeof req.query.where === 'string' ? req.query.where : JSON.stringify(req.query.where);
+            query = JSON.parse(whereParam);
+        } catch (e) {
+            return { error: 'Invalid where parameter. Must be valid JSON.' };
+        }
+    } else if (req.query.filter) {
+        try {
+            var filterParam;
+            if (typeof req.query.filter === 'string') {
+                filterParam = JSON.parse(req.query.filter);
+            } else {
+                filterParam = req.query.filter;
+            }
+            
+            var isProjection = true;
+            for (var key in filterParam) {
+                if (filterParam.hasOwnProperty(key)) {
+                    var val = filterParam[key];
+                    if (typeof val !== 'number' || (val !== 1 && val !== 0)) {
+                        isProjection = false;
+                        break;
+                    }
+                }
+            }
+            if (isProjection && Object.keys(filterParam).length > 0) {
+                options.select = filterParam;
+            } else {
+                query = filterParam;
+            }
+        } catch (e) {
+            return { error: 'Invalid filter parameter. Must be valid JSON.' };
+        }
+    }
+
+    // Parse 'sort' parameter
+    if (req.query.sort) {
+        try {
+            options.sort = JSON.parse(req.query.sort);
+        } catch (e) {
+            return { error: 'Invalid sort parameter. Must be valid JSON.' };
+        }
+    }
+
+    // Parse 'select' parameter
+    if (req.query.select) {
+        try {
+            options.select = JSON.parse(req.query.select);
+        } catch (e) {
+            return { error: 'Invalid select parameter. Must be valid JSON.' };
+        }
+    }
+
+    // Parse 'skip' parameter
+    if (req.query.skip) {
+        options.skip = parseInt(req.query.skip);
+        if (isNaN(options.skip) || options.skip < 0) {
+            return { error: 'Invalid skip parameter. Must be a non-negative number.' };
+        }
+    }
+
+    // Parse 'limit' parameter
+    if (req.query.limit) {
+        options.limit = parseInt(req.query.limit);
+        if (isNaN(options.limit) || options.limit < 0) {
+            return { error: 'Invalid limit parameter. Must be a non-negative number.' };
+        }
+    } else if (defaultLimit !== undefined) {
+        options.limit = defaultLimit;
+    }
+
+    // Parse 'cursor' parameter; its presence opts into cursor pagination (empty for the first page)
+    if (req.query.cursor !== undefined) {
+        if (options.skip) {
+            return { error: 'The skip parameter cannot be combined with cursor.' };
+        }
+        options.paginate = 'cursor';
+        if (req.query.cursor) {
+            options.after = decodeCursor(req.query.cursor);
+            if (!options.after) {
+                return { error: 'Invalid cursor parameter.' };
+            }
+        }
+    }
+
+    // Parse 'q' parameter (full-text search)
+    if (req.query.q !== undefined) {
+        if (typeof req.query.q !== 'string' || !req.query.q.trim()) {
+            return { error: 'Invalid q parameter. Must be a non-empty search string.' };
+        }
+        options.search = req.query.q.trim();
+    }
+
+    // Only allowlisted fields and operators, within limits
+    var fields = filters.fieldsFor(Model);
+    var rejected = filters.validate(query, fields);
+    if (rejected) {
+        return { error: 'Invalid ' + (req.query.where ? 'where' : 'filter') + ' parameter. ' + rejected + '.' };
+    }
+    rejected = filters.validateKeys(options.sort, fields, filters.SORT_VALUES);
+    if (rejected) {
+        return { error: 'Invalid sort parameter. ' + rejected + '.' };
+    }
+    rejected = filters.validateKeys(options.select, fields, filters.SELECT_VALUES);
+    if (rejected) {
+        return { error: 'Invalid select parameter. ' + rejected + '.' };
+    }
+
+    // Parse bracket-syntax filters (?completed=false&deadline[lt]=2025-12-01), ANDed with 'where'
+    var brackets;
+    try {
+        brackets = filters.compileBrackets(req.query, Model, RESERVED_PARAMS);
+    } catch (e) {
+        return { error: 'Invalid query string filter. ' + e.message + '.' };
+    }
+    rejected = filters.validate(brackets, fields);
+    if (rejected) {
+        return { error: 'Invalid query string filter. ' + rejected + '.' };
+    }
+    if (Object.keys(brackets).length > 0) {
+        query = Object.keys(query).length > 0 ? { $and: [query, brackets] } : brackets;
+    }
+
+    // Parse 'count' parameter
+    var count = req.query.count === 'true';
+
+    return { query, options, count };
+}
+
+// Apply parsed sort/select/skip/limit options to a Mongoose query
+function applyQueryOptions(mongooseQuery, options) {
+    if (options.sort) {
+        mongooseQuery.sort(options.sort);
+    }
+
+    if (options.select) {
+        mongooseQuery.select(options.select);
+    }
+
+    if (options.skip) {
+        mongooseQuery.skip(options.skip);
+    }
+
+    if (options.limit) {
+        mongooseQuery.limit(options.limit);
+    }
+
+    return mongooseQuery;
+}
+
+module.exports = {
+    parseQueryParams: parseQueryParams,
+    applyQueryOptions: applyQueryOptions
+};
@@ -0,0 +1,36 @@
+/*
+ * Helpers for building the {message, data} envelope every endpoint responds with.
+ */
+
+// Load required packages
+var fromMongooseError = require('./validation').fromMongooseError;
+
+// `meta` adds extra top-level fields (e.g. pagination) next to message and data
+function sendSuccess(res, statusCode, message, data, meta) {
+    res.status(statusCode).json(Object.assign({
+        message: message,
+        data: data
+    }, meta));
+}
+
+function sendError(res, statusCode, message, data) {
+    res.status(statusCode).json({
+        message: message,
+        data: data || null
+    });
+}
+
+// Respond with the status of an error created by utils/errors (or a Mongoose cast/validation error), or a 500 otherwise
+function handleError(res, err, message) {
+    err = fromMongooseError(err) || err;
+    if (err.status) {
+        return sendError(res, err.status, err.message, err.data);
+    }
+    sendError(res, 500, message, err.message);
+}
+
+module.exports = {
+    sendSuccess: sendSuccess,
+    sendError: sendError,
+    handleError: handleError
+};
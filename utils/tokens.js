@@ -0,0 +1,48 @@
+// Load required packages
+var jwt = require('jsonwebtoken');
+
+var ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+var REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+
+function getSecret() {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+}
+
+function signToken(user, type, expiresIn) {
+    return jwt.sign({
+        sub: user._id.toString(),
+        type: type,
+        version: user.tokenVersion || 0
+    }, getSecret(), { expiresIn: expiresIn });
+}
+
+// Issue a fresh access/refresh token pair for a user
+function issueTokens(user) {
+    return {
+        accessToken: signToken(user, 'access', ACCESS_TOKEN_TTL),
+        refreshToken: signToken(user, 'refresh', REFRESH_TOKEN_TTL),
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+// Returns the decoded payload, or null if the token is invalid, expired or of the wrong type
+function verifyToken(token, type) {
+    try {
+        var payload = jwt.verify(token, getSecret());
+        return payload.type === type ? payload : null;
+    } catch (e) {
+        if (e.name === 'JsonWebTokenError' || e.name === 'TokenExpiredError' || e.name === 'NotBeforeError') {
+            return null;
+        }
+        throw e;
+    }
+}
+
+module.exports = {
+    issueTokens: issueTokens,
+    verifyToken: verifyToken
+};
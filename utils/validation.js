@@ -0,0 +1,143 @@
+/*
+ * Field-level validation of request bodies. A schema maps each field to its
+ * rules; `validate` collects every problem as { field, message } so clients
+ * can show them next to the right input. Missing required fields are a 400,
+ * values of the wrong shape a 422; both carry the list in `data.errors`.
+ */
+
+// Load required packages
+var mongoose = require('mongoose');
+var createError = require('./errors').createError;
+
+var EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isObjectId(value) {
+    return typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value) && mongoose.Types.ObjectId.isValid(value);
+}
+
+// Each check returns an error message for a present value, or null
+var TYPES = {
+    string: function (value) {
+        return typeof value === 'string' ? null : 'must be a string';
+    },
+    email: function (value) {
+        return typeof value === 'string' && EMAIL_PATTERN.test(value) ? null : 'must be a valid email address';
+    },
+    // Dates may be ISO strings or milliseconds since the epoch
+    date: function (value) {
+        var date = typeof value === 'number' || /^-?\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+        return (typeof value === 'string' || typeof value === 'number') && !isNaN(date.getTime()) ?
+            null : 'must be a valid date';
+    },
+    // Urlencoded bodies send booleans as strings
+    boolean: function (value) {
+        return [true, false, 'true', 'false'].indexOf(value) !== -1 ? null : 'must be true or false';
+    },
+    objectId: function (value) {
+        return value === '' || isObjectId(value) ? null : 'must be a valid id';
+    },
+    // A JSON array, or the repeated/single value urlencoded forms produce
+    objectIdList: function (value) {
+        var invalid = [].concat(value).filter(function (id) {
+            return !isObjectId(id);
+        });
+        return invalid.length === 0 ? null : 'contains invalid ids: ' + invalid.join(', ');
+    },
+    stringList: function (value) {
+        return [].concat(value).every(function (item) {
+            return typeof item === 'string' && item.trim() !== '';
+        }) ? null : 'must be a list of non-empty strings';
+    },
+    object: function (value) {
+        return typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    }
+};
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/*
+ * Check `body` against `schema` ({ field: { type, required, enum, minLength } })
+ * and return the list of { field, message, code } problems, code being
+ * 'required' or 'invalid'.
+ */
+function validate(body, schema) {
+    var errors = [];
+    Object.keys(schema).forEach(function (field) {
+        var rules = schema[field];
+        var value = body[field];
+        var message = null;
+
+        if (isMissing(value)) {
+            if (rules.required) {
+                errors.push({ field: field, message: field + ' is required', code: 'required' });
+            }
+            return;
+        }
+        message = TYPES[rules.type](value);
+        if (!message && rules.enum && rules.enum.indexOf(value) === -1) {
+            message = 'must be one of: ' + rules.enum.join(', ');
+        }
+        if (!message && rules.minLength && String(value).length < rules.minLength) {
+            message = 'must be at least ' + rules.minLength + ' characters';
+        }
+        if (message) {
+            errors.push({ field: field, message: field + ' ' + message, code: 'invalid' });
+        }
+    });
+    return errors;
+}
+
+/*
+ * Throw for a non-empty error list: a 400 with `missingMessage` if a
+ * required field is missing, otherwise a 422 with `invalidMessage`.
+ */
+function assertValid(errors, missingMessage, invalidMessage) {
+    if (errors.length === 0) {
+        return;
+    }
+    var missing = errors.some(function (error) {
+        return error.code === 'required';
+    });
+    throw createError(missing ? 400 : 422, missing ? missingMessage : invalidMessage, { errors: errors });
+}
+
+// A 422 for references (assignee, pending tasks, ...) that do not exist
+function invalidReference(invalidMessage, field, message) {
+    return createError(422, invalidMessage, { errors: [{ field: field, message: message, code: 'invalid' }] });
+}
+
+/*
+ * Translate Mongoose's own errors into responses: a CastError (e.g. a
+ * malformed id in the URL) is the client's mistake, not a server error, a
+ * ValidationError lists the offending fields, and a VersionError means
+ * another request saved the document first. Returns null for anything else.
+ */
+function fromMongooseError(err) {
+    if (err instanceof mongoose.Error.CastError) {
+        var field = err.path === '_id' ? 'id' : err.path;
+        return createError(400, 'Invalid ' + field + ': ' + JSON.stringify(err.value), {
+            errors: [{ field: field, message: field + ' must be a valid ' + (err.kind === 'ObjectId' ? 'id' : err.kind), code: 'invalid' }]
+        });
+    }
+    if (err instanceof mongoose.Error.ValidationError) {
+        return createError(422, 'Validation failed', {
+            errors: Object.keys(err.errors).map(function (path) {
+                return { field: path, message: err.errors[path].message, code: 'invalid' };
+            })
+        });
+    }
+    if (err instanceof mongoose.Error.VersionError) {
+        return createError(409, 'The document was modified by another request; reload it and try again');
+    }
+    return null;
+}
+
+module.exports = {
+    isObjectId: isObjectId,
+    validate: validate,
+    assertValid: assertValid,
+    invalidReference: invalidReference,
+    fromMongooseError: fromMongooseError
+};